@@ -3,7 +3,10 @@
 declare global {
 	namespace App {
 		// interface Error {}
-		// interface Locals {}
+		interface Locals {
+			// Owner of the sync key the request carries (hooks.server.js), null without one
+			syncOwner: string | null;
+		}
 		// interface PageData {}
 		// interface PageState {}
 		// interface Platform {}
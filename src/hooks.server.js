@@ -0,0 +1,15 @@
+/**
+ * Server hooks
+ * Identifies sync requests by their sync key (see $lib/server/syncAuth.js)
+ */
+
+import { getSyncOwner } from '$lib/server/syncAuth.js';
+
+/** @type {import('@sveltejs/kit').Handle} */
+export async function handle({ event, resolve }) {
+	event.locals.syncOwner = event.url.pathname.startsWith('/api/sync/')
+		? getSyncOwner(event.request.headers.get('authorization'))
+		: null;
+
+	return resolve(event);
+}
@@ -0,0 +1,39 @@
+/**
+ * Sync authentication
+ * Turns the sync key a device sends into the owner its data is stored under
+ *
+ * A sync key is a long random secret created on the first device (see getSyncKey in
+ * indexedDB.js) and copied to the others. Devices send it as a bearer token:
+ *
+ *   Authorization: Bearer <sync key>
+ *
+ * The server never stores the key itself - owners are its SHA-256 digest, so the
+ * data file does not hand out working keys.
+ */
+
+import { createHash } from 'node:crypto';
+import { error } from '@sveltejs/kit';
+
+// Same rule as the client: base64url, long enough that keys cannot be guessed
+const SYNC_KEY_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+/**
+ * Resolve the owner named by an Authorization header
+ * @param {string|null} header - Authorization header value
+ * @returns {string|null} Owner id, or null without a well-formed bearer key
+ */
+export const getSyncOwner = (header) => {
+	const [scheme, key] = (header ?? '').trim().split(/\s+/);
+	if (scheme?.toLowerCase() !== 'bearer' || !SYNC_KEY_PATTERN.test(key ?? '')) return null;
+	return createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Get the request's owner or answer 401
+ * @param {App.Locals} locals - Request locals filled in by hooks.server.js
+ * @returns {string} Owner id
+ */
+export const requireSyncOwner = (locals) => {
+	if (!locals.syncOwner) error(401, 'A sync key is required');
+	return locals.syncOwner;
+};
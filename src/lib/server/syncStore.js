@@ -0,0 +1,300 @@
+/**
+ * Sync store
+ * Server-side record store behind the /api/sync endpoints
+ *
+ * This module provides:
+ * - Places and finished tracks per owner - the devices that share one sync key
+ *   (see syncAuth.js) see the same data and nobody else's
+ * - A revision counter per owner - every accepted write gets the next revision, so
+ *   clients fetch "everything after revision N" instead of whole collections
+ * - Per-record last-writer-wins on updatedAt, matching the browser-side storage
+ * - Tombstones for deletes, so a device that was offline still learns about them
+ * - One JSON file on disk, replaced atomically on every write
+ *
+ * File shape:
+ * {
+ *   owners: { [owner]: { revision: number, collections: { [collection]: { [id]: entry } } } }
+ * }
+ *
+ * Entry shape (one per record id):
+ * {
+ *   id: string,
+ *   revision: number,     // store revision of the last accepted write
+ *   updatedAt: number,    // client write time in epoch ms - decides conflicts
+ *   deleted: boolean,     // tombstone
+ *   data: Object|null     // the record (null for tombstones)
+ * }
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { env } from '$env/dynamic/private';
+import { isValidLocation } from '$lib/utils/locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Collections clients may sync
+export const SYNC_COLLECTIONS = ['places', 'tracks'];
+
+// Store file unless SYNC_DATA_FILE says otherwise (relative to the server's working directory)
+const DEFAULT_DATA_FILE = 'data/sync.json';
+
+// Longest track accepted - far beyond a day of 1 Hz fixes, well below a memory problem
+const MAX_TRACK_POINTS = 100000;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Create an error for a record the store refuses
+ * The code lets the endpoints answer 400 instead of 500
+ *
+ * @param {string} message - What is wrong with the record
+ * @returns {Error} Error with code 'invalid'
+ */
+const invalid = (message) => Object.assign(new Error(message), { code: 'invalid' });
+
+/**
+ * Require a non-blank string field
+ * @param {*} value - Field value
+ * @param {string} field - Field name for the error message
+ * @returns {string} Trimmed value
+ */
+const requireText = (value, field) => {
+	const text = typeof value === 'string' ? value.trim() : '';
+	if (!text) throw invalid(`${field} is required`);
+	return text;
+};
+
+/**
+ * Require a finite number field
+ * @param {*} value - Field value
+ * @param {string} field - Field name for the error message
+ * @returns {number} Value
+ */
+const requireNumber = (value, field) => {
+	if (!Number.isFinite(value)) throw invalid(`${field} must be a number`);
+	return value;
+};
+
+/**
+ * Optional numeric field - anything else becomes null
+ * @param {*} value - Field value
+ * @returns {number|null} Finite number or null
+ */
+const optionalNumber = (value) => (Number.isFinite(value) ? value : null);
+
+// Per-collection validators - return the normalized record that is stored
+const VALIDATORS = {
+	places(record) {
+		if (!isValidLocation(record)) {
+			throw invalid('Place requires a valid lat and lng');
+		}
+		return {
+			id: requireText(record.id, 'id'),
+			name: requireText(record.name, 'name'),
+			category: typeof record.category === 'string' ? record.category : 'general',
+			lat: +record.lat,
+			lng: +record.lng,
+			createdAt: requireNumber(record.createdAt, 'createdAt'),
+			updatedAt: requireNumber(record.updatedAt, 'updatedAt')
+		};
+	},
+
+	tracks(record) {
+		const points = Array.isArray(record.points) ? record.points : [];
+		if (points.length > MAX_TRACK_POINTS) {
+			throw invalid(`Track has more than ${MAX_TRACK_POINTS} points`);
+		}
+		if (!points.every(isValidLocation)) {
+			throw invalid('Track points require a valid lat and lng');
+		}
+		return {
+			id: requireText(record.id, 'id'),
+			name: requireText(record.name, 'name'),
+			startedAt: requireNumber(record.startedAt, 'startedAt'),
+			endedAt: requireNumber(record.endedAt, 'endedAt'),
+			createdAt: requireNumber(record.createdAt, 'createdAt'),
+			updatedAt: requireNumber(record.updatedAt, 'updatedAt'),
+			points: points.map((point) => ({
+				lat: +point.lat,
+				lng: +point.lng,
+				accuracy: optionalNumber(point.accuracy),
+				timestamp: requireNumber(point.timestamp, 'point timestamp'),
+				speed: optionalNumber(point.speed),
+				heading: optionalNumber(point.heading)
+			}))
+		};
+	}
+};
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Create a file-backed sync store
+ *
+ * @param {Object} options - Store configuration
+ * @param {string} options.file - JSON file holding the store (created on first write)
+ * @returns {{list: Function, upsert: Function, remove: Function}} Store API
+ *
+ * Consistency Strategy:
+ * - The file is read once and kept in memory; this process is its only writer
+ * - Writes run one at a time and go to a temporary file that replaces the old one,
+ *   so a crash mid-write never leaves a truncated store behind
+ * - A write that loses on updatedAt changes nothing and reports the stored entry,
+ *   so the client can adopt the winner
+ */
+export const createSyncStore = ({ file }) => {
+	// The file's contents - one promise, so concurrent first calls share one state object
+	let loading = null;
+	let queue = Promise.resolve();
+
+	const readState = async () => {
+		try {
+			const stored = JSON.parse(await readFile(file, 'utf8'));
+			// Files from before sync keys hold data no key can reach - start over
+			return { owners: stored.owners ?? {} };
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+			return { owners: {} };
+		}
+	};
+
+	// A failed read is not cached, so the next call tries again
+	const load = () => {
+		loading ??= readState().catch((error) => {
+			loading = null;
+			throw error;
+		});
+		return loading;
+	};
+
+	/**
+	 * Get an owner's data, created on first use
+	 * @param {string} owner - Owner id from the request
+	 * @returns {Promise<{revision: number, collections: Object}>} Owner data
+	 */
+	const loadOwner = async (owner) => {
+		const { owners } = await load();
+		owners[owner] ??= { revision: 0, collections: {} };
+		return owners[owner];
+	};
+
+	const persist = async () => {
+		const state = await load();
+		await mkdir(dirname(file), { recursive: true });
+		const temporary = `${file}.${process.pid}.tmp`;
+		await writeFile(temporary, JSON.stringify(state));
+		await rename(temporary, file);
+	};
+
+	// Run after every earlier write; a failure rejects this call only
+	const serialize = (task) => {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	/**
+	 * Store an entry unless the stored one is newer
+	 * @returns {Promise<{applied: boolean, entry: Object, revision: number}>}
+	 */
+	const write = (owner, collection, id, updatedAt, data) =>
+		serialize(async () => {
+			const scope = await loadOwner(owner);
+			const entries = (scope.collections[collection] ??= {});
+			const stored = entries[id];
+
+			// LAST WRITER WINS: Equal timestamps are the same write replayed - nothing to do
+			if (stored && stored.updatedAt >= updatedAt) {
+				return { applied: false, entry: stored, revision: scope.revision };
+			}
+
+			const entry = { id, revision: scope.revision + 1, updatedAt, deleted: !data, data };
+			entries[id] = entry;
+			scope.revision = entry.revision;
+			try {
+				await persist();
+			} catch (error) {
+				// ROLLBACK: Memory must not get ahead of the file
+				if (stored) entries[id] = stored;
+				else delete entries[id];
+				scope.revision--;
+				throw error;
+			}
+			return { applied: true, entry, revision: scope.revision };
+		});
+
+	return {
+		/**
+		 * List entries written after a revision
+		 * @param {string} owner - Owner id from the request
+		 * @param {string} collection - 'places' or 'tracks'
+		 * @param {Object} options - List options
+		 * @param {number} options.since - Only entries with a higher revision (default: 0 - everything)
+		 * @returns {Promise<{revision: number, entries: Object[]}>} Current revision and entries,
+		 *   tombstones included, oldest revision first
+		 */
+		async list(owner, collection, { since = 0 } = {}) {
+			await queue;
+			const { revision, collections } = await loadOwner(owner);
+			const entries = Object.values(collections[collection] ?? {})
+				.filter((entry) => entry.revision > since)
+				.sort((a, b) => a.revision - b.revision);
+			return { revision, entries };
+		},
+
+		/**
+		 * Insert or replace a record
+		 * @param {string} owner - Owner id from the request
+		 * @param {string} collection - 'places' or 'tracks'
+		 * @param {Object} record - Record with id and updatedAt
+		 * @returns {Promise<{applied: boolean, entry: Object, revision: number}>}
+		 * @throws {Error} With code 'invalid' if the record is invalid
+		 */
+		upsert(owner, collection, record) {
+			const data = VALIDATORS[collection](record ?? {});
+			return write(owner, collection, data.id, data.updatedAt, data);
+		},
+
+		/**
+		 * Delete a record, leaving a tombstone
+		 * @param {string} owner - Owner id from the request
+		 * @param {string} collection - 'places' or 'tracks'
+		 * @param {string} id - Record id
+		 * @param {number} updatedAt - Deletion time in epoch ms
+		 * @returns {Promise<{applied: boolean, entry: Object, revision: number}>}
+		 * @throws {Error} With code 'invalid' if the id or time is missing
+		 */
+		remove(owner, collection, id, updatedAt) {
+			return write(
+				owner,
+				collection,
+				requireText(id, 'id'),
+				requireNumber(updatedAt, 'updatedAt'),
+				null
+			);
+		}
+	};
+};
+
+// Shared store for the endpoints - one per server process
+let sharedStore = null;
+
+/**
+ * Get the server's sync store, created on first use
+ *
+ * Environment Variables:
+ * - SYNC_DATA_FILE: JSON file the store lives in (default: data/sync.json)
+ *
+ * @returns {ReturnType<typeof createSyncStore>} Store
+ */
+export const getSyncStore = () => {
+	sharedStore ??= createSyncStore({ file: env.SYNC_DATA_FILE || DEFAULT_DATA_FILE });
+	return sharedStore;
+};
@@ -0,0 +1,143 @@
+/**
+ * Command history
+ * Undo/redo for user edits (marker moves, saved location and place changes)
+ *
+ * This module provides:
+ * - Undo and redo stacks of reversible commands with a size limit
+ * - Serialized execution - an undo never overlaps a redo or a new edit, so the
+ *   persisted state and the stacks cannot drift apart
+ * - Change notifications for toolbar buttons (availability and labels)
+ *
+ * Command shape:
+ * {
+ *   label: string,                  // shown in the toolbar, e.g. "marker drag"
+ *   apply(): Promise<void>|void,    // (re)does the change, including persistence
+ *   revert(): Promise<void>|void    // undoes it, including persistence
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Oldest commands are forgotten beyond this many undo steps
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Create a command history
+ *
+ * @param {Object} options - History configuration
+ * @param {number} options.limit - Maximum undo steps kept (default: 100)
+ * @param {Function} options.onChange - Called with {canUndo, canRedo, undoLabel, redoLabel}
+ *   after every change to the stacks
+ * @returns {{execute: Function, record: Function, undo: Function, redo: Function, clear: Function, getState: Function}}
+ *   History controls
+ *
+ * Consistency Strategy:
+ * - Every operation runs on one promise queue, in call order
+ * - A command moves between stacks only after its apply/revert succeeded; a failed
+ *   undo leaves it on the undo stack so the user can retry
+ * - A new edit clears the redo stack (redoing on top of it would replay stale state)
+ */
+export const createCommandHistory = (options = {}) => {
+	const { limit = DEFAULT_HISTORY_LIMIT, onChange = () => {} } = options;
+
+	// HISTORY STATE: Undo and redo stacks (last item is the next to undo/redo) and the queue tail
+	const undoStack = [];
+	const redoStack = [];
+	let queue = Promise.resolve();
+
+	const getState = () => ({
+		canUndo: undoStack.length > 0,
+		canRedo: redoStack.length > 0,
+		undoLabel: undoStack.at(-1)?.label ?? null,
+		redoLabel: redoStack.at(-1)?.label ?? null
+	});
+
+	// Run after everything queued before; a failure rejects this call only, not later ones
+	const enqueue = (task) => {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	const push = (command) => {
+		undoStack.push(command);
+		if (undoStack.length > limit) undoStack.shift();
+		redoStack.length = 0;
+		onChange(getState());
+	};
+
+	return {
+		/**
+		 * Apply a command and make it undoable
+		 * @param {Object} command - Command (see module docs)
+		 * @returns {Promise<void>} Resolves once applied; rejects (and records nothing) if apply fails
+		 */
+		execute(command) {
+			return enqueue(async () => {
+				await command.apply();
+				push(command);
+			});
+		},
+
+		/**
+		 * Make a change that has already been applied undoable
+		 * @param {Object} command - Command (see module docs)
+		 * @returns {Promise<void>} Resolves once recorded
+		 */
+		record(command) {
+			return enqueue(() => push(command));
+		},
+
+		/**
+		 * Revert the most recent command
+		 * @returns {Promise<boolean>} False when there was nothing to undo
+		 */
+		undo() {
+			return enqueue(async () => {
+				const command = undoStack.at(-1);
+				if (!command) return false;
+
+				await command.revert();
+				redoStack.push(undoStack.pop());
+				onChange(getState());
+				return true;
+			});
+		},
+
+		/**
+		 * Re-apply the most recently undone command
+		 * @returns {Promise<boolean>} False when there was nothing to redo
+		 */
+		redo() {
+			return enqueue(async () => {
+				const command = redoStack.at(-1);
+				if (!command) return false;
+
+				await command.apply();
+				undoStack.push(redoStack.pop());
+				onChange(getState());
+				return true;
+			});
+		},
+
+		/**
+		 * Forget all commands (e.g. after an import replaced the data they refer to)
+		 * @returns {Promise<void>}
+		 */
+		clear() {
+			return enqueue(() => {
+				undoStack.length = 0;
+				redoStack.length = 0;
+				onChange(getState());
+			});
+		},
+
+		getState
+	};
+};
@@ -0,0 +1,816 @@
+/**
+ * Coordinate formats
+ * Formats positions for people and parses whatever they paste back
+ *
+ * This module provides:
+ * - Formatters: decimal degrees, DMS, DDM, UTM, MGRS, geohash and Plus Codes
+ * - A tolerant parser accepting any of those plus Google Maps URLs and geo: URIs
+ * - Validated {lat, lng} results (see isValidLocation) with descriptive errors
+ *
+ * Grid systems:
+ * - UTM/MGRS use the WGS84 ellipsoid and cover 80°S to 84°N (polar UPS is not supported)
+ * - UTM strings carry the latitude band letter (C-X), as MGRS does - bands C-M are south
+ *   of the equator, N-X north - so "33S" means band S (northern hemisphere)
+ */
+
+import { isValidLocation } from './locationUtils.js';
+import { normalizeLongitude } from './geometry.js';
+
+// ============================================================================
+// FORMAT REGISTRY
+// ============================================================================
+
+/**
+ * Supported formats, in the order shown by format pickers
+ */
+export const COORDINATE_FORMATS = [
+	{ id: 'decimal', label: 'Decimal degrees' },
+	{ id: 'dms', label: 'Degrees, minutes, seconds' },
+	{ id: 'ddm', label: 'Degrees, decimal minutes' },
+	{ id: 'utm', label: 'UTM' },
+	{ id: 'mgrs', label: 'MGRS' },
+	{ id: 'geohash', label: 'Geohash' },
+	{ id: 'pluscode', label: 'Plus Code' }
+];
+
+// ============================================================================
+// DEGREE FORMATS
+// ============================================================================
+
+/**
+ * Split an absolute angle into whole degrees and minutes (and seconds), rounding once
+ * at the requested precision so 59.9999" becomes the next minute instead of 60.0"
+ *
+ * @param {number} value - Absolute angle in degrees
+ * @param {number} parts - 2 for degrees/minutes, 3 for degrees/minutes/seconds
+ * @param {number} decimals - Decimal places of the last part
+ * @returns {Array<number>} [degrees, minutes] or [degrees, minutes, seconds]
+ */
+const splitAngle = (value, parts, decimals) => {
+	const unitsPerDegree = (parts === 3 ? 3600 : 60) * 10 ** decimals;
+	let units = Math.round(value * unitsPerDegree);
+
+	const degrees = Math.floor(units / unitsPerDegree);
+	units -= degrees * unitsPerDegree;
+	if (parts === 2) {
+		return [degrees, units / 10 ** decimals];
+	}
+
+	const unitsPerMinute = 60 * 10 ** decimals;
+	const minutes = Math.floor(units / unitsPerMinute);
+	return [degrees, minutes, (units - minutes * unitsPerMinute) / 10 ** decimals];
+};
+
+/**
+ * Zero-pad the integer part of a number (e.g. 5.25 -> "05.25")
+ * @param {number} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} Padded string
+ */
+const pad2 = (value, decimals) =>
+	value.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+
+/**
+ * Format as decimal degrees, e.g. "30.03300, 31.23300"
+ * @param {Object} location - {lat, lng}
+ * @param {number} precision - Decimal places (default: 5, ~1m)
+ * @returns {string} Formatted coordinates
+ */
+export const formatDecimal = ({ lat, lng }, precision = 5) =>
+	`${(+lat).toFixed(precision)}, ${(+lng).toFixed(precision)}`;
+
+/**
+ * Format as degrees, minutes, seconds, e.g. 30°01'58.8"N 31°13'58.8"E
+ * @param {Object} location - {lat, lng}
+ * @param {number} precision - Decimal places of the seconds (default: 1, ~3m)
+ * @returns {string} Formatted coordinates
+ */
+export const formatDMS = ({ lat, lng }, precision = 1) => {
+	const part = (value, positive, negative) => {
+		const [d, m, s] = splitAngle(Math.abs(value), 3, precision);
+		return `${d}°${pad2(m, 0)}'${pad2(s, precision)}"${value < 0 ? negative : positive}`;
+	};
+	return `${part(+lat, 'N', 'S')} ${part(+lng, 'E', 'W')}`;
+};
+
+/**
+ * Format as degrees and decimal minutes, e.g. 30°01.980'N 31°13.980'E
+ * @param {Object} location - {lat, lng}
+ * @param {number} precision - Decimal places of the minutes (default: 3, ~2m)
+ * @returns {string} Formatted coordinates
+ */
+export const formatDDM = ({ lat, lng }, precision = 3) => {
+	const part = (value, positive, negative) => {
+		const [d, m] = splitAngle(Math.abs(value), 2, precision);
+		return `${d}°${pad2(m, precision)}'${value < 0 ? negative : positive}`;
+	};
+	return `${part(+lat, 'N', 'S')} ${part(+lng, 'E', 'W')}`;
+};
+
+// ============================================================================
+// UTM AND MGRS (WGS84)
+// ============================================================================
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const E2 = WGS84_F * (2 - WGS84_F); // First eccentricity squared
+const EP2 = E2 / (1 - E2); // Second eccentricity squared
+const K0 = 0.9996; // Central meridian scale factor
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+// Latitude bands, 8° each from 80°S (X is stretched to 84°N)
+const BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100km square letters (I and O are skipped to avoid confusion with 1 and 0)
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Smallest UTM northing (meters) inside each latitude band - resolves the 2000km row cycle
+const BAND_MIN_NORTHING = {
+	C: 1100000,
+	D: 2000000,
+	E: 2800000,
+	F: 3700000,
+	G: 4600000,
+	H: 5500000,
+	J: 6400000,
+	K: 7300000,
+	L: 8200000,
+	M: 9100000,
+	N: 0,
+	P: 800000,
+	Q: 1700000,
+	R: 2600000,
+	S: 3500000,
+	T: 4400000,
+	U: 5300000,
+	V: 6200000,
+	W: 7000000,
+	X: 7900000
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * UTM zone number for a position, including the Norway and Svalbard exceptions
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} Zone 1-60
+ */
+const getUtmZone = (lat, lng) => {
+	if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+	if (lat >= 72 && lat < 84) {
+		if (lng >= 0 && lng < 9) return 31;
+		if (lng >= 9 && lng < 21) return 33;
+		if (lng >= 21 && lng < 33) return 35;
+		if (lng >= 33 && lng < 42) return 37;
+	}
+	return Math.min(60, Math.floor((lng + 180) / 6) + 1);
+};
+
+/**
+ * Meridian arc length from the equator (Snyder, USGS PP 1395, eq. 3-21)
+ * @param {number} phi - Latitude in radians
+ * @returns {number} Arc length in meters
+ */
+const meridianArc = (phi) =>
+	WGS84_A *
+	((1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256) * phi -
+		((3 * E2) / 8 + (3 * E2 ** 2) / 32 + (45 * E2 ** 3) / 1024) * Math.sin(2 * phi) +
+		((15 * E2 ** 2) / 256 + (45 * E2 ** 3) / 1024) * Math.sin(4 * phi) -
+		((35 * E2 ** 3) / 3072) * Math.sin(6 * phi));
+
+/**
+ * Convert a position to UTM
+ *
+ * @param {Object} location - {lat, lng}
+ * @returns {{zone: number, band: string, easting: number, northing: number}} UTM coordinates
+ * @throws {Error} Outside 80°S-84°N (polar regions use UPS)
+ */
+export const toUTM = ({ lat, lng }) => {
+	lat = +lat;
+	lng = normalizeLongitude(lng);
+	if (lat < -80 || lat > 84) {
+		throw new Error('UTM is only defined between 80°S and 84°N');
+	}
+
+	const zone = getUtmZone(lat, lng);
+	const band = BAND_LETTERS[Math.min(Math.floor((lat + 80) / 8), 19)];
+	const phi = toRadians(lat);
+	const lambda0 = toRadians((zone - 1) * 6 - 180 + 3);
+
+	const sinPhi = Math.sin(phi);
+	const cosPhi = Math.cos(phi);
+	const N = WGS84_A / Math.sqrt(1 - E2 * sinPhi ** 2);
+	const T = Math.tan(phi) ** 2;
+	const C = EP2 * cosPhi ** 2;
+	const A = cosPhi * (toRadians(lng) - lambda0);
+
+	const easting =
+		K0 *
+			N *
+			(A +
+				((1 - T + C) * A ** 3) / 6 +
+				((5 - 18 * T + T ** 2 + 72 * C - 58 * EP2) * A ** 5) / 120) +
+		FALSE_EASTING;
+
+	let northing =
+		K0 *
+		(meridianArc(phi) +
+			N *
+				Math.tan(phi) *
+				(A ** 2 / 2 +
+					((5 - T + 9 * C + 4 * C ** 2) * A ** 4) / 24 +
+					((61 - 58 * T + T ** 2 + 600 * C - 330 * EP2) * A ** 6) / 720));
+	if (lat < 0) northing += FALSE_NORTHING_SOUTH;
+
+	return { zone, band, easting, northing };
+};
+
+/**
+ * Convert UTM coordinates to a position
+ *
+ * @param {Object} utm - UTM coordinates
+ * @param {number} utm.zone - Zone 1-60
+ * @param {string} utm.band - Latitude band letter (C-X), decides the hemisphere
+ * @param {number} utm.easting - Easting in meters
+ * @param {number} utm.northing - Northing in meters
+ * @returns {{lat: number, lng: number}} Position
+ */
+export const fromUTM = ({ zone, band, easting, northing }) => {
+	if (!(zone >= 1 && zone <= 60)) {
+		throw new Error(`Invalid UTM zone: ${zone}`);
+	}
+	const south = band.toUpperCase() < 'N';
+
+	const x = easting - FALSE_EASTING;
+	const y = south ? northing - FALSE_NORTHING_SOUTH : northing;
+
+	// FOOTPOINT LATITUDE: Latitude whose meridian arc equals the northing
+	const mu = y / K0 / (WGS84_A * (1 - E2 / 4 - (3 * E2 ** 2) / 64 - (5 * E2 ** 3) / 256));
+	const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+	const phi1 =
+		mu +
+		((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+		((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+		((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+		((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+	const sinPhi1 = Math.sin(phi1);
+	const cosPhi1 = Math.cos(phi1);
+	const N1 = WGS84_A / Math.sqrt(1 - E2 * sinPhi1 ** 2);
+	const T1 = Math.tan(phi1) ** 2;
+	const C1 = EP2 * cosPhi1 ** 2;
+	const R1 = (WGS84_A * (1 - E2)) / (1 - E2 * sinPhi1 ** 2) ** 1.5;
+	const D = x / (N1 * K0);
+
+	const phi =
+		phi1 -
+		((N1 * Math.tan(phi1)) / R1) *
+			(D ** 2 / 2 -
+				((5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * EP2) * D ** 4) / 24 +
+				((61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * EP2 - 3 * C1 ** 2) * D ** 6) / 720);
+	const lambda =
+		(D -
+			((1 + 2 * T1 + C1) * D ** 3) / 6 +
+			((5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * EP2 + 24 * T1 ** 2) * D ** 5) / 120) /
+		cosPhi1;
+
+	return {
+		lat: toDegrees(phi),
+		lng: normalizeLongitude((zone - 1) * 6 - 180 + 3 + toDegrees(lambda))
+	};
+};
+
+/**
+ * Format as UTM, e.g. "36R 330000mE 3323000mN"
+ * @param {Object} location - {lat, lng}
+ * @returns {string} Formatted coordinates (meter precision)
+ */
+export const formatUTM = (location) => {
+	const { zone, band, easting, northing } = toUTM(location);
+	return `${zone}${band} ${Math.floor(easting)}mE ${Math.floor(northing)}mN`;
+};
+
+/**
+ * Format as an MGRS grid reference, e.g. "36R UU 30000 23000"
+ * @param {Object} location - {lat, lng}
+ * @param {number} digits - Digits per axis, 1 (10km) to 5 (1m) (default: 5)
+ * @returns {string} Formatted grid reference
+ */
+export const formatMGRS = (location, digits = 5) => {
+	const { zone, band, easting, northing } = toUTM(location);
+	const set = (zone - 1) % 6; // Six letter sets repeat across zones
+
+	const column = MGRS_COLUMN_SETS[set % 3][Math.floor(easting / 100000) - 1];
+	const rowOffset = set % 2 === 1 ? 5 : 0; // Even-numbered sets start at F
+	const row = MGRS_ROW_LETTERS[(Math.floor(northing / 100000) + rowOffset) % 20];
+
+	// TRUNCATE (not round) - a grid reference names the square the point is in
+	const scale = 10 ** (5 - digits);
+	const e = String(Math.floor((easting % 100000) / scale)).padStart(digits, '0');
+	const n = String(Math.floor((northing % 100000) / scale)).padStart(digits, '0');
+	return `${zone}${band} ${column}${row} ${e} ${n}`;
+};
+
+/**
+ * Convert an MGRS grid reference to the center of the square it names
+ *
+ * @param {string} text - Grid reference, spaces optional (e.g. "36RUU3000023000")
+ * @returns {{lat: number, lng: number}} Position
+ * @throws {Error} If the reference is malformed
+ */
+export const fromMGRS = (text) => {
+	const match = text
+		.replace(/\s+/g, '')
+		.toUpperCase()
+		.match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/);
+	if (!match || match[5].length % 2 !== 0 || match[5].length > 10) {
+		throw new Error(`Invalid MGRS reference: ${text}`);
+	}
+
+	const [, zoneText, band, columnLetter, rowLetter, digits] = match;
+	const zone = +zoneText;
+	const set = (zone - 1) % 6;
+
+	const column = MGRS_COLUMN_SETS[set % 3].indexOf(columnLetter);
+	const rowOffset = set % 2 === 1 ? 5 : 0;
+	const row = (MGRS_ROW_LETTERS.indexOf(rowLetter) - rowOffset + 20) % 20;
+	if (column < 0) {
+		throw new Error(`Invalid MGRS column letter ${columnLetter} for zone ${zone}`);
+	}
+
+	// PRECISION: Half the square size puts the result at the square's center
+	const precision = digits.length / 2;
+	const scale = 10 ** (5 - precision);
+	const offsetE = precision ? +digits.slice(0, precision) * scale : 0;
+	const offsetN = precision ? +digits.slice(precision) * scale : 0;
+
+	const easting = (column + 1) * 100000 + offsetE + scale / 2;
+	let northing = row * 100000 + offsetN + scale / 2;
+
+	// ROW CYCLE: Row letters repeat every 2000km - step up into the band
+	while (northing < BAND_MIN_NORTHING[band]) northing += 2000000;
+
+	return fromUTM({ zone, band, easting, northing });
+};
+
+// ============================================================================
+// GEOHASH
+// ============================================================================
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a position as a geohash
+ * @param {Object} location - {lat, lng}
+ * @param {number} length - Characters (default: 9, ~5m)
+ * @returns {string} Geohash
+ */
+export const encodeGeohash = ({ lat, lng }, length = 9) => {
+	const latRange = [-90, 90];
+	const lngRange = [-180, 180];
+	const values = [+lat, normalizeLongitude(lng)];
+	let hash = '';
+	let bits = 0;
+	let bitCount = 0;
+	let even = true; // Bits alternate longitude, latitude, starting with longitude
+
+	while (hash.length < length) {
+		const range = even ? lngRange : latRange;
+		const value = even ? values[1] : values[0];
+		const mid = (range[0] + range[1]) / 2;
+		bits <<= 1;
+		if (value >= mid) {
+			bits |= 1;
+			range[0] = mid;
+		} else {
+			range[1] = mid;
+		}
+		even = !even;
+
+		if (++bitCount === 5) {
+			hash += GEOHASH_ALPHABET[bits];
+			bits = 0;
+			bitCount = 0;
+		}
+	}
+	return hash;
+};
+
+/**
+ * Decode a geohash to the center of its cell
+ * @param {string} hash - Geohash (case-insensitive)
+ * @returns {{lat: number, lng: number}} Cell center
+ * @throws {Error} If the hash contains invalid characters
+ */
+export const decodeGeohash = (hash) => {
+	const latRange = [-90, 90];
+	const lngRange = [-180, 180];
+	let even = true;
+
+	for (const char of hash.toLowerCase()) {
+		const value = GEOHASH_ALPHABET.indexOf(char);
+		if (value < 0) {
+			throw new Error(`Invalid geohash character: ${char}`);
+		}
+		for (let bit = 4; bit >= 0; bit--) {
+			const range = even ? lngRange : latRange;
+			range[(value >> bit) & 1 ? 0 : 1] = (range[0] + range[1]) / 2;
+			even = !even;
+		}
+	}
+
+	return { lat: (latRange[0] + latRange[1]) / 2, lng: (lngRange[0] + lngRange[1]) / 2 };
+};
+
+// ============================================================================
+// PLUS CODES (OPEN LOCATION CODE)
+// ============================================================================
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_SEPARATOR_POSITION = 8;
+const OLC_PAIR_LENGTH = 10;
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+
+// Integer resolution of a full 15-digit code - avoids floating point drift while encoding
+const OLC_LAT_PRECISION = 8000 * OLC_GRID_ROWS ** 5;
+const OLC_LNG_PRECISION = 8000 * OLC_GRID_COLUMNS ** 5;
+
+/**
+ * Encode a position as a full Plus Code
+ * @param {Object} location - {lat, lng}
+ * @param {number} length - Significant digits, 10 (~14m) or 11-15 (default: 10)
+ * @returns {string} Plus Code, e.g. "7GXHX6J4+FV"
+ */
+export const encodePlusCode = ({ lat, lng }, length = 10) => {
+	// CLIP: Latitude 90 would start a new row outside the grid
+	const clippedLat = Math.min(Math.max(+lat, -90), 90);
+	let latValue = Math.floor((clippedLat + 90) * OLC_LAT_PRECISION);
+	let lngValue = Math.floor((normalizeLongitude(lng) + 180) * OLC_LNG_PRECISION);
+	latValue = Math.min(latValue, 180 * OLC_LAT_PRECISION - 1);
+
+	let grid = '';
+	if (length > OLC_PAIR_LENGTH) {
+		for (let i = 0; i < 5; i++) {
+			grid =
+				OLC_ALPHABET[
+					(latValue % OLC_GRID_ROWS) * OLC_GRID_COLUMNS + (lngValue % OLC_GRID_COLUMNS)
+				] + grid;
+			latValue = Math.floor(latValue / OLC_GRID_ROWS);
+			lngValue = Math.floor(lngValue / OLC_GRID_COLUMNS);
+		}
+		grid = grid.slice(0, length - OLC_PAIR_LENGTH);
+	} else {
+		latValue = Math.floor(latValue / OLC_GRID_ROWS ** 5);
+		lngValue = Math.floor(lngValue / OLC_GRID_COLUMNS ** 5);
+	}
+
+	let pairs = '';
+	for (let i = 0; i < OLC_PAIR_LENGTH / 2; i++) {
+		pairs = OLC_ALPHABET[latValue % 20] + OLC_ALPHABET[lngValue % 20] + pairs;
+		latValue = Math.floor(latValue / 20);
+		lngValue = Math.floor(lngValue / 20);
+	}
+
+	return `${pairs.slice(0, OLC_SEPARATOR_POSITION)}+${pairs.slice(OLC_SEPARATOR_POSITION)}${grid}`;
+};
+
+/**
+ * Decode a full Plus Code to the center of its area
+ * @param {string} code - Full code, optionally zero-padded (e.g. "7GXH0000+")
+ * @returns {{lat: number, lng: number}} Area center
+ * @throws {Error} If the code is malformed
+ */
+export const decodePlusCode = (code) => {
+	const clean = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+	const validPairs =
+		clean.length >= OLC_PAIR_LENGTH || (clean.length >= 2 && clean.length % 2 === 0);
+	if (
+		code.indexOf('+') !== OLC_SEPARATOR_POSITION ||
+		!/^[23456789CFGHJMPQRVWX]+$/.test(clean) ||
+		!validPairs
+	) {
+		throw new Error(`Invalid Plus Code: ${code}`);
+	}
+
+	let lat = -90;
+	let lng = -180;
+	let latSize = 400; // First pair digit steps are 20°, so the "previous" cell is 400°
+	let lngSize = 400;
+
+	const pairDigits = clean.slice(0, OLC_PAIR_LENGTH);
+	for (let i = 0; i < pairDigits.length; i += 2) {
+		latSize /= 20;
+		lngSize /= 20;
+		lat += OLC_ALPHABET.indexOf(pairDigits[i]) * latSize;
+		lng += OLC_ALPHABET.indexOf(pairDigits[i + 1]) * lngSize;
+	}
+
+	for (const char of clean.slice(OLC_PAIR_LENGTH)) {
+		const value = OLC_ALPHABET.indexOf(char);
+		latSize /= OLC_GRID_ROWS;
+		lngSize /= OLC_GRID_COLUMNS;
+		lat += Math.floor(value / OLC_GRID_COLUMNS) * latSize;
+		lng += (value % OLC_GRID_COLUMNS) * lngSize;
+	}
+
+	return {
+		lat: Math.min(lat + latSize / 2, 90),
+		lng: normalizeLongitude(lng + lngSize / 2)
+	};
+};
+
+/**
+ * Recover a full Plus Code from a short one using a nearby reference position
+ * (Open Location Code "recoverNearest" algorithm)
+ *
+ * @param {string} shortCode - Code missing leading digits, e.g. "J4FV+X2"
+ * @param {Object} reference - Position the code is near, e.g. the map center
+ * @returns {{lat: number, lng: number}} Decoded position nearest the reference
+ */
+export const recoverPlusCode = (shortCode, reference) => {
+	const code = shortCode.toUpperCase();
+	const paddingLength = OLC_SEPARATOR_POSITION - code.indexOf('+');
+	if (paddingLength <= 0) {
+		return decodePlusCode(code);
+	}
+
+	// Reference digits fill in the missing prefix
+	const prefix = encodePlusCode(reference).slice(0, paddingLength);
+	const decoded = decodePlusCode(prefix + code);
+
+	// NEAREST CELL: The prefix may pick the wrong neighbour near a cell edge
+	const resolution = 20 ** (2 - paddingLength / 2);
+	const half = resolution / 2;
+	let { lat, lng } = decoded;
+
+	if (+reference.lat + half < lat && lat - resolution >= -90) lat -= resolution;
+	else if (+reference.lat - half > lat && lat + resolution <= 90) lat += resolution;
+
+	const refLng = normalizeLongitude(reference.lng);
+	if (refLng + half < lng) lng -= resolution;
+	else if (refLng - half > lng) lng += resolution;
+
+	return { lat, lng: normalizeLongitude(lng) };
+};
+
+// ============================================================================
+// FORMATTING ENTRY POINT
+// ============================================================================
+
+/**
+ * Format a position in any supported format
+ *
+ * @param {Object} location - {lat, lng}
+ * @param {string} format - Format id from COORDINATE_FORMATS (default: 'decimal')
+ * @returns {string} Formatted coordinates, or '' for invalid locations
+ */
+export const formatCoordinates = (location, format = 'decimal') => {
+	if (!isValidLocation(location)) return '';
+
+	switch (format) {
+		case 'decimal':
+			return formatDecimal(location);
+		case 'dms':
+			return formatDMS(location);
+		case 'ddm':
+			return formatDDM(location);
+		case 'utm':
+			return formatUTM(location);
+		case 'mgrs':
+			return formatMGRS(location);
+		case 'geohash':
+			return encodeGeohash(location);
+		case 'pluscode':
+			return encodePlusCode(location);
+		default:
+			throw new Error(`Unknown coordinate format: ${format}`);
+	}
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// "lat,lng" pair inside URLs and URIs
+const URL_PAIR = '(-?\\d+(?:\\.\\d+)?),\\s*(-?\\d+(?:\\.\\d+)?)';
+
+/**
+ * Extract coordinates from a Google Maps URL or geo: URI
+ * @param {string} text - Trimmed input
+ * @returns {{lat: number, lng: number}|null} Position, or null if the text is not a map link
+ * @throws {Error} For short links that need a network round trip to expand
+ */
+const parseMapLink = (text) => {
+	if (/^geo:/i.test(text)) {
+		const match = text.match(new RegExp(`^geo:${URL_PAIR}`, 'i'));
+		return match ? { lat: +match[1], lng: +match[2] } : null;
+	}
+	if (!/^https?:\/\//i.test(text)) return null;
+
+	if (/goo\.gl\//i.test(text)) {
+		throw new Error('Short map links cannot be read - open the link and copy the full URL');
+	}
+
+	let decoded = text;
+	try {
+		decoded = decodeURIComponent(text);
+	} catch {
+		// Malformed escapes - match against the raw text
+	}
+
+	// PLACE PIN: !3d<lat>!4d<lng> is the dropped pin, more precise than the viewport
+	const pin = decoded.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+	if (pin) return { lat: +pin[1], lng: +pin[2] };
+
+	// QUERY PARAMETERS: q=, query=, ll=, center=, destination=, daddr=
+	const param = decoded.match(
+		new RegExp(`[?&](?:q|query|ll|sll|center|destination|daddr)=(?:loc:)?\\s*${URL_PAIR}`, 'i')
+	);
+	if (param) return { lat: +param[1], lng: +param[2] };
+
+	// VIEWPORT: /@<lat>,<lng>,<zoom>z
+	const viewport = decoded.match(new RegExp(`@${URL_PAIR}`));
+	if (viewport) return { lat: +viewport[1], lng: +viewport[2] };
+
+	throw new Error('No coordinates found in this link');
+};
+
+/**
+ * Parse degree notations: decimal, DMS and DDM with symbols, letters or signs
+ * Examples: "30.033, 31.233", "30°01'58.8\"N 31°13'58.8\"E", "N 30 01.98 E 31 13.98",
+ * "-33 52 04, 151 12 26"
+ *
+ * @param {string} text - Trimmed input
+ * @returns {{lat: number, lng: number}|null} Position, or null if the text is not degrees
+ * @throws {Error} For degree-like text with out-of-range minutes or seconds
+ */
+const parseDegrees = (text) => {
+	// NORMALIZE: Typographic symbols and spelled-out units
+	const normalized = text
+		.toUpperCase()
+		.replace(/[º˚]/g, '°')
+		.replace(/[′’‘`]/g, "'")
+		.replace(/[″“”]|''/g, '"')
+		.replace(/\bDEG(REES?)?\b|(\d)\s*D\b/g, (match, _, digit) => (digit ? `${digit}°` : '°'));
+
+	// Anything besides numbers, units, hemispheres and separators means this is not degrees
+	if (!/^[\d\s.,;°'"NSEW+-]+$/.test(normalized)) return null;
+
+	const tokens = [...normalized.matchAll(/([+-]?\d+(?:\.\d+)?)\s*([°'"]?)|([NSEW])|([,;/])/g)].map(
+		([, number, unit, hemisphere, separator]) =>
+			number !== undefined ? { number: +number, unit } : hemisphere ? { hemisphere } : { separator }
+	);
+
+	// GROUPING: Hemisphere letters (prefix or suffix), a separator, or units delimit the two values
+	const groups = [];
+	let current = { numbers: [], hemisphere: null };
+	const hemispherePrefix = Boolean(tokens[0]?.hemisphere);
+	const flush = () => {
+		if (current.numbers.length || current.hemisphere) groups.push(current);
+		current = { numbers: [], hemisphere: null };
+	};
+
+	for (const token of tokens) {
+		if (token.separator) {
+			flush();
+		} else if (token.hemisphere) {
+			if (hemispherePrefix) {
+				flush();
+				current.hemisphere = token.hemisphere;
+			} else {
+				current.hemisphere = token.hemisphere;
+				flush();
+			}
+		} else {
+			// A degree symbol after other numbers starts the second value
+			if (token.unit === '°' && current.numbers.length > 0) flush();
+			current.numbers.push(token.number);
+		}
+	}
+	flush();
+
+	// UNDELIMITED: "30 01 58 31 13 58" - split the numbers evenly
+	if (
+		groups.length === 1 &&
+		!groups[0].hemisphere &&
+		[2, 4, 6].includes(groups[0].numbers.length)
+	) {
+		const half = groups[0].numbers.length / 2;
+		groups.splice(
+			0,
+			1,
+			{ numbers: groups[0].numbers.slice(0, half) },
+			{ numbers: groups[0].numbers.slice(half) }
+		);
+	}
+	if (
+		groups.length !== 2 ||
+		groups.some((group) => group.numbers.length < 1 || group.numbers.length > 3)
+	) {
+		return null;
+	}
+
+	const toDecimal = ({ numbers, hemisphere }) => {
+		const [degrees, minutes = 0, seconds = 0] = numbers;
+		if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) {
+			throw new Error('Minutes and seconds must be between 0 and 60');
+		}
+		const negative =
+			degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W';
+		const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+		return negative ? -value : value;
+	};
+
+	const [first, second] = groups;
+	const values = [toDecimal(first), toDecimal(second)];
+
+	// ORDER: Letters may put longitude first ("31.2E 30.0N"); otherwise latitude comes first
+	const firstIsLongitude =
+		first.hemisphere === 'E' ||
+		first.hemisphere === 'W' ||
+		second.hemisphere === 'N' ||
+		second.hemisphere === 'S';
+	return firstIsLongitude ? { lat: values[1], lng: values[0] } : { lat: values[0], lng: values[1] };
+};
+
+/**
+ * Try each format in recognition order
+ * @param {string} text - Trimmed input
+ * @param {Object} [reference] - Reference position for short Plus Codes
+ * @returns {{lat: number, lng: number}|null} Position, or null if nothing matched
+ */
+const parseFormats = (text, reference) => {
+	const link = parseMapLink(text);
+	if (link) return link;
+
+	// PLUS CODE: Locality text after a short code ("J4FV+X2 Cairo") is ignored
+	const plusCode = text.match(/^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(\s.*)?$/i);
+	if (plusCode) {
+		const code = plusCode[1];
+		if (code.indexOf('+') === OLC_SEPARATOR_POSITION) return decodePlusCode(code);
+		if (!reference) {
+			throw new Error('Short Plus Codes need a nearby position - enter the full code');
+		}
+		return recoverPlusCode(code, reference);
+	}
+
+	if (/^\d{1,2}\s*[C-HJ-NP-X]\s*[A-HJ-NP-Z]\s*[A-HJ-NP-V]\s*(\d+\s*\d*)?$/i.test(text)) {
+		return fromMGRS(text);
+	}
+
+	const utm = text.match(
+		/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:m\s*E?|E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:m\s*N?|N)?$/i
+	);
+	if (utm) {
+		return fromUTM({ zone: +utm[1], band: utm[2], easting: +utm[3], northing: +utm[4] });
+	}
+
+	const degrees = parseDegrees(text);
+	if (degrees) return degrees;
+
+	if (/^(?=.*[b-hjkmnp-z])[0-9b-hjkmnp-z]{4,12}$/i.test(text)) {
+		return decodeGeohash(text);
+	}
+
+	return null;
+};
+
+/**
+ * Parse coordinates in any supported format
+ *
+ * @param {string} input - Text typed or pasted by the user
+ * @param {Object} options - Parser options
+ * @param {Object} options.reference - Nearby position used to expand short Plus Codes
+ * @returns {{lat: number, lng: number}} Validated position
+ * @throws {Error} If the text matches no format or the result is out of range
+ *
+ * Recognition order (first match wins):
+ * 1. Google Maps URLs and geo: URIs
+ * 2. Plus Codes (full, or short with a reference position)
+ * 3. MGRS grid references
+ * 4. UTM ("36R 330000 3323000", "m", "mE"/"mN" suffixes optional)
+ * 5. Degree notations (decimal, DMS, DDM)
+ * 6. Geohashes (4+ characters with at least one letter)
+ */
+export const parseCoordinates = (input, { reference } = {}) => {
+	const text = typeof input === 'string' ? input.trim() : '';
+	if (!text) {
+		throw new Error('Enter coordinates');
+	}
+
+	const location = parseFormats(text, reference);
+	if (!location) {
+		throw new Error(`Unrecognized coordinates: ${text}`);
+	}
+
+	const result = { lat: +location.lat, lng: +location.lng };
+	if (!isValidLocation(result)) {
+		throw new Error('Coordinates are out of range (latitude ±90, longitude ±180)');
+	}
+	return result;
+};
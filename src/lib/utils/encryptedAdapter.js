@@ -0,0 +1,336 @@
+/**
+ * Encrypted storage adapter
+ * Wraps any storage backend so location data is stored encrypted at rest
+ *
+ * This module provides:
+ * - Passphrase key derivation (PBKDF2-SHA-256) and record encryption (AES-GCM) via WebCrypto
+ * - A StorageAdapter wrapper that seals records on write and opens them on read
+ * - Keyed digests (HMAC-SHA-256) for record keys that contain coordinates (geocoding cache)
+ *
+ * Sealed record shape:
+ * {
+ *   ...plain fields,           // keys, index fields and updatedAt - see SEALED_STORES
+ *   sealed: {
+ *     iv: string,              // base64 AES-GCM nonce, new for every write
+ *     data: string             // base64 ciphertext of the remaining fields as JSON
+ *   }
+ * }
+ *
+ * Plain fields stay readable so the backend can still key, index, order and prune
+ * records, and last-writer-wins can compare updatedAt without the passphrase.
+ * Stores not listed in SEALED_STORES (sync bookkeeping, settings) pass through unchanged.
+ */
+
+import { STORES, STORE_KEYS } from './storageAdapters.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// PBKDF2 work factor for new passphrases (OWASP 2023 figure for SHA-256);
+// stored with each configuration, so raising it never locks out existing data
+const PBKDF2_ITERATIONS = 600000;
+
+// Known plaintext sealed with the keys - a wrong passphrase fails to open it
+const CHECK_VALUE = 'map-location-db';
+
+// Fields each sealed store keeps in plain text; everything else is encrypted
+const SEALED_STORES = Object.freeze({
+	[STORES.USER_LOCATION]: ['updatedAt'],
+	[STORES.PLACES]: ['id', 'createdAt', 'updatedAt'],
+	[STORES.TRACKS]: ['id', 'startedAt', 'endedAt', 'createdAt', 'updatedAt'],
+	[STORES.TRACK_POINTS]: ['id', 'trackId', 'timestamp'],
+	[STORES.GEOCODE_CACHE]: ['key', 'createdAt'],
+	[STORES.ZONES]: ['id', 'createdAt', 'updatedAt'],
+	[STORES.MEASUREMENTS]: ['id', 'createdAt', 'updatedAt']
+});
+
+// Stores whose record keys are replaced by a keyed digest (the key itself is a coordinate or query)
+const DIGESTED_KEY_STORES = new Set([STORES.GEOCODE_CACHE]);
+
+/**
+ * Stores the wrapper encrypts
+ * @returns {string[]} Store names
+ */
+export const getSealedStores = () => Object.keys(SEALED_STORES);
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Whether this browser can encrypt storage (WebCrypto needs a secure context)
+ * @returns {boolean} True when crypto.subtle is available
+ */
+export const isEncryptionSupported = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+/**
+ * Encode bytes as base64 - sealed values must survive JSON backends (localStorage)
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+const toBase64 = (bytes) => {
+	let binary = '';
+	for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+	return btoa(binary);
+};
+
+/**
+ * Decode base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Create an error for operations that need the passphrase
+ * @returns {Error} Error with code 'locked'
+ */
+const lockedError = () =>
+	Object.assign(new Error('Location storage is locked - enter your passphrase'), {
+		code: 'locked'
+	});
+
+/**
+ * Derive the encryption and digest keys from a passphrase
+ * One PBKDF2 run yields 512 bits: the first half keys AES-GCM, the second HMAC
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {Object} params - Derivation parameters from the stored configuration
+ * @param {string} params.salt - Base64 salt
+ * @param {number} params.iterations - PBKDF2 iterations
+ * @returns {Promise<{cipher: CryptoKey, digest: CryptoKey}>} Non-extractable keys
+ */
+const deriveKeys = async (passphrase, { salt, iterations }) => {
+	const material = await crypto.subtle.importKey(
+		'raw',
+		new TextEncoder().encode(passphrase),
+		'PBKDF2',
+		false,
+		['deriveBits']
+	);
+	const bits = new Uint8Array(
+		await crypto.subtle.deriveBits(
+			{ name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+			material,
+			512
+		)
+	);
+
+	const [cipher, digest] = await Promise.all([
+		crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+		crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, [
+			'sign'
+		])
+	]);
+	return { cipher, digest };
+};
+
+/**
+ * Encrypt a value
+ * @param {{cipher: CryptoKey}} keys - Derived keys
+ * @param {*} value - JSON-serializable value
+ * @param {string} context - Bound as additional data, so a sealed value cannot be moved
+ *   to another store unnoticed
+ * @returns {Promise<{iv: string, data: string}>} Sealed value
+ */
+const seal = async (keys, value, context) => {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt(
+		{ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+		keys.cipher,
+		new TextEncoder().encode(JSON.stringify(value))
+	);
+	return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+/**
+ * Decrypt a value sealed by seal()
+ * @param {{cipher: CryptoKey}} keys - Derived keys
+ * @param {{iv: string, data: string}} sealed - Sealed value
+ * @param {string} context - Additional data used when sealing
+ * @returns {Promise<*>} Value
+ * @throws {Error} If the keys are wrong or the data was tampered with
+ */
+const unseal = async (keys, sealed, context) => {
+	const plain = await crypto.subtle.decrypt(
+		{
+			name: 'AES-GCM',
+			iv: fromBase64(sealed.iv),
+			additionalData: new TextEncoder().encode(context)
+		},
+		keys.cipher,
+		fromBase64(sealed.data)
+	);
+	return JSON.parse(new TextDecoder().decode(plain));
+};
+
+/**
+ * Create the stored configuration and keys for a new passphrase
+ *
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{config: Object, keys: Object}>} Configuration to store
+ *   ({salt, iterations, check} - no secret in it) and the derived keys
+ */
+export const createEncryptionConfig = async (passphrase) => {
+	const params = {
+		salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+		iterations: PBKDF2_ITERATIONS
+	};
+	const keys = await deriveKeys(passphrase, params);
+	return { config: { ...params, check: await seal(keys, CHECK_VALUE, 'check') }, keys };
+};
+
+/**
+ * Derive the keys for a stored configuration, verifying the passphrase
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {Object} config - Stored configuration from createEncryptionConfig
+ * @returns {Promise<Object>} Derived keys
+ * @throws {Error} With code 'wrong-passphrase' if the passphrase does not match
+ */
+export const unlockEncryption = async (passphrase, config) => {
+	const keys = await deriveKeys(passphrase, config);
+	try {
+		if ((await unseal(keys, config.check, 'check')) === CHECK_VALUE) return keys;
+	} catch {
+		// Decryption failure - wrong passphrase
+	}
+	throw Object.assign(new Error('Wrong passphrase'), { code: 'wrong-passphrase' });
+};
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * Wrap a storage adapter with record encryption
+ *
+ * @param {import('./storageAdapters.js').StorageAdapter} adapter - Backend to wrap
+ * @param {Function} getKeys - Returns {enabled, keys}: whether encryption is on and the
+ *   derived keys (null while locked)
+ * @returns {import('./storageAdapters.js').StorageAdapter} Adapter with the same id
+ *
+ * Encryption Strategy:
+ * - While encryption is off, every call passes straight through
+ * - While on, writes to sealed stores are encrypted; reads decrypt, and records
+ *   written before encryption was turned on are returned as they are
+ * - While locked, reads and writes of sealed records reject with code 'locked', but
+ *   deletes and plain-field queries still work (so retention and forget-all need no passphrase)
+ * - getAll filters on encrypted fields after decrypting; deleteAll only takes plain fields
+ */
+export const createEncryptedAdapter = (adapter, getKeys) => {
+	const isSealed = (store) => getKeys().enabled && Boolean(SEALED_STORES[store]);
+
+	const requireKeys = () => {
+		const { keys } = getKeys();
+		if (!keys) throw lockedError();
+		return keys;
+	};
+
+	// Keyed digest of a record key - hex, so it stays a valid key for every backend
+	const digestKey = async (key) => {
+		const signature = await crypto.subtle.sign(
+			'HMAC',
+			requireKeys().digest,
+			new TextEncoder().encode(String(key))
+		);
+		return [...new Uint8Array(signature)]
+			.map((byte) => byte.toString(16).padStart(2, '0'))
+			.join('');
+	};
+
+	const mapKey = async (store, key) =>
+		isSealed(store) && DIGESTED_KEY_STORES.has(store) && key != null ? digestKey(key) : key;
+
+	const sealRecord = async (store, record) => {
+		if (!isSealed(store)) return record;
+
+		const keys = requireKeys();
+		const plainFields = SEALED_STORES[store];
+		const plain = {};
+		const secret = {};
+		for (const [field, value] of Object.entries(record)) {
+			(plainFields.includes(field) ? plain : secret)[field] = value;
+		}
+
+		// The original key travels inside the sealed data; the stored key is its digest
+		if (DIGESTED_KEY_STORES.has(store)) {
+			const { keyPath } = STORE_KEYS[store];
+			secret[keyPath] = record[keyPath];
+			plain[keyPath] = await digestKey(record[keyPath]);
+		}
+		return { ...plain, sealed: await seal(keys, secret, store) };
+	};
+
+	const openRecord = async (store, record) => {
+		if (!record?.sealed) return record;
+		const { sealed, ...plain } = record;
+		return { ...plain, ...(await unseal(requireKeys(), sealed, store)) };
+	};
+
+	const sealOperation = async (operation) => {
+		const { type, store } = operation;
+		if (type === 'add' || type === 'put') {
+			return { ...operation, record: await sealRecord(store, operation.record) };
+		}
+		if (type === 'delete') {
+			return { ...operation, key: await mapKey(store, operation.key) };
+		}
+		if (type === 'deleteAll' && isSealed(store)) {
+			const fields = [...Object.keys(operation.query?.where ?? {}), operation.query?.orderBy];
+			if (fields.some((field) => field && !SEALED_STORES[store].includes(field))) {
+				throw new Error(`deleteAll on ${store} can only query plain fields`);
+			}
+		}
+		return operation;
+	};
+
+	return {
+		id: adapter.id,
+		shared: adapter.shared,
+		open: () => adapter.open(),
+
+		async get(store, key) {
+			return openRecord(store, await adapter.get(store, await mapKey(store, key)));
+		},
+
+		async getAll(store, query = {}) {
+			if (!isSealed(store)) return adapter.getAll(store, query);
+
+			// ENCRYPTED FIELDS: The backend cannot see them - filter once decrypted
+			const plainFields = SEALED_STORES[store];
+			const where = {};
+			const sealedWhere = {};
+			for (const [field, value] of Object.entries(query.where ?? {})) {
+				(plainFields.includes(field) ? where : sealedWhere)[field] = value;
+			}
+
+			const records = await adapter.getAll(store, { ...query, where });
+			const opened = await Promise.all(records.map((record) => openRecord(store, record)));
+			return opened.filter((record) =>
+				Object.entries(sealedWhere).every(([field, value]) => record[field] === value)
+			);
+		},
+
+		getAllKeys: (store) => adapter.getAllKeys(store),
+
+		add: async (store, record, key) => adapter.add(store, await sealRecord(store, record), key),
+
+		put: async (store, record, key) => adapter.put(store, await sealRecord(store, record), key),
+
+		async putIfNewer(store, record, options) {
+			return adapter.putIfNewer(store, await sealRecord(store, record), options);
+		},
+
+		async delete(store, key) {
+			await adapter.delete(store, await mapKey(store, key));
+		},
+
+		deleteAll: async (store, query) =>
+			adapter.deleteAll(store, (await sealOperation({ type: 'deleteAll', store, query })).query),
+
+		// Every record is sealed before the backend's batch starts, so it stays atomic
+		batch: async (operations) => adapter.batch(await Promise.all(operations.map(sealOperation)))
+	};
+};
@@ -0,0 +1,169 @@
+/**
+ * Follow mode
+ * Continuous position updates for keeping the map centered on a moving user
+ *
+ * This module provides:
+ * - A watchPosition-based follower built on the location tracker
+ * - Power-aware throttling while the tab is hidden or the battery is low
+ * - Complete cleanup of the geolocation watch and page/battery listeners on stop
+ *
+ * Throttled mode trades precision for battery: the watch is restarted without
+ * high accuracy (network positioning instead of GPS) and positions are delivered
+ * less often.
+ */
+
+import { createLocationTracker } from './locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Minimum time between delivered positions in normal and throttled mode
+const DEFAULT_INTERVAL = 2000;
+const DEFAULT_THROTTLED_INTERVAL = 30000;
+
+// Battery level (0-1) at or below which a discharging device is throttled
+const DEFAULT_LOW_BATTERY_LEVEL = 0.2;
+
+// Tracker filters per mode - network positions are coarse, so accept worse accuracy when throttled
+const TRACKER_OPTIONS = {
+	normal: { enableHighAccuracy: true, maxAccuracy: 100, minDistance: 2 },
+	throttled: { enableHighAccuracy: false, maxAccuracy: 1000, minDistance: 20 }
+};
+
+// ============================================================================
+// FOLLOWER
+// ============================================================================
+
+/**
+ * Create a position follower
+ *
+ * @param {Object} options - Follower configuration
+ * @param {Function} options.onPosition - Called with each delivered point
+ *   {lat, lng, accuracy, timestamp, speed, heading}
+ * @param {Function} options.onError - Called with an Error when the watch fails
+ * @param {Function} options.onThrottleChange - Called with true/false when throttling starts/stops
+ * @param {number} options.interval - Minimum milliseconds between positions (default: 2000)
+ * @param {number} options.throttledInterval - Minimum milliseconds while throttled (default: 30000)
+ * @param {number} options.lowBatteryLevel - Throttle at or below this level when discharging (default: 0.2)
+ * @returns {{start: Function, stop: Function, isActive: Function, isThrottled: Function}} Follower controls
+ *
+ * Throttling Strategy:
+ * - Hidden tab: nobody is looking at the map, so updates only keep it roughly right
+ * - Low battery: the Battery Status API is optional - without it only visibility counts
+ * - The watch is restarted on every mode change so the accuracy request follows the mode
+ */
+export const createFollowMode = (options = {}) => {
+	const {
+		onPosition = () => {},
+		onError = () => {},
+		onThrottleChange = () => {},
+		interval = DEFAULT_INTERVAL,
+		throttledInterval = DEFAULT_THROTTLED_INTERVAL,
+		lowBatteryLevel = DEFAULT_LOW_BATTERY_LEVEL
+	} = options;
+
+	// FOLLOWER STATE: Active tracker, current mode, battery manager and last delivery time
+	let tracker = null;
+	let throttled = false;
+	let battery = null;
+	let lastDelivered = 0;
+
+	const shouldThrottle = () =>
+		document.visibilityState === 'hidden' ||
+		Boolean(battery && !battery.charging && battery.level <= lowBatteryLevel);
+
+	const deliver = (point) => {
+		const now = Date.now();
+		if (now - lastDelivered < (throttled ? throttledInterval : interval)) return;
+
+		lastDelivered = now;
+		onPosition(point);
+	};
+
+	const startTracker = () => {
+		tracker?.stop();
+		tracker = createLocationTracker({
+			...TRACKER_OPTIONS[throttled ? 'throttled' : 'normal'],
+			onPoint: deliver,
+			onError
+		});
+		tracker.start();
+	};
+
+	const updateMode = () => {
+		const next = shouldThrottle();
+		if (next === throttled || !tracker) return;
+
+		throttled = next;
+		// Back to normal: deliver the first precise fix immediately
+		if (!throttled) lastDelivered = 0;
+		startTracker();
+		onThrottleChange(throttled);
+	};
+
+	const watchBattery = async () => {
+		try {
+			const manager = await navigator.getBattery?.();
+			if (!manager || !tracker) return;
+
+			battery = manager;
+			battery.addEventListener('levelchange', updateMode);
+			battery.addEventListener('chargingchange', updateMode);
+			updateMode();
+		} catch {
+			// Battery status unavailable - visibility alone decides
+		}
+	};
+
+	return {
+		/**
+		 * Start following (no-op if already active)
+		 * @throws {Error} If geolocation is not supported
+		 */
+		start() {
+			if (tracker) return;
+
+			throttled = shouldThrottle();
+			lastDelivered = 0;
+			try {
+				startTracker();
+			} catch (error) {
+				tracker = null;
+				throw error;
+			}
+
+			document.addEventListener('visibilitychange', updateMode);
+			watchBattery();
+			if (throttled) onThrottleChange(true);
+		},
+
+		/**
+		 * Stop following and release the watch and listeners
+		 */
+		stop() {
+			if (!tracker) return;
+
+			tracker.stop();
+			tracker = null;
+			document.removeEventListener('visibilitychange', updateMode);
+			battery?.removeEventListener('levelchange', updateMode);
+			battery?.removeEventListener('chargingchange', updateMode);
+			battery = null;
+		},
+
+		/**
+		 * @returns {boolean} Whether the follower is currently watching
+		 */
+		isActive() {
+			return tracker !== null;
+		},
+
+		/**
+		 * @returns {boolean} Whether updates are currently throttled
+		 */
+		isThrottled() {
+			return throttled;
+		}
+	};
+};
@@ -0,0 +1,625 @@
+/**
+ * GPX, GeoJSON and KML import/export
+ * Moves saved locations, places and recorded tracks in and out of the app
+ *
+ * This module provides:
+ * - Serializers for GPX 1.1, GeoJSON FeatureCollection and KML 2.2
+ * - Tolerant parsers that collect per-feature errors instead of failing the whole file
+ * - Export/import entry points that read and write through the indexedDB.js layer
+ *
+ * Intermediate data shape (shared by every serializer and parser):
+ * {
+ *   location: {lat, lng} | null,                       // the 'current' saved location
+ *   places:   [{name, category, lat, lng}],
+ *   tracks:   [{name, startedAt, endedAt, points: [{lat, lng, timestamp, accuracy, speed, heading}]}]
+ * }
+ */
+
+import { isValidLocation } from './locationUtils.js';
+import {
+	getUserLocation,
+	saveUserLocation,
+	listPlaces,
+	createPlace,
+	listTracks,
+	getTrackPoints,
+	createTrack,
+	addTrackPoints,
+	finishTrack,
+	deleteTrack
+} from './indexedDB.js';
+
+// ============================================================================
+// FORMAT CONFIGURATION
+// ============================================================================
+
+// File metadata per supported format - used for downloads and format detection
+export const FORMATS = {
+	gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+	geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+	kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// Application name written into GPX "creator" and KML document names
+const CREATOR = 'MapLocation';
+
+// Name and GPX type marking the exported 'current' location so it round-trips
+const CURRENT_LOCATION_NAME = 'Current location';
+const CURRENT_LOCATION_TYPE = 'current';
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+/**
+ * Escape a value for use in XML text or attribute content
+ * @param {any} value - Value to escape
+ * @returns {string} XML-safe string
+ */
+const escapeXml = (value) =>
+	String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+
+/**
+ * Convert epoch milliseconds to an ISO 8601 string, or null for missing values
+ * @param {number|null} timestamp - Epoch milliseconds
+ * @returns {string|null} ISO timestamp
+ */
+const toIsoTime = (timestamp) =>
+	Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+
+/**
+ * Parse an ISO 8601 string to epoch milliseconds, or null when absent/invalid
+ * @param {string|null} text - Timestamp text
+ * @returns {number|null} Epoch milliseconds
+ */
+const fromIsoTime = (text) => {
+	const time = text ? Date.parse(text) : NaN;
+	return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Build a validated numeric point from raw coordinate values
+ * @param {any} lat - Latitude candidate
+ * @param {any} lng - Longitude candidate
+ * @returns {{lat: number, lng: number}|null} Numeric point, or null if invalid
+ */
+const toValidPoint = (lat, lng) => {
+	// Empty strings coerce to 0 - treat them as missing instead
+	if (lat === '' || lng === '') return null;
+	return isValidLocation({ lat, lng }) ? { lat: +lat, lng: +lng } : null;
+};
+
+/**
+ * Parse XML text and fail fast on malformed documents
+ * @param {string} text - XML source
+ * @returns {Document} Parsed document
+ * @throws {Error} If the document is not well-formed
+ */
+const parseXml = (text) => {
+	const doc = new DOMParser().parseFromString(text, 'application/xml');
+	if (doc.getElementsByTagName('parsererror').length > 0) {
+		throw new Error('File is not well-formed XML');
+	}
+	return doc;
+};
+
+/**
+ * Namespace-agnostic child element lookup (GPX/KML files vary in prefixes)
+ * @param {Element|Document} parent - Element to search
+ * @param {string} name - Local element name
+ * @returns {Element[]} Matching descendants
+ */
+const findAll = (parent, name) => Array.from(parent.getElementsByTagNameNS('*', name));
+
+/**
+ * Text content of the first direct child with the given local name
+ * @param {Element} parent - Element to search
+ * @param {string} name - Local element name
+ * @returns {string|null} Trimmed text, or null when absent
+ */
+const childText = (parent, name) => {
+	const child = Array.from(parent.children).find((el) => el.localName === name);
+	return child ? child.textContent.trim() : null;
+};
+
+// ============================================================================
+// SERIALIZERS
+// ============================================================================
+
+/**
+ * Serialize location data to GPX 1.1
+ * The current location and places become waypoints, tracks become single-segment tracks
+ *
+ * @param {Object} data - Intermediate data (see module header)
+ * @returns {string} GPX document
+ */
+export const toGPX = ({ location = null, places = [], tracks = [] } = {}) => {
+	const waypoint = (point, name, type, time) =>
+		`  <wpt lat="${point.lat}" lon="${point.lng}">` +
+		(time ? `<time>${time}</time>` : '') +
+		`<name>${escapeXml(name)}</name><type>${escapeXml(type)}</type></wpt>`;
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`
+	];
+
+	if (location) {
+		lines.push(waypoint(location, CURRENT_LOCATION_NAME, CURRENT_LOCATION_TYPE, null));
+	}
+	for (const place of places) {
+		lines.push(waypoint(place, place.name, place.category, toIsoTime(place.createdAt)));
+	}
+	for (const track of tracks) {
+		lines.push(`  <trk><name>${escapeXml(track.name)}</name><trkseg>`);
+		for (const point of track.points) {
+			const time = toIsoTime(point.timestamp);
+			lines.push(
+				`    <trkpt lat="${point.lat}" lon="${point.lng}">` +
+					(time ? `<time>${time}</time>` : '') +
+					'</trkpt>'
+			);
+		}
+		lines.push('  </trkseg></trk>');
+	}
+
+	lines.push('</gpx>');
+	return lines.join('\n');
+};
+
+/**
+ * Serialize location data to a GeoJSON FeatureCollection (RFC 7946)
+ * Track point metadata is kept in per-coordinate property arrays
+ *
+ * @param {Object} data - Intermediate data (see module header)
+ * @returns {string} GeoJSON document
+ */
+export const toGeoJSON = ({ location = null, places = [], tracks = [] } = {}) => {
+	const features = [];
+
+	if (location) {
+		features.push({
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [location.lng, location.lat] },
+			properties: { name: CURRENT_LOCATION_NAME, kind: CURRENT_LOCATION_TYPE }
+		});
+	}
+
+	for (const place of places) {
+		features.push({
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [place.lng, place.lat] },
+			properties: {
+				name: place.name,
+				kind: 'place',
+				category: place.category,
+				createdAt: toIsoTime(place.createdAt)
+			}
+		});
+	}
+
+	for (const track of tracks) {
+		features.push({
+			type: 'Feature',
+			geometry: {
+				type: 'LineString',
+				coordinates: track.points.map((point) => [point.lng, point.lat])
+			},
+			properties: {
+				name: track.name,
+				kind: 'track',
+				startedAt: toIsoTime(track.startedAt),
+				endedAt: toIsoTime(track.endedAt),
+				// Same ordering as coordinates - one entry per point
+				coordinateProperties: {
+					times: track.points.map((point) => toIsoTime(point.timestamp)),
+					accuracy: track.points.map((point) => point.accuracy ?? null),
+					speed: track.points.map((point) => point.speed ?? null),
+					heading: track.points.map((point) => point.heading ?? null)
+				}
+			}
+		});
+	}
+
+	return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+/**
+ * Serialize location data to KML 2.2
+ * Points become Placemarks; tracks use gx:Track so timestamps survive
+ *
+ * @param {Object} data - Intermediate data (see module header)
+ * @returns {string} KML document
+ */
+export const toKML = ({ location = null, places = [], tracks = [] } = {}) => {
+	const pointPlacemark = (point, name, category) =>
+		`    <Placemark><name>${escapeXml(name)}</name>` +
+		`<ExtendedData><Data name="category"><value>${escapeXml(category)}</value></Data></ExtendedData>` +
+		`<Point><coordinates>${point.lng},${point.lat}</coordinates></Point></Placemark>`;
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+		`  <Document><name>${CREATOR} export</name>`
+	];
+
+	if (location) {
+		lines.push(pointPlacemark(location, CURRENT_LOCATION_NAME, CURRENT_LOCATION_TYPE));
+	}
+	for (const place of places) {
+		lines.push(pointPlacemark(place, place.name, place.category));
+	}
+	for (const track of tracks) {
+		lines.push(`    <Placemark><name>${escapeXml(track.name)}</name><gx:Track>`);
+		for (const point of track.points) {
+			lines.push(`      <when>${toIsoTime(point.timestamp) ?? ''}</when>`);
+		}
+		for (const point of track.points) {
+			lines.push(`      <gx:coord>${point.lng} ${point.lat} 0</gx:coord>`);
+		}
+		lines.push('    </gx:Track></Placemark>');
+	}
+
+	lines.push('  </Document>', '</kml>');
+	return lines.join('\n');
+};
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+/**
+ * Create an empty parse result
+ * @returns {{location: Object|null, places: Object[], tracks: Object[], errors: Object[]}}
+ */
+const emptyResult = () => ({ location: null, places: [], tracks: [], errors: [] });
+
+/**
+ * Route a parsed point feature to the current location or the places list
+ * @param {Object} result - Parse result being built
+ * @param {Object} point - Validated {lat, lng}
+ * @param {string|null} name - Feature name
+ * @param {string|null} category - Feature category/type
+ */
+const addPointFeature = (result, point, name, category) => {
+	if (category === CURRENT_LOCATION_TYPE) {
+		result.location = point;
+	} else {
+		result.places.push({
+			name: name || `Imported place ${result.places.length + 1}`,
+			category: category || 'imported',
+			...point
+		});
+	}
+};
+
+/**
+ * Add a parsed track, dropping invalid points and reporting them
+ * @param {Object} result - Parse result being built
+ * @param {string} label - Feature label used in error messages
+ * @param {string|null} name - Track name
+ * @param {Object[]} rawPoints - Candidate points {lat, lng, timestamp, ...}
+ */
+const addTrackFeature = (result, label, name, rawPoints) => {
+	const points = [];
+	rawPoints.forEach((raw, index) => {
+		const point = toValidPoint(raw.lat, raw.lng);
+		if (point) {
+			points.push({ ...raw, ...point });
+		} else {
+			result.errors.push({ feature: label, message: `Point ${index + 1} has invalid coordinates` });
+		}
+	});
+
+	if (points.length === 0) {
+		result.errors.push({ feature: label, message: 'Track has no valid points' });
+		return;
+	}
+
+	result.tracks.push({
+		name: name || `Imported track ${result.tracks.length + 1}`,
+		startedAt: points[0].timestamp ?? null,
+		endedAt: points[points.length - 1].timestamp ?? null,
+		points
+	});
+};
+
+/**
+ * Parse a GPX document (1.0 or 1.1)
+ * Waypoints become places, tracks and routes become tracks
+ *
+ * @param {string} text - GPX source
+ * @returns {Object} Parse result with per-feature errors
+ * @throws {Error} If the file is not well-formed XML
+ */
+export const parseGPX = (text) => {
+	const doc = parseXml(text);
+	const result = emptyResult();
+
+	findAll(doc, 'wpt').forEach((wpt, index) => {
+		const name = childText(wpt, 'name');
+		const label = name || `Waypoint ${index + 1}`;
+		const point = toValidPoint(wpt.getAttribute('lat'), wpt.getAttribute('lon'));
+		if (!point) {
+			result.errors.push({ feature: label, message: 'Invalid coordinates' });
+			return;
+		}
+		addPointFeature(result, point, name, childText(wpt, 'type'));
+	});
+
+	// Tracks (trk/trkseg/trkpt) and routes (rte/rtept) are both imported as tracks
+	const lines = [
+		...findAll(doc, 'trk').map((el) => ({ el, pointTag: 'trkpt', kind: 'Track' })),
+		...findAll(doc, 'rte').map((el) => ({ el, pointTag: 'rtept', kind: 'Route' }))
+	];
+	lines.forEach(({ el, pointTag, kind }, index) => {
+		const name = childText(el, 'name');
+		const points = findAll(el, pointTag).map((pt) => ({
+			lat: pt.getAttribute('lat'),
+			lng: pt.getAttribute('lon'),
+			timestamp: fromIsoTime(childText(pt, 'time'))
+		}));
+		addTrackFeature(result, name || `${kind} ${index + 1}`, name, points);
+	});
+
+	return result;
+};
+
+/**
+ * Parse a GeoJSON FeatureCollection, Feature or bare geometry
+ * Points become places, LineStrings (and each line of a MultiLineString) become tracks
+ *
+ * @param {string} text - GeoJSON source
+ * @returns {Object} Parse result with per-feature errors
+ * @throws {Error} If the file is not valid JSON or not GeoJSON
+ */
+export const parseGeoJSON = (text) => {
+	let json;
+	try {
+		json = JSON.parse(text);
+	} catch {
+		throw new Error('File is not valid JSON');
+	}
+
+	// NORMALIZE: Accept a collection, a single feature or a bare geometry
+	let features;
+	if (json?.type === 'FeatureCollection' && Array.isArray(json.features)) {
+		features = json.features;
+	} else if (json?.type === 'Feature') {
+		features = [json];
+	} else if (typeof json?.type === 'string' && 'coordinates' in json) {
+		features = [{ type: 'Feature', geometry: json, properties: {} }];
+	} else {
+		throw new Error('File is not a GeoJSON FeatureCollection');
+	}
+
+	const result = emptyResult();
+
+	features.forEach((feature, index) => {
+		const properties = feature?.properties || {};
+		const name = typeof properties.name === 'string' ? properties.name : null;
+		const label = name || `Feature ${index + 1}`;
+		const geometry = feature?.geometry;
+
+		switch (geometry?.type) {
+			case 'Point': {
+				const [lng, lat] = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+				const point = toValidPoint(lat, lng);
+				if (!point) {
+					result.errors.push({ feature: label, message: 'Invalid coordinates' });
+					return;
+				}
+				addPointFeature(
+					result,
+					point,
+					name,
+					properties.kind === CURRENT_LOCATION_TYPE ? CURRENT_LOCATION_TYPE : properties.category
+				);
+				return;
+			}
+			case 'LineString':
+			case 'MultiLineString': {
+				const lines =
+					geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+				const meta = properties.coordinateProperties || {};
+				(Array.isArray(lines) ? lines : []).forEach((coordinates, lineIndex) => {
+					const points = (Array.isArray(coordinates) ? coordinates : []).map((coord, i) => ({
+						lat: coord?.[1],
+						lng: coord?.[0],
+						// Per-point metadata only lines up for single LineStrings
+						timestamp: lineIndex === 0 ? fromIsoTime(meta.times?.[i]) : null,
+						accuracy: lineIndex === 0 ? (meta.accuracy?.[i] ?? null) : null,
+						speed: lineIndex === 0 ? (meta.speed?.[i] ?? null) : null,
+						heading: lineIndex === 0 ? (meta.heading?.[i] ?? null) : null
+					}));
+					addTrackFeature(result, label, name, points);
+				});
+				return;
+			}
+			default:
+				result.errors.push({
+					feature: label,
+					message: `Unsupported geometry type: ${geometry?.type ?? 'none'}`
+				});
+		}
+	});
+
+	return result;
+};
+
+/**
+ * Parse a KML document
+ * Point Placemarks become places; LineString and gx:Track Placemarks become tracks
+ *
+ * @param {string} text - KML source
+ * @returns {Object} Parse result with per-feature errors
+ * @throws {Error} If the file is not well-formed XML
+ */
+export const parseKML = (text) => {
+	const doc = parseXml(text);
+	const result = emptyResult();
+
+	// KML coordinate tuples are "lng,lat[,alt]" separated by whitespace
+	const parseTuples = (textContent) =>
+		textContent
+			.trim()
+			.split(/\s+/)
+			.filter(Boolean)
+			.map((tuple) => {
+				const [lng, lat] = tuple.split(',');
+				return { lat, lng, timestamp: null };
+			});
+
+	findAll(doc, 'Placemark').forEach((placemark, index) => {
+		const name = childText(placemark, 'name');
+		const label = name || `Placemark ${index + 1}`;
+		const categoryData = findAll(placemark, 'Data').find(
+			(el) => el.getAttribute('name') === 'category'
+		);
+		const category = categoryData ? childText(categoryData, 'value') : null;
+
+		const pointEl = findAll(placemark, 'Point')[0];
+		const lineEl = findAll(placemark, 'LineString')[0];
+		const gxTrack = findAll(placemark, 'Track')[0];
+
+		if (pointEl) {
+			const [first] = parseTuples(childText(pointEl, 'coordinates') || '');
+			const point = first ? toValidPoint(first.lat, first.lng) : null;
+			if (!point) {
+				result.errors.push({ feature: label, message: 'Invalid coordinates' });
+				return;
+			}
+			addPointFeature(result, point, name, category);
+		} else if (gxTrack) {
+			// gx:Track pairs <when> and <gx:coord> elements by position ("lng lat alt")
+			const whens = findAll(gxTrack, 'when');
+			const points = findAll(gxTrack, 'coord').map((coord, i) => {
+				const [lng, lat] = coord.textContent.trim().split(/\s+/);
+				return { lat, lng, timestamp: fromIsoTime(whens[i]?.textContent.trim()) };
+			});
+			addTrackFeature(result, label, name, points);
+		} else if (lineEl) {
+			addTrackFeature(result, label, name, parseTuples(childText(lineEl, 'coordinates') || ''));
+		} else {
+			result.errors.push({ feature: label, message: 'Unsupported placemark geometry' });
+		}
+	});
+
+	return result;
+};
+
+/**
+ * Detect the format of an import file from its name, falling back to its content
+ *
+ * @param {string} fileName - Original file name
+ * @param {string} text - File content
+ * @returns {'gpx'|'geojson'|'kml'|null} Detected format, or null if unknown
+ */
+export const detectFormat = (fileName = '', text = '') => {
+	const extension = fileName.toLowerCase().split('.').pop();
+	if (extension === 'gpx' || extension === 'kml') return extension;
+	if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+	const head = text.trimStart().slice(0, 500);
+	if (head.startsWith('{')) return 'geojson';
+	if (/<gpx[\s>]/.test(head)) return 'gpx';
+	if (/<kml[\s>]/.test(head)) return 'kml';
+	return null;
+};
+
+// ============================================================================
+// INDEXEDDB EXPORT / IMPORT
+// ============================================================================
+
+// Serializer and parser lookup by format id
+const SERIALIZERS = { gpx: toGPX, geojson: toGeoJSON, kml: toKML };
+const PARSERS = { gpx: parseGPX, geojson: parseGeoJSON, kml: parseKML };
+
+/**
+ * Export everything stored in IndexedDB to the requested format
+ *
+ * @param {'gpx'|'geojson'|'kml'} format - Target format
+ * @returns {Promise<{content: string, mimeType: string, fileName: string}>} Downloadable file
+ */
+export const exportLocationData = async (format) => {
+	const serialize = SERIALIZERS[format];
+	if (!serialize) {
+		throw new Error(`Unsupported export format: ${format}`);
+	}
+
+	const [location, places, trackRecords] = await Promise.all([
+		getUserLocation(),
+		listPlaces(),
+		listTracks()
+	]);
+	const tracks = await Promise.all(
+		trackRecords.map(async (track) => ({ ...track, points: await getTrackPoints(track.id) }))
+	);
+
+	const date = new Date().toISOString().slice(0, 10);
+	return {
+		content: serialize({ location, places, tracks }),
+		mimeType: FORMATS[format].mimeType,
+		fileName: `locations-${date}.${FORMATS[format].extension}`
+	};
+};
+
+/**
+ * Import a GPX/GeoJSON/KML file into IndexedDB
+ * Every feature is validated and written independently - one bad feature never
+ * prevents the rest of the file from being imported
+ *
+ * @param {string} text - File content
+ * @param {'gpx'|'geojson'|'kml'} format - Source format (see detectFormat)
+ * @returns {Promise<{location: boolean, places: number, tracks: number, errors: Object[]}>}
+ *   Import summary; errors are {feature, message} entries
+ * @throws {Error} If the format is unsupported or the file cannot be parsed at all
+ */
+export const importLocationData = async (text, format) => {
+	const parse = PARSERS[format];
+	if (!parse) {
+		throw new Error(`Unsupported import format: ${format}`);
+	}
+
+	const parsed = parse(text);
+	const summary = { location: false, places: 0, tracks: 0, errors: [...parsed.errors] };
+
+	if (parsed.location) {
+		try {
+			await saveUserLocation(parsed.location);
+			summary.location = true;
+		} catch (error) {
+			summary.errors.push({ feature: 'Saved location', message: error.message });
+		}
+	}
+
+	for (const place of parsed.places) {
+		try {
+			await createPlace(place);
+			summary.places++;
+		} catch (error) {
+			summary.errors.push({ feature: place.name, message: error.message });
+		}
+	}
+
+	for (const track of parsed.tracks) {
+		let record = null;
+		try {
+			record = await createTrack(track.name, { startedAt: track.startedAt });
+			await addTrackPoints(record.id, track.points);
+			await finishTrack(record.id, track.endedAt);
+			summary.tracks++;
+		} catch (error) {
+			summary.errors.push({ feature: track.name, message: error.message });
+			// Half-written track - remove it rather than leave an unfinished one behind
+			if (record) await deleteTrack(record.id).catch(() => {});
+		}
+	}
+
+	return summary;
+};
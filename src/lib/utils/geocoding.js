@@ -0,0 +1,321 @@
+/**
+ * Forward and reverse geocoding
+ * Turns addresses into coordinates and coordinates into human-readable addresses
+ *
+ * This module provides:
+ * - Pluggable backends: Google Geocoder, Nominatim-compatible HTTP endpoint, local stand-in
+ * - An IndexedDB result cache with a TTL, keyed by normalized query or rounded coordinate
+ * - Offline fallback: expired cache entries are still served when the backend is unreachable
+ *
+ * Backend interface:
+ * {
+ *   id: string,
+ *   geocode(query: string): Promise<Array<{lat, lng, label}>>,   // best match first
+ *   reverse(location: {lat, lng}): Promise<{lat, lng, label}|null>
+ * }
+ */
+
+import { isValidLocation } from './locationUtils.js';
+import { haversineDistance } from './geometry.js';
+import {
+	getGeocodeCacheEntry,
+	putGeocodeCacheEntry,
+	pruneGeocodeCache,
+	listPlaces
+} from './indexedDB.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Public Nominatim instance - replace with a self-hosted one for heavy use
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+// Cached results are fresh for 7 days, then refreshed when online
+const DEFAULT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Expired entries are kept for offline use, then pruned after 30 days
+const DEFAULT_CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Reverse lookups are cached per ~11m cell (4 decimal places)
+const REVERSE_KEY_PRECISION = 4;
+
+// Local backend only names a position after a saved place within this radius
+const LOCAL_REVERSE_RADIUS = 250;
+
+/**
+ * Read geocoding configuration from Vite environment variables
+ *
+ * @returns {Object} Geocoder configuration
+ *
+ * Environment Variables:
+ * - VITE_GEOCODER: 'google', 'nominatim', 'local' or 'auto' (default: 'auto' -
+ *   Google when the Google map provider is active, otherwise Nominatim)
+ * - VITE_NOMINATIM_URL: Base URL of a Nominatim-compatible server
+ * - VITE_NOMINATIM_EMAIL: Contact email sent to Nominatim (required by its usage policy for bulk use)
+ */
+export const getGeocoderConfig = () => {
+	const env = import.meta.env;
+	return {
+		backend: env.VITE_GEOCODER || 'auto',
+		nominatimUrl: env.VITE_NOMINATIM_URL || DEFAULT_NOMINATIM_URL,
+		email: env.VITE_NOMINATIM_EMAIL || ''
+	};
+};
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+/**
+ * Google Maps Geocoder backend
+ * Requires the Google Maps JavaScript API to be loaded (see googleMapsProvider.js)
+ *
+ * @returns {Object} Geocoder backend
+ */
+export const createGoogleGeocoder = () => {
+	let geocoder = null;
+
+	const getGeocoder = async () => {
+		if (!window.google?.maps) {
+			throw new Error('Google Maps is not loaded');
+		}
+		if (!geocoder) {
+			const { Geocoder } = await window.google.maps.importLibrary('geocoding');
+			geocoder = new Geocoder();
+		}
+		return geocoder;
+	};
+
+	const toResult = (result) => ({
+		lat: result.geometry.location.lat(),
+		lng: result.geometry.location.lng(),
+		label: result.formatted_address
+	});
+
+	return {
+		id: 'google',
+
+		async geocode(query) {
+			const { results } = await (await getGeocoder()).geocode({ address: query });
+			return results.map(toResult);
+		},
+
+		async reverse(location) {
+			const { results } = await (await getGeocoder()).geocode({ location });
+			return results.length > 0 ? toResult(results[0]) : null;
+		}
+	};
+};
+
+/**
+ * Nominatim-compatible HTTP backend (OpenStreetMap data, self-hostable)
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.baseUrl - Server base URL without trailing slash
+ * @param {string} [options.email] - Contact email per the Nominatim usage policy
+ * @returns {Object} Geocoder backend
+ */
+export const createNominatimGeocoder = ({ baseUrl = DEFAULT_NOMINATIM_URL, email = '' } = {}) => {
+	const request = async (path, params) => {
+		const url = new URL(`${baseUrl.replace(/\/$/, '')}/${path}`);
+		url.search = new URLSearchParams({
+			format: 'jsonv2',
+			...(email ? { email } : {}),
+			...params
+		});
+
+		const response = await fetch(url, { headers: { Accept: 'application/json' } });
+		if (!response.ok) {
+			throw new Error(`Geocoding request failed (${response.status})`);
+		}
+		return response.json();
+	};
+
+	const toResult = (item) => ({ lat: +item.lat, lng: +item.lon, label: item.display_name });
+
+	return {
+		id: 'nominatim',
+
+		async geocode(query) {
+			const items = await request('search', { q: query, limit: '5' });
+			return items.map(toResult);
+		},
+
+		async reverse({ lat, lng }) {
+			const item = await request('reverse', { lat: String(lat), lon: String(lng) });
+			// Nominatim answers 200 with {error} when nothing is found (e.g. open sea)
+			return item && !item.error ? toResult(item) : null;
+		}
+	};
+};
+
+/**
+ * Local stand-in backend - works fully offline without any service
+ * Forward: "lat, lng" text or saved place names. Reverse: nearest saved place.
+ *
+ * @returns {Object} Geocoder backend
+ */
+export const createLocalGeocoder = () => ({
+	id: 'local',
+
+	async geocode(query) {
+		// COORDINATE TEXT: "30.03, 31.23" style input
+		const match = query.match(/^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+		if (match && isValidLocation({ lat: match[1], lng: match[2] })) {
+			return [{ lat: +match[1], lng: +match[2], label: query.trim() }];
+		}
+
+		// SAVED PLACES: Case-insensitive name match
+		const needle = query.trim().toLowerCase();
+		const places = await listPlaces();
+		return places
+			.filter((place) => place.name.toLowerCase().includes(needle))
+			.map((place) => ({ lat: place.lat, lng: place.lng, label: place.name }));
+	},
+
+	async reverse(location) {
+		const places = await listPlaces();
+		let nearest = null;
+		let nearestDistance = Infinity;
+
+		for (const place of places) {
+			const distance = haversineDistance(location, place);
+			if (distance < nearestDistance) {
+				nearest = place;
+				nearestDistance = distance;
+			}
+		}
+
+		return nearest && nearestDistance <= LOCAL_REVERSE_RADIUS
+			? { lat: nearest.lat, lng: nearest.lng, label: nearest.name }
+			: null;
+	}
+});
+
+/**
+ * Create a backend by id
+ *
+ * @param {string} id - 'google', 'nominatim' or 'local'
+ * @param {Object} config - Configuration from getGeocoderConfig
+ * @returns {Object} Geocoder backend
+ */
+export const createGeocoderBackend = (id, config = getGeocoderConfig()) => {
+	switch (id) {
+		case 'google':
+			return createGoogleGeocoder();
+		case 'nominatim':
+			return createNominatimGeocoder({ baseUrl: config.nominatimUrl, email: config.email });
+		case 'local':
+			return createLocalGeocoder();
+		default:
+			throw new Error(`Unknown geocoder backend: ${id}`);
+	}
+};
+
+// ============================================================================
+// CACHED GEOCODER
+// ============================================================================
+
+/**
+ * Build the cache key for a forward lookup
+ * @param {string} backendId - Backend the result came from
+ * @param {string} query - Raw query text
+ * @returns {string} Cache key
+ */
+const forwardKey = (backendId, query) =>
+	`${backendId}:q:${query.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+
+/**
+ * Build the cache key for a reverse lookup (coordinate rounded to ~11m)
+ * @param {string} backendId - Backend the result came from
+ * @param {Object} location - {lat, lng}
+ * @returns {string} Cache key
+ */
+const reverseKey = (backendId, { lat, lng }) =>
+	`${backendId}:r:${(+lat).toFixed(REVERSE_KEY_PRECISION)},${(+lng).toFixed(REVERSE_KEY_PRECISION)}`;
+
+/**
+ * Create a geocoder with an IndexedDB result cache
+ *
+ * @param {Object} options - Geocoder options
+ * @param {string} [options.backend] - Backend id; 'auto' follows mapProviderId (default: from config)
+ * @param {string} [options.mapProviderId] - Active map provider id, used to resolve 'auto'
+ * @param {number} [options.ttl] - Cache freshness in milliseconds (default: 7 days)
+ * @param {number} [options.maxAge] - Entries older than this are pruned (default: 30 days)
+ * @returns {{id: string, geocode: Function, reverseGeocode: Function}} Geocoder
+ *
+ * Cache Strategy:
+ * - Fresh entry (younger than ttl): returned without calling the backend
+ * - Offline or backend failure: the cached entry is returned even when expired
+ * - Cache read/write failures never break a lookup
+ * - The local backend is never cached - its answers change as places are edited
+ */
+export const createGeocoder = ({
+	backend,
+	mapProviderId,
+	ttl = DEFAULT_CACHE_TTL,
+	maxAge = DEFAULT_CACHE_MAX_AGE
+} = {}) => {
+	const config = getGeocoderConfig();
+	const requested = backend || config.backend;
+	const backendId =
+		requested === 'auto' ? (mapProviderId === 'google' ? 'google' : 'nominatim') : requested;
+	const impl = createGeocoderBackend(backendId, config);
+
+	// HOUSEKEEPING: Drop entries too old to be useful even offline (non-blocking)
+	pruneGeocodeCache(maxAge).catch((error) => {
+		console.warn('Failed to prune geocoding cache:', error);
+	});
+
+	const cached = async (key, lookup) => {
+		if (backendId === 'local') return lookup();
+
+		const entry = await getGeocodeCacheEntry(key).catch(() => null);
+		const isFresh = entry && Date.now() - entry.createdAt < ttl;
+		const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+		if (isFresh || (entry && isOffline)) {
+			return entry.value;
+		}
+
+		try {
+			const value = await lookup();
+			putGeocodeCacheEntry(key, value).catch((error) => {
+				console.warn('Failed to cache geocoding result:', error);
+			});
+			return value;
+		} catch (error) {
+			// OFFLINE FALLBACK: Stale data beats no data
+			if (entry) return entry.value;
+			throw error;
+		}
+	};
+
+	return {
+		id: backendId,
+
+		/**
+		 * Turn an address or place name into coordinates
+		 * @param {string} query - Address text
+		 * @returns {Promise<Array<{lat: number, lng: number, label: string}>>} Matches, best first
+		 */
+		async geocode(query) {
+			if (!query || !query.trim()) return [];
+			return cached(forwardKey(backendId, query), () => impl.geocode(query.trim()));
+		},
+
+		/**
+		 * Turn coordinates into a human-readable address
+		 * @param {{lat: number, lng: number}} location - Position to describe
+		 * @returns {Promise<{lat: number, lng: number, label: string}|null>} Address or null
+		 */
+		async reverseGeocode(location) {
+			if (!isValidLocation(location)) {
+				throw new Error('Invalid coordinates for reverse geocoding');
+			}
+			const position = { lat: +location.lat, lng: +location.lng };
+			return cached(reverseKey(backendId, position), () => impl.reverse(position));
+		}
+	};
+};
@@ -0,0 +1,368 @@
+/**
+ * Geofencing
+ * Watches the device position and reports when it enters, leaves or lingers in zones
+ *
+ * This module provides:
+ * - Signed distance from a position to a circle or polygon zone boundary, zone bounds
+ * - A geofence engine emitting 'enter', 'exit' and 'dwell' events with hysteresis
+ * - A monitor feeding positions from the location tracker into the engine
+ *
+ * Zones are the records stored by createZone in indexedDB.js:
+ * - { id, name, type: 'circle', center: {lat, lng}, radius }
+ * - { id, name, type: 'polygon', path: [{lat, lng}, ...] }
+ */
+
+import { createLocationTracker } from './locationUtils.js';
+import {
+	EARTH_RADIUS,
+	haversineDistance,
+	longitudeDelta,
+	pointInPolygon,
+	destinationPoint,
+	boundingBox
+} from './geometry.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Positions must be this far past a boundary to count - wider than typical GPS jitter
+const DEFAULT_HYSTERESIS = 20;
+
+// Consecutive positions on the new side required before a transition is reported
+const DEFAULT_CONFIRMATIONS = 2;
+
+// Time inside a zone before 'dwell' fires
+const DEFAULT_DWELL_TIME = 5 * 60 * 1000;
+
+// How often the monitor re-checks dwell time while the device stands still
+const DEFAULT_TICK_INTERVAL = 15 * 1000;
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/**
+ * Project a vertex into meters on a plane centered on the origin position
+ * Equirectangular projection - accurate to well under a meter at job-site scale
+ *
+ * @param {Object} vertex - {lat, lng}
+ * @param {Object} origin - {lat, lng} projected to (0, 0)
+ * @returns {{x: number, y: number}} Meters east and north of the origin
+ */
+const projectFrom = (vertex, origin) => {
+	// ANTIMERIDIAN: Take the short way round (179° to -179° is 2°, not 358°)
+	const dLng = longitudeDelta(origin.lng, vertex.lng);
+	const radians = Math.PI / 180;
+	return {
+		x: dLng * radians * EARTH_RADIUS * Math.cos(origin.lat * radians),
+		y: (+vertex.lat - origin.lat) * radians * EARTH_RADIUS
+	};
+};
+
+/**
+ * Distance from the origin to a line segment on the projected plane
+ * @param {{x: number, y: number}} a - Segment start
+ * @param {{x: number, y: number}} b - Segment end
+ * @returns {number} Distance in meters
+ */
+const distanceToSegment = (a, b) => {
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const lengthSquared = dx * dx + dy * dy;
+	const t =
+		lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+	return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+/**
+ * Signed distance from a position to a zone boundary
+ * Negative inside the zone, positive outside, in meters
+ *
+ * @param {Object} position - {lat, lng}
+ * @param {Object} zone - Circle or polygon zone
+ * @returns {number} Signed distance in meters
+ *
+ * Strategy:
+ * - Circle: great-circle distance to the center minus the radius
+ * - Polygon: pointInPolygon decides inside/outside, the nearest edge (vertices
+ *   projected around the position) gives the distance
+ */
+export const getZoneDistance = (position, zone) => {
+	if (zone.type === 'circle') {
+		return haversineDistance(position, zone.center) - zone.radius;
+	}
+
+	const origin = { lat: +position.lat, lng: +position.lng };
+	const vertices = zone.path.map((vertex) => projectFrom(vertex, origin));
+
+	let nearest = Infinity;
+	for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+		nearest = Math.min(nearest, distanceToSegment(vertices[i], vertices[j]));
+	}
+
+	return pointInPolygon(origin, zone.path) ? -nearest : nearest;
+};
+
+/**
+ * Bounding box of a zone, used to fit the map view to it
+ *
+ * @param {Object} zone - Circle or polygon zone
+ * @returns {{north: number, south: number, east: number, west: number}} Bounds
+ */
+export const getZoneBounds = (zone) => {
+	if (zone.type === 'circle') {
+		// Compass points on the circle - their box encloses it
+		return boundingBox(
+			[0, 90, 180, 270].map((bearing) => destinationPoint(zone.center, zone.radius, bearing))
+		);
+	}
+	return boundingBox(zone.path);
+};
+
+// ============================================================================
+// GEOFENCE ENGINE
+// ============================================================================
+
+/**
+ * Create a geofence engine
+ * Feed it positions with evaluate(); it tracks per-zone state and emits transitions
+ *
+ * @param {Object} options - Engine options
+ * @param {Array} [options.zones] - Initial zones
+ * @param {number} [options.hysteresis] - Meters past a boundary before a side counts (default: 20)
+ * @param {number} [options.confirmations] - Consecutive positions to confirm a transition (default: 2)
+ * @param {number} [options.dwellTime] - Milliseconds inside before 'dwell' (default: 5 minutes)
+ * @returns {Object} Engine with evaluate, tick, setZones, on, getInsideZones and reset
+ *
+ * Hysteresis Strategy:
+ * - A position within `hysteresis` meters of the boundary is ambiguous and changes nothing
+ * - Only `confirmations` consecutive positions clearly on the other side flip the state
+ * - A zone starts 'unknown': confirming outside is silent, confirming inside emits 'enter'
+ * - 'dwell' fires once per visit, from evaluate() or tick(), after `dwellTime` inside
+ *
+ * Event payload: { type, zone, position, timestamp }
+ */
+export const createGeofenceEngine = ({
+	zones = [],
+	hysteresis = DEFAULT_HYSTERESIS,
+	confirmations = DEFAULT_CONFIRMATIONS,
+	dwellTime = DEFAULT_DWELL_TIME
+} = {}) => {
+	// ZONE STATE: id -> { zone, inside: null|boolean, pendingSide, pendingCount, enteredAt, dwelled }
+	const states = new Map();
+
+	// LISTENERS: event type -> Set of handlers
+	const listeners = { enter: new Set(), exit: new Set(), dwell: new Set() };
+
+	// Last evaluated position - reported with dwell events raised by tick()
+	let lastPosition = null;
+
+	const emit = (type, state, timestamp) => {
+		const event = { type, zone: state.zone, position: lastPosition, timestamp };
+		for (const handler of listeners[type]) {
+			try {
+				handler(event);
+			} catch (error) {
+				console.error(`Geofence ${type} handler failed:`, error);
+			}
+		}
+		return event;
+	};
+
+	const checkDwell = (state, timestamp, events) => {
+		if (state.inside && !state.dwelled && timestamp - state.enteredAt >= dwellTime) {
+			state.dwelled = true;
+			events.push(emit('dwell', state, timestamp));
+		}
+	};
+
+	const engine = {
+		/**
+		 * Replace the watched zones
+		 * State is kept for zones that remain (matched by id) so an edit does not re-fire 'enter'
+		 * @param {Array} newZones - Zone records
+		 */
+		setZones(newZones) {
+			const ids = new Set(newZones.map((zone) => zone.id));
+			for (const id of states.keys()) {
+				if (!ids.has(id)) states.delete(id);
+			}
+			for (const zone of newZones) {
+				const state = states.get(zone.id);
+				if (state) {
+					state.zone = zone;
+				} else {
+					states.set(zone.id, {
+						zone,
+						inside: null,
+						pendingSide: null,
+						pendingCount: 0,
+						enteredAt: null,
+						dwelled: false
+					});
+				}
+			}
+		},
+
+		/**
+		 * Evaluate a new position against every zone
+		 * @param {Object} position - {lat, lng, timestamp?} (timestamp defaults to now)
+		 * @returns {Array} Events emitted for this position
+		 */
+		evaluate(position) {
+			const timestamp = position.timestamp ?? Date.now();
+			const events = [];
+			lastPosition = position;
+
+			for (const state of states.values()) {
+				const distance = getZoneDistance(position, state.zone);
+
+				// DEAD BAND: Too close to the boundary to tell - keep the current state
+				const side = distance <= -hysteresis ? true : distance >= hysteresis ? false : null;
+
+				if (side === null || side === state.inside) {
+					state.pendingSide = null;
+					state.pendingCount = 0;
+				} else {
+					state.pendingCount = state.pendingSide === side ? state.pendingCount + 1 : 1;
+					state.pendingSide = side;
+
+					if (state.pendingCount >= confirmations) {
+						const wasKnown = state.inside !== null;
+						state.inside = side;
+						state.pendingSide = null;
+						state.pendingCount = 0;
+
+						if (side) {
+							state.enteredAt = timestamp;
+							state.dwelled = false;
+							events.push(emit('enter', state, timestamp));
+						} else if (wasKnown) {
+							events.push(emit('exit', state, timestamp));
+						}
+					}
+				}
+
+				checkDwell(state, timestamp, events);
+			}
+			return events;
+		},
+
+		/**
+		 * Re-check dwell time without a new position (the device may be standing still)
+		 * @param {number} [now] - Current time in milliseconds (default: Date.now())
+		 * @returns {Array} Dwell events emitted
+		 */
+		tick(now = Date.now()) {
+			const events = [];
+			for (const state of states.values()) {
+				checkDwell(state, now, events);
+			}
+			return events;
+		},
+
+		/**
+		 * Subscribe to engine events
+		 * @param {'enter'|'exit'|'dwell'} type - Event type
+		 * @param {Function} handler - Receives the event payload
+		 * @returns {Function} Unsubscribe function
+		 */
+		on(type, handler) {
+			if (!listeners[type]) {
+				throw new Error(`Unknown geofence event: ${type}`);
+			}
+			listeners[type].add(handler);
+			return () => listeners[type].delete(handler);
+		},
+
+		/**
+		 * @returns {Array} Zones the device is currently confirmed inside
+		 */
+		getInsideZones() {
+			return [...states.values()].filter((state) => state.inside).map((state) => state.zone);
+		},
+
+		/**
+		 * Forget all zone state (e.g. after monitoring was paused)
+		 */
+		reset() {
+			lastPosition = null;
+			for (const state of states.values()) {
+				Object.assign(state, {
+					inside: null,
+					pendingSide: null,
+					pendingCount: 0,
+					enteredAt: null,
+					dwelled: false
+				});
+			}
+		}
+	};
+
+	engine.setZones(zones);
+	return engine;
+};
+
+// ============================================================================
+// POSITION MONITOR
+// ============================================================================
+
+/**
+ * Feed live device positions into a geofence engine
+ *
+ * @param {Object} engine - Engine from createGeofenceEngine
+ * @param {Object} options - Monitor options
+ * @param {Function} [options.onPoint] - Called with each accepted position after evaluation
+ * @param {Function} [options.onError] - Called with geolocation errors
+ * @param {number} [options.tickInterval] - Dwell re-check interval in milliseconds (default: 15s)
+ * @param {Object} [options.tracker] - Extra createLocationTracker options (maxAccuracy, etc.)
+ * @returns {{start: Function, stop: Function, isActive: Function}} Monitor controls
+ */
+export const createGeofenceMonitor = (engine, options = {}) => {
+	const {
+		onPoint = () => {},
+		onError = () => {},
+		tickInterval = DEFAULT_TICK_INTERVAL,
+		tracker: trackerOptions = {}
+	} = options;
+
+	let timer = null;
+	const tracker = createLocationTracker({
+		...trackerOptions,
+		onPoint: (point) => {
+			engine.evaluate(point);
+			onPoint(point);
+		},
+		onError
+	});
+
+	return {
+		/**
+		 * Start watching the device position (no-op if already active)
+		 * @throws {Error} If geolocation is not supported
+		 */
+		start() {
+			if (tracker.isActive()) return;
+			tracker.start();
+			engine.reset();
+			timer = setInterval(() => engine.tick(), tickInterval);
+		},
+
+		/**
+		 * Stop watching the device position
+		 */
+		stop() {
+			tracker.stop();
+			clearInterval(timer);
+			timer = null;
+		},
+
+		/**
+		 * @returns {boolean} Whether the monitor is currently watching
+		 */
+		isActive() {
+			return tracker.isActive();
+		}
+	};
+};
@@ -0,0 +1,338 @@
+/**
+ * Geodesic geometry
+ * Distances, bearings, areas and containment on the Earth's surface
+ *
+ * This module provides:
+ * - Haversine (spherical) and Vincenty (WGS84 ellipsoid) distances
+ * - Initial bearing, destination point and midpoint on a great circle
+ * - Bounding box, point-in-polygon, polygon area and perimeter, path length
+ *
+ * Conventions:
+ * - Coordinates are {lat, lng} in decimal degrees; numeric strings are accepted
+ * - Distances are meters, bearings are degrees clockwise from true north (0-360)
+ * - Polygons are open rings ([a, b, c] - the closing edge c->a is implied)
+ * - Everything handles the antimeridian: longitude differences take the short way round
+ *
+ * Pure functions with no browser or database dependencies, so the module runs
+ * unchanged in Node.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Mean Earth radius in meters (IUGG) - used by the spherical formulas
+export const EARTH_RADIUS = 6371008.8;
+
+// WGS84 ellipsoid - used by Vincenty's formulae
+const WGS84_A = 6378137; // Semi-major axis (m)
+const WGS84_F = 1 / 298.257223563; // Flattening
+const WGS84_B = WGS84_A * (1 - WGS84_F); // Semi-minor axis (m)
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Wrap a longitude into [-180, 180)
+ * @param {number} lng - Longitude in degrees (any value)
+ * @returns {number} Equivalent longitude in [-180, 180)
+ */
+export const normalizeLongitude = (lng) => ((((+lng + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Signed longitude difference taking the short way round the globe
+ * @param {number} from - Start longitude in degrees
+ * @param {number} to - End longitude in degrees
+ * @returns {number} Difference in [-180, 180) degrees (179 -> -179 is +2, not -358)
+ */
+export const longitudeDelta = (from, to) => normalizeLongitude(+to - +from);
+
+// ============================================================================
+// DISTANCE
+// ============================================================================
+
+/**
+ * Great-circle distance using the haversine formula (spherical Earth)
+ * Fast and accurate to ~0.5% - right for filtering, nearest-place and geofence checks
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @returns {number} Distance in meters
+ */
+export const haversineDistance = (from, to) => {
+	const dLat = toRadians(+to.lat - +from.lat);
+	const dLng = toRadians(longitudeDelta(from.lng, to.lng));
+	const a =
+		Math.sin(dLat / 2) ** 2 +
+		Math.cos(toRadians(+from.lat)) * Math.cos(toRadians(+to.lat)) * Math.sin(dLng / 2) ** 2;
+	return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Geodesic distance on the WGS84 ellipsoid using Vincenty's inverse formula
+ * Accurate to millimeters - right for surveying-grade lengths
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @param {Object} options - Iteration options
+ * @param {number} options.maxIterations - Iteration limit (default: 200)
+ * @param {number} options.tolerance - Convergence threshold in radians (default: 1e-12)
+ * @returns {number} Distance in meters
+ *
+ * Convergence:
+ * - The iteration can fail for nearly antipodal points; the haversine distance
+ *   is returned instead of throwing, since callers want a usable number
+ */
+export const vincentyDistance = (from, to, { maxIterations = 200, tolerance = 1e-12 } = {}) => {
+	const L = toRadians(longitudeDelta(from.lng, to.lng));
+	const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(+from.lat)));
+	const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(+to.lat)));
+	const sinU1 = Math.sin(U1);
+	const cosU1 = Math.cos(U1);
+	const sinU2 = Math.sin(U2);
+	const cosU2 = Math.cos(U2);
+
+	let lambda = L;
+	for (let i = 0; i < maxIterations; i++) {
+		const sinLambda = Math.sin(lambda);
+		const cosLambda = Math.cos(lambda);
+		const sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+		if (sinSigma === 0) return 0; // Coincident points
+
+		const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+		const sigma = Math.atan2(sinSigma, cosSigma);
+		const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+		const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+		// Equatorial line: cosSqAlpha = 0, cos2SigmaM is defined as 0
+		const cos2SigmaM = cosSqAlpha === 0 ? 0 : cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha;
+		const C = (WGS84_F / 16) * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+
+		const previous = lambda;
+		lambda =
+			L +
+			(1 - C) *
+				WGS84_F *
+				sinAlpha *
+				(sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+		if (Math.abs(lambda - previous) < tolerance) {
+			const uSq = (cosSqAlpha * (WGS84_A ** 2 - WGS84_B ** 2)) / WGS84_B ** 2;
+			const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+			const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+			const deltaSigma =
+				B *
+				sinSigma *
+				(cos2SigmaM +
+					(B / 4) *
+						(cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+							(B / 6) * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+			return WGS84_B * A * (sigma - deltaSigma);
+		}
+	}
+
+	// NON-CONVERGENCE: Nearly antipodal points - fall back to the spherical answer
+	return haversineDistance(from, to);
+};
+
+/**
+ * Total length of a path (e.g. a recorded track)
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Ordered vertices
+ * @param {Function} distance - Segment distance function (default: haversineDistance)
+ * @returns {number} Length in meters (0 for fewer than two points)
+ */
+export const pathLength = (points, distance = haversineDistance) => {
+	let total = 0;
+	for (let i = 1; i < points.length; i++) {
+		total += distance(points[i - 1], points[i]);
+	}
+	return total;
+};
+
+// ============================================================================
+// BEARINGS AND POINTS
+// ============================================================================
+
+/**
+ * Initial bearing (forward azimuth) of the great circle from one point to another
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @returns {number} Bearing in degrees clockwise from north, 0-360 (0 for identical points)
+ */
+export const initialBearing = (from, to) => {
+	const lat1 = toRadians(+from.lat);
+	const lat2 = toRadians(+to.lat);
+	const dLng = toRadians(longitudeDelta(from.lng, to.lng));
+
+	const y = Math.sin(dLng) * Math.cos(lat2);
+	const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+	return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Point reached by travelling a distance along a great circle from a start point
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {number} distance - Distance to travel in meters
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @returns {{lat: number, lng: number}} Destination (longitude wrapped into [-180, 180))
+ */
+export const destinationPoint = (from, distance, bearing) => {
+	const delta = distance / EARTH_RADIUS; // Angular distance
+	const theta = toRadians(bearing);
+	const lat1 = toRadians(+from.lat);
+	const lng1 = toRadians(+from.lng);
+
+	const lat2 = Math.asin(
+		Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)
+	);
+	const lng2 =
+		lng1 +
+		Math.atan2(
+			Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+			Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+		);
+
+	return { lat: toDegrees(lat2), lng: normalizeLongitude(toDegrees(lng2)) };
+};
+
+/**
+ * Halfway point along the great circle between two points
+ *
+ * @param {Object} a - First coordinates {lat, lng}
+ * @param {Object} b - Second coordinates {lat, lng}
+ * @returns {{lat: number, lng: number}} Midpoint (longitude wrapped into [-180, 180))
+ */
+export const midpoint = (a, b) => {
+	const lat1 = toRadians(+a.lat);
+	const lat2 = toRadians(+b.lat);
+	const lng1 = toRadians(+a.lng);
+	const dLng = toRadians(longitudeDelta(a.lng, b.lng));
+
+	const bx = Math.cos(lat2) * Math.cos(dLng);
+	const by = Math.cos(lat2) * Math.sin(dLng);
+	const lat = Math.atan2(Math.sin(lat1) + Math.sin(lat2), Math.hypot(Math.cos(lat1) + bx, by));
+	const lng = lng1 + Math.atan2(by, Math.cos(lat1) + bx);
+
+	return { lat: toDegrees(lat), lng: normalizeLongitude(toDegrees(lng)) };
+};
+
+// ============================================================================
+// AREAS AND CONTAINMENT
+// ============================================================================
+
+/**
+ * Smallest bounding box containing a set of points
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Points to enclose
+ * @returns {{north: number, south: number, east: number, west: number}|null} Bounds, null when empty
+ *
+ * Antimeridian Strategy:
+ * - Longitudes are sorted and the widest empty gap between neighbours is found
+ * - The box spans everything except that gap, so points at 179° and -179° give a 2° box
+ * - A box crossing the antimeridian has west > east (e.g. west 179, east -179)
+ */
+export const boundingBox = (points) => {
+	if (!points || points.length === 0) return null;
+
+	const lats = points.map((point) => +point.lat);
+	const lngs = points.map((point) => normalizeLongitude(point.lng)).sort((a, b) => a - b);
+
+	// LARGEST GAP: Start with the wrap-around gap from the last longitude to the first
+	let gap = lngs[0] + 360 - lngs[lngs.length - 1];
+	let west = lngs[0];
+	let east = lngs[lngs.length - 1];
+	for (let i = 1; i < lngs.length; i++) {
+		const current = lngs[i] - lngs[i - 1];
+		if (current > gap) {
+			gap = current;
+			west = lngs[i];
+			east = lngs[i - 1];
+		}
+	}
+
+	return { north: Math.max(...lats), south: Math.min(...lats), east, west };
+};
+
+/**
+ * Whether a point lies inside a polygon (ray casting)
+ * Points exactly on an edge may fall either way.
+ *
+ * @param {Object} point - Coordinates {lat, lng}
+ * @param {Array<{lat: number, lng: number}>} polygon - Open ring of vertices
+ * @returns {boolean} True when the point is inside
+ *
+ * Antimeridian Strategy:
+ * - The ring is unwrapped edge by edge (short-way longitude differences), so a polygon
+ *   spanning ±180° becomes one continuous shape, e.g. 179° → 181°
+ * - The point is tested at its longitude and one turn either side, so it is found
+ *   whichever side of the antimeridian the unwrapped ring ended up on
+ */
+export const pointInPolygon = (point, polygon) => {
+	if (!polygon || polygon.length < 3) return false;
+
+	let x = normalizeLongitude(polygon[0].lng);
+	const vertices = polygon.map((vertex, index) => {
+		if (index > 0) x += longitudeDelta(polygon[index - 1].lng, vertex.lng);
+		return { x, y: +vertex.lat };
+	});
+
+	const lat = +point.lat;
+	const lng = normalizeLongitude(point.lng);
+	const isInside = (px) => {
+		let inside = false;
+		for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+			const a = vertices[i];
+			const b = vertices[j];
+			// CROSSING TEST: Edge straddles the point's latitude east of the point
+			if (a.y > lat !== b.y > lat && px < ((b.x - a.x) * (lat - a.y)) / (b.y - a.y) + a.x) {
+				inside = !inside;
+			}
+		}
+		return inside;
+	};
+	return isInside(lng) || isInside(lng - 360) || isInside(lng + 360);
+};
+
+/**
+ * Area of a polygon on the sphere
+ *
+ * @param {Array<{lat: number, lng: number}>} polygon - Open ring of vertices
+ * @returns {number} Area in square meters (0 for fewer than three vertices)
+ *
+ * Strategy:
+ * - Spherical excess summed over edges (Chamberlain & Duquette, JPL 2007)
+ * - Each edge uses the short-way longitude difference, so rings crossing the
+ *   antimeridian are measured correctly
+ * - Winding order does not matter (absolute value)
+ */
+export const polygonArea = (polygon) => {
+	if (!polygon || polygon.length < 3) return 0;
+
+	let sum = 0;
+	for (let i = 0; i < polygon.length; i++) {
+		const a = polygon[i];
+		const b = polygon[(i + 1) % polygon.length];
+		sum +=
+			toRadians(longitudeDelta(a.lng, b.lng)) *
+			(2 + Math.sin(toRadians(+a.lat)) + Math.sin(toRadians(+b.lat)));
+	}
+	return Math.abs((sum * EARTH_RADIUS * EARTH_RADIUS) / 2);
+};
+
+/**
+ * Perimeter of a polygon, including the implied closing edge
+ *
+ * @param {Array<{lat: number, lng: number}>} polygon - Open ring of vertices
+ * @param {Function} distance - Edge distance function (default: haversineDistance)
+ * @returns {number} Perimeter in meters (0 for fewer than two vertices)
+ */
+export const polygonPerimeter = (polygon, distance = haversineDistance) => {
+	if (!polygon || polygon.length < 2) return 0;
+	return pathLength([...polygon, polygon[0]], distance);
+};
@@ -0,0 +1,138 @@
+/**
+ * Geodesic geometry tests
+ * Reference vectors for geometry.js - run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	EARTH_RADIUS,
+	boundingBox,
+	haversineDistance,
+	normalizeLongitude,
+	pointInPolygon,
+	polygonArea,
+	vincentyDistance
+} from './geometry.js';
+
+// Degrees, minutes and seconds to decimal degrees
+const dms = (degrees, minutes, seconds) =>
+	Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+
+// 2° x 2° square centred on the equator and a meridian
+const square = (lng) => [
+	{ lat: -1, lng: normalizeLongitude(lng - 1) },
+	{ lat: -1, lng: normalizeLongitude(lng + 1) },
+	{ lat: 1, lng: normalizeLongitude(lng + 1) },
+	{ lat: 1, lng: normalizeLongitude(lng - 1) }
+];
+
+// ============================================================================
+// DISTANCES
+// ============================================================================
+
+test('vincentyDistance matches the Flinders Peak to Buninyong reference', () => {
+	// Geoscience Australia's worked example of Vincenty's inverse formula on WGS84
+	const flindersPeak = { lat: dms(-37, 57, 3.7203), lng: dms(144, 25, 29.5244) };
+	const buninyong = { lat: dms(-37, 39, 10.1561), lng: dms(143, 55, 35.3839) };
+
+	assert.ok(Math.abs(vincentyDistance(flindersPeak, buninyong) - 54972.271) < 0.001);
+});
+
+test('vincentyDistance is zero for the same point and symmetric', () => {
+	const a = { lat: 51.5074, lng: -0.1278 };
+	const b = { lat: 48.8566, lng: 2.3522 };
+
+	assert.equal(vincentyDistance(a, a), 0);
+	assert.ok(Math.abs(vincentyDistance(a, b) - vincentyDistance(b, a)) < 1e-6);
+});
+
+test('haversineDistance takes the short way across the antimeridian', () => {
+	const distance = haversineDistance({ lat: 0, lng: 179.5 }, { lat: 0, lng: -179.5 });
+	const oneDegree = (Math.PI / 180) * EARTH_RADIUS;
+
+	assert.ok(Math.abs(distance - oneDegree) < 1e-6);
+});
+
+// ============================================================================
+// BOUNDING BOX
+// ============================================================================
+
+test('boundingBox spans the antimeridian instead of the whole world', () => {
+	const bounds = boundingBox([
+		{ lat: 1, lng: 179 },
+		{ lat: -2, lng: -179 },
+		{ lat: 0, lng: 178.5 }
+	]);
+
+	assert.deepEqual(bounds, { north: 1, south: -2, east: -179, west: 178.5 });
+});
+
+test('boundingBox keeps an ordinary box west of east and handles empty input', () => {
+	const bounds = boundingBox([
+		{ lat: 30, lng: 31 },
+		{ lat: 29.5, lng: 32 }
+	]);
+
+	assert.deepEqual(bounds, { north: 30, south: 29.5, east: 32, west: 31 });
+	assert.equal(boundingBox([]), null);
+});
+
+// ============================================================================
+// POLYGON AREA
+// ============================================================================
+
+test('polygonArea of a square crossing ±180° equals the same square at 0°', () => {
+	// Spherical zone area between two parallels over 2° of longitude
+	const expected = EARTH_RADIUS ** 2 * ((2 * Math.PI) / 180) * (2 * Math.sin((1 * Math.PI) / 180));
+
+	assert.ok(Math.abs(polygonArea(square(180)) - expected) / expected < 1e-9);
+	assert.ok(Math.abs(polygonArea(square(0)) - expected) / expected < 1e-9);
+});
+
+test('polygonArea ignores winding order and degenerate rings', () => {
+	const ring = square(180);
+
+	assert.equal(polygonArea([...ring].reverse()), polygonArea(ring));
+	assert.equal(polygonArea(ring.slice(0, 2)), 0);
+});
+
+// ============================================================================
+// POINT IN POLYGON
+// ============================================================================
+
+test('pointInPolygon finds points on both sides of the antimeridian', () => {
+	const ring = square(180);
+
+	assert.equal(pointInPolygon({ lat: 0, lng: 179.5 }, ring), true);
+	assert.equal(pointInPolygon({ lat: 0, lng: -179.5 }, ring), true);
+	assert.equal(pointInPolygon({ lat: 0, lng: 180 }, ring), true);
+	assert.equal(pointInPolygon({ lat: 0, lng: 178 }, ring), false);
+});
+
+test('pointInPolygon rejects points on the far side of the globe', () => {
+	assert.equal(pointInPolygon({ lat: 0, lng: 0 }, square(180)), false);
+	assert.equal(pointInPolygon({ lat: 0, lng: 180 }, square(0)), false);
+});
+
+test('pointInPolygon handles concave rings and degenerate input', () => {
+	// U shape open to the north - the notch between the arms is outside
+	const u = [
+		{ lat: 0, lng: 0 },
+		{ lat: 0, lng: 3 },
+		{ lat: 3, lng: 3 },
+		{ lat: 3, lng: 2 },
+		{ lat: 1, lng: 2 },
+		{ lat: 1, lng: 1 },
+		{ lat: 3, lng: 1 },
+		{ lat: 3, lng: 0 }
+	];
+
+	assert.equal(pointInPolygon({ lat: 2, lng: 0.5 }, u), true);
+	assert.equal(pointInPolygon({ lat: 2, lng: 1.5 }, u), false);
+	assert.equal(pointInPolygon({ lat: 0.5, lng: 1.5 }, u), true);
+	// Ray through a vertex latitude must not double-count
+	assert.equal(pointInPolygon({ lat: 1, lng: 0.5 }, u), true);
+	assert.equal(pointInPolygon({ lat: 0, lng: 0 }, []), false);
+	assert.equal(pointInPolygon({ lat: 0, lng: 0 }, u.slice(0, 2)), false);
+});
@@ -0,0 +1,293 @@
+/**
+ * Google Maps provider
+ * Implements the map provider interface (see mapProviders.js) on top of the
+ * Google Maps JavaScript API with AdvancedMarkerElement markers
+ *
+ * This module provides:
+ * - Asynchronous Google Maps API loading with performance optimization
+ * - Map, marker, polyline and shape handles that hide Google-specific types
+ * - Event normalization (Google 'idle'/'zoom_changed' to 'moveend'/'zoomend')
+ */
+
+// ============================================================================
+// API LOADING
+// ============================================================================
+
+// Load in progress or finished - callers share it instead of injecting the script again
+let pendingLoad = null;
+
+/**
+ * Load Google Maps JavaScript API with performance-optimized async loading
+ * Uses dynamic script injection with callback-based loading to prevent blocking
+ * Implements proper cleanup and error handling for production use
+ *
+ * @param {string} apiKey - Google Maps API key from environment variables
+ * @returns {Promise<void>} Resolves when API is loaded and ready to use
+ *
+ * Loading Strategy:
+ * - Check if already loaded (prevents duplicate loading)
+ * - Share a pending load between callers (several maps on one page inject one script)
+ * - Validate API key exists (fail fast on configuration errors)
+ * - Use async/defer script loading (non-blocking)
+ * - Global callback cleanup (prevents memory leaks)
+ * - Error handling for network/API failures
+ */
+export const loadGoogleMapsAPI = (apiKey) => {
+	if (pendingLoad) return pendingLoad;
+
+	pendingLoad = new Promise((resolve, reject) => {
+		// OPTIMIZATION: Check if Google Maps is already loaded
+		// Prevents duplicate script injection and unnecessary network requests
+		if (window.google && window.google.maps) {
+			resolve();
+			return;
+		}
+
+		// VALIDATION: Ensure API key is configured
+		// Fail fast if environment variable is missing
+		if (!apiKey) {
+			reject(new Error('Google Maps API key not configured.'));
+			return;
+		}
+
+		// SCRIPT INJECTION: Create script element for Google Maps API
+		const script = document.createElement('script');
+
+		// API URL with callback parameter for async loading notification
+		// loading=async is recommended by Google for optimal performance
+		script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&loading=async&libraries=marker&callback=initMap`;
+
+		// PERFORMANCE: Non-blocking script loading
+		script.async = true; // Download script in parallel with page parsing
+		script.defer = true; // Execute script after HTML parsing is complete
+
+		// CALLBACK SETUP: Global callback for when API finishes loading
+		// Google Maps calls this function when ready
+		window.initMap = () => {
+			// CLEANUP: Remove global callback to prevent memory leaks
+			delete window.initMap;
+			resolve(); // Notify Promise that loading is complete
+		};
+
+		// ERROR HANDLING: Network or API loading failures
+		script.onerror = () => {
+			// CLEANUP: Remove callback on error
+			delete window.initMap;
+			reject(new Error('Failed to load Google Maps.'));
+		};
+
+		// INJECTION: Add script to document head to start loading
+		document.head.appendChild(script);
+	});
+
+	// RETRY: A failed load may be attempted again (e.g. once back online)
+	pendingLoad.catch(() => {
+		pendingLoad = null;
+	});
+	return pendingLoad;
+};
+
+// ============================================================================
+// HANDLE WRAPPERS
+// ============================================================================
+
+/**
+ * Normalize a Google LatLng or LatLngLiteral into a plain {lat, lng}
+ * AdvancedMarkerElement.position may hold either form depending on how it was set
+ *
+ * @param {Object} position - google.maps.LatLng or LatLngLiteral
+ * @returns {{lat: number, lng: number}|null} Plain coordinates
+ */
+const toLatLng = (position) => {
+	if (!position) return null;
+	return typeof position.lat === 'function'
+		? { lat: position.lat(), lng: position.lng() }
+		: { lat: +position.lat, lng: +position.lng };
+};
+
+// Interface event names mapped to Google Maps event names
+const MAP_EVENTS = {
+	click: 'click',
+	moveend: 'idle',
+	zoomend: 'zoom_changed',
+	dragstart: 'dragstart'
+};
+
+/**
+ * Wrap an AdvancedMarkerElement in a MarkerHandle
+ * @param {Object} marker - google.maps.marker.AdvancedMarkerElement
+ * @returns {Object} MarkerHandle
+ */
+const wrapMarker = (marker) => ({
+	native: marker,
+	getPosition: () => toLatLng(marker.position),
+	setPosition: (position) => {
+		marker.position = { lat: +position.lat, lng: +position.lng };
+	},
+	on: (event, handler) => {
+		// AdvancedMarkerElement uses 'gmp-click' for the accessible click event
+		const listener = marker.addListener(event === 'click' ? 'gmp-click' : event, () =>
+			handler(toLatLng(marker.position))
+		);
+		return () => listener.remove();
+	},
+	remove: () => {
+		marker.map = null;
+	}
+});
+
+/**
+ * Wrap a google.maps.Map in a MapHandle
+ * @param {Object} map - google.maps.Map instance
+ * @param {Object} libs - Loaded Google Maps library classes
+ * @returns {Object} MapHandle
+ */
+const wrapMap = (map, libs) => ({
+	native: map,
+	getCenter: () => toLatLng(map.getCenter()),
+	panTo: (position) => map.panTo({ lat: +position.lat, lng: +position.lng }),
+	getZoom: () => map.getZoom(),
+	setZoom: (zoom) => map.setZoom(zoom),
+	getBounds: () => {
+		const bounds = map.getBounds();
+		if (!bounds) return null;
+		const ne = bounds.getNorthEast();
+		const sw = bounds.getSouthWest();
+		return { north: ne.lat(), south: sw.lat(), east: ne.lng(), west: sw.lng() };
+	},
+	fitBounds: (bounds) => map.fitBounds(bounds),
+	on: (event, handler) => {
+		const listener = map.addListener(MAP_EVENTS[event] || event, (e) =>
+			handler(e?.latLng ? toLatLng(e.latLng) : undefined)
+		);
+		return () => listener.remove();
+	},
+	createMarker: ({
+		position,
+		draggable = false,
+		title = '',
+		content,
+		anchor = 'bottom',
+		interactive = true
+	} = {}) => {
+		if (content) {
+			// ANCHOR: Advanced markers sit on their bottom edge - shift down half the height to center
+			if (anchor === 'center') content.style.transform = 'translateY(50%)';
+			if (!interactive) content.style.pointerEvents = 'none';
+		}
+		return wrapMarker(
+			new libs.AdvancedMarkerElement({
+				position,
+				map,
+				gmpDraggable: draggable,
+				title,
+				...(content ? { content } : {})
+			})
+		);
+	},
+	createPolyline: ({ path = [], color = '#4285f4', weight = 4, opacity = 0.9 } = {}) => {
+		const polyline = new libs.Polyline({
+			path,
+			map,
+			strokeColor: color,
+			strokeOpacity: opacity,
+			strokeWeight: weight,
+			clickable: false // Purely visual - must not swallow marker drags
+		});
+		return {
+			native: polyline,
+			setPath: (newPath) => polyline.setPath(newPath),
+			remove: () => polyline.setMap(null)
+		};
+	},
+	createCircle: ({ center, radius, color = '#4285f4', weight = 2, fillOpacity = 0.15 } = {}) => {
+		const circle = new libs.Circle({
+			center: { lat: +center.lat, lng: +center.lng },
+			radius,
+			map,
+			strokeColor: color,
+			strokeWeight: weight,
+			fillColor: color,
+			fillOpacity,
+			clickable: false
+		});
+		return {
+			native: circle,
+			setCenter: (position) => circle.setCenter({ lat: +position.lat, lng: +position.lng }),
+			setRadius: (meters) => circle.setRadius(meters),
+			remove: () => circle.setMap(null)
+		};
+	},
+	createPolygon: ({ path = [], color = '#4285f4', weight = 2, fillOpacity = 0.15 } = {}) => {
+		const polygon = new libs.Polygon({
+			paths: path.map((point) => ({ lat: +point.lat, lng: +point.lng })),
+			map,
+			strokeColor: color,
+			strokeWeight: weight,
+			fillColor: color,
+			fillOpacity,
+			clickable: false
+		});
+		return {
+			native: polygon,
+			setPath: (newPath) =>
+				polygon.setPaths(newPath.map((point) => ({ lat: +point.lat, lng: +point.lng }))),
+			remove: () => polygon.setMap(null)
+		};
+	},
+	destroy: () => {
+		window.google.maps.event.clearInstanceListeners(map);
+	}
+});
+
+// ============================================================================
+// PROVIDER FACTORY
+// ============================================================================
+
+/**
+ * Create a Google Maps provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Google Maps API key
+ * @param {string} options.mapId - Map id, required by AdvancedMarkerElement (default: 'DEMO_MAP_ID')
+ * @returns {Object} MapProvider
+ */
+export const createGoogleMapsProvider = ({ apiKey, mapId = 'DEMO_MAP_ID' } = {}) => {
+	// Library classes resolved once by load() and shared by every map instance
+	let libs = null;
+
+	return {
+		id: 'google',
+
+		async load() {
+			if (libs) return;
+			await loadGoogleMapsAPI(apiKey);
+
+			// MODERN API: Import only the libraries we use (performance optimization)
+			const [maps, marker] = await Promise.all([
+				window.google.maps.importLibrary('maps'),
+				window.google.maps.importLibrary('marker')
+			]);
+			libs = {
+				Map: maps.Map,
+				Polyline: maps.Polyline,
+				Circle: maps.Circle,
+				Polygon: maps.Polygon,
+				...marker
+			};
+		},
+
+		async createMap(element, { center, zoom = 15 } = {}) {
+			await this.load();
+
+			// MAP CREATION: Initialize map with user-friendly configuration
+			const map = new libs.Map(element, {
+				center,
+				zoom, // Zoom level (1=world, 20=building level)
+				gestureHandling: 'greedy', // Allow single-finger pan/zoom (mobile-friendly)
+				mapId // Required for AdvancedMarkerElement
+			});
+			return wrapMap(map, libs);
+		}
+	};
+};
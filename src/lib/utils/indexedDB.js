@@ -1,203 +1,352 @@
 /**
- * IndexedDB Location Storage Utilities
- * Handles persistent storage of user location data using browser's IndexedDB
+ * Location Storage Utilities
+ * Handles persistent storage of user location data - in IndexedDB unless the
+ * browser cannot use it (see storageAdapters.js for the backends)
  * 
  * This module provides:
  * - Robust location data persistence across browser sessions
- * - Fallback to localStorage for older browsers
- * - GPS location access with intelligent caching
- * - Multiple location retrieval strategies (saved, fresh, fallback)
+ * - Saved places collection (create, rename, list, delete, get-by-id)
+ * - Recorded tracks with time-indexed GPS points
+ * - Geocoding result cache with age-based pruning
+ * - Geofence zones (circles and polygons)
+ * - Saved distance and area measurements
+ * - An outbox of place and track changes for the server sync engine (see syncEngine.js)
+ * - Optional passphrase encryption of every location record (see encryptedAdapter.js)
+ * - Retention that expires old saved locations, tracks and geocoding results, and
+ *   a "forget all my location data" wipe
+ * - Change notifications to other tabs (BroadcastChannel, storage events as fallback)
+ * - Last-writer-wins conflict resolution on updatedAt for concurrent writes
+ * - One validated API over every storage backend (IndexedDB, localStorage, memory),
+ *   picked by capability detection when first used
  * - Error handling and graceful degradation
- * - Performance optimization through singleton pattern connection caching
+ * - Performance optimization through a single shared storage adapter
+ *
+ * Choosing between saved, GPS and fallback locations lives in locationService.js.
  */
 
+import { isValidLocation } from './locationUtils.js';
+import { createStorageAdapter, generateId, STORES, STORE_KEYS } from './storageAdapters.js';
+import {
+    createEncryptedAdapter,
+    createEncryptionConfig,
+    getSealedStores,
+    isEncryptionSupported,
+    unlockEncryption
+} from './encryptedAdapter.js';
+
 // ============================================================================
-// DATABASE CONFIGURATION
+// STORAGE CONFIGURATION
 // ============================================================================
 
-// Database name - stays consistent across app versions for data persistence
-const DB_NAME = 'MapLocationDB';
-
 // Object store name - acts like a table in traditional databases
-const STORE_NAME = 'userLocation';
+const STORE_NAME = STORES.USER_LOCATION;
+
+// Saved places store - one record per named place, keyed by generated id
+const PLACES_STORE = STORES.PLACES;
+
+// Recorded trips - one record per named track, keyed by generated id
+const TRACKS_STORE = STORES.TRACKS;
+
+// Individual track fixes - auto-incremented keys, ordered by track and time
+const TRACK_POINTS_STORE = STORES.TRACK_POINTS;
+
+// Geocoding results - keyed by normalized query or rounded coordinate
+const GEOCODE_CACHE_STORE = STORES.GEOCODE_CACHE;
+
+// Geofence zones - circle or polygon areas, keyed by generated id
+const ZONES_STORE = STORES.ZONES;
+
+// Measure tool results - named lines and polygons, keyed by generated id
+const MEASUREMENTS_STORE = STORES.MEASUREMENTS;
+
+// Server sync bookkeeping - outbox entries, pull cursors and the sync key, keyed by 'kind:...'
+const SYNC_STORE = STORES.SYNC;
+
+// Storage settings - encryption parameters and the retention period, keyed by setting name
+const SETTINGS_STORE = STORES.SETTINGS;
+const ENCRYPTION_SETTING = 'encryption';
+const RETENTION_SETTING = 'retention';
+
+// Location written by earlier versions' localStorage fallback (see indexedDBAdapter.js)
+const LEGACY_LOCATION_KEY = 'user-location';
+
+// Record key of the app's own saved location - embedded maps may persist under other keys
+const DEFAULT_LOCATION_KEY = 'current';
+
+// BroadcastChannel shared by every tab of this origin for change notifications
+const CHANGE_CHANNEL_NAME = 'map-location-db';
 
-// Database instance cache - prevents multiple connections and improves performance
-let dbInstance = null;
+// localStorage key carrying change notifications where BroadcastChannel is unavailable
+const CHANGE_STORAGE_KEY = 'map-location-db-change';
+
+// Storage adapter in use - resolved once, on first use, and shared by every function below
+let storagePromise = null;
+
+// ENCRYPTION STATE: Stored parameters (null when off) and this tab's keys (null while locked)
+let encryption = { enabled: false, config: null, keys: null };
 
 // ============================================================================
-// DATABASE CONNECTION MANAGEMENT
+// STORAGE BACKEND
 // ============================================================================
 
 /**
- * Get or create IndexedDB database connection using singleton pattern
- * Implements singleton pattern to reuse database connection efficiently
- * Handles database schema creation and version management
- * 
- * @returns {Promise<IDBDatabase>} IndexedDB database instance
- * 
- * Connection Strategy:
- * - Reuse existing connection (performance optimization)
- * - Check browser compatibility (graceful fallback)
- * - Handle database creation and schema setup
- * - Manage version upgrades for schema changes
- */
-async function getDB() {
-    // SINGLETON PATTERN: Return cached instance if available
-    // Prevents multiple database connections and improves performance
-    if (dbInstance) return dbInstance;
-
-    // COMPATIBILITY CHECK: Ensure IndexedDB is supported
-    // Older browsers or private mode might not support IndexedDB
-    if (!window.indexedDB) {
-        throw new Error('IndexedDB is not supported in this browser');
-    }
-
-    return new Promise((resolve, reject) => {
-        // DATABASE OPENING: Open existing database or create new one
-        // Version 1 indicates schema version for future upgrades
-        const request = indexedDB.open(DB_NAME, 1);
-
-        // ERROR HANDLING: Database opening failures
-        request.onerror = (event) => {
-            const error = event.target.error;
-            reject(new Error(`Failed to open database: ${error?.message || 'Unknown error'}`));
-        };
+ * Get the storage adapter, detecting the backend on first use
+ * A failed detection is not cached, so the next call tries again
+ *
+ * @returns {Promise<import('./storageAdapters.js').StorageAdapter>} Opened adapter
+ */
+function getStorage() {
+    storagePromise ??= createStorageAdapter().then(prepareStorage).catch((error) => {
+        storagePromise = null;
+        throw error;
+    });
+    return storagePromise;
+}
 
-        // SUCCESS HANDLER: Database opened successfully
-        request.onsuccess = () => {
-            // CACHE CONNECTION: Store for future use
-            dbInstance = request.result;
-            resolve(dbInstance);
-        };
+/**
+ * Use a specific storage adapter instead of the detected one
+ * For tests (a fresh memory adapter each) and for backends the registry does not
+ * know about, such as one that syncs to a server
+ *
+ * @param {import('./storageAdapters.js').StorageAdapter} adapter - Adapter to use
+ * @returns {Promise<void>} Resolves once the adapter is open
+ */
+export async function useStorageAdapter(adapter) {
+    storagePromise = Promise.resolve(adapter.open()).then(() => prepareStorage(adapter));
+    try {
+        await storagePromise;
+    } catch (error) {
+        storagePromise = null;
+        throw error;
+    }
+}
 
-        // SCHEMA SETUP: Runs only when database is first created or version changes
-        // This is the only place where we can create object stores (tables)
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
+/**
+ * Wrap an opened backend with encryption and load the encryption settings
+ * Keys from an earlier unlock are kept while the settings stay the same
+ *
+ * @param {import('./storageAdapters.js').StorageAdapter} adapter - Opened backend
+ * @returns {Promise<import('./storageAdapters.js').StorageAdapter>} Encrypting adapter
+ */
+async function prepareStorage(adapter) {
+    const config = await adapter.get(SETTINGS_STORE, ENCRYPTION_SETTING);
+    const sameConfig = config && config.salt === encryption.config?.salt;
+    encryption = { enabled: Boolean(config), config, keys: sameConfig ? encryption.keys : null };
+    return createEncryptedAdapter(adapter, () => encryption);
+}
 
-            // CREATE OBJECT STORE: Like creating a table in SQL
-            // Only create if it doesn't exist (prevents errors on multiple calls)
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME);
-            }
-        };
+/**
+ * Report which storage backend holds the data
+ * @returns {Promise<{id: string, shared: boolean}>} Adapter id ('indexeddb', 'localstorage',
+ *   'memory', ...) and whether other tabs see the same data
+ */
+export async function getStorageInfo() {
+    const { id, shared } = await getStorage();
+    return { id, shared };
+}
+
+// ============================================================================
+// CROSS-TAB CHANGE NOTIFICATIONS
+// ============================================================================
+
+// Lazily opened channel (null where BroadcastChannel is unavailable) and this tab's listeners
+let changeChannel;
+const changeListeners = new Set();
+
+/**
+ * Get the shared change channel, opening it on first use
+ * @returns {BroadcastChannel|null} Channel, or null when the browser has none
+ */
+function getChangeChannel() {
+    if (changeChannel === undefined) {
+        changeChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANGE_CHANNEL_NAME) : null;
+        changeChannel?.addEventListener('message', (event) => emitChange(event.data));
+    }
+    return changeChannel;
+}
+
+/**
+ * Deliver a change from another tab to this tab's listeners
+ * @param {Object} change - Change notification (see subscribeToChanges)
+ */
+function emitChange(change) {
+    if (!change?.store) return;
+
+    // Another tab turned encryption on or off - reload the settings on next use
+    if (change.store === SETTINGS_STORE) storagePromise = null;
+    changeListeners.forEach((listener) => {
+        try {
+            listener(change);
+        } catch (error) {
+            console.error('Change listener failed:', error);
+        }
     });
 }
 
+/**
+ * Tell other tabs that a record changed
+ * Notifications never fail the write they describe - a tab that misses one
+ * catches up on its next read. Backends private to this tab (memory) send none.
+ *
+ * @param {Object} storage - Storage adapter the write went to
+ * @param {string} store - Object store name
+ * @param {'put'|'delete'} type - What happened to the record
+ * @param {string} key - Record key
+ * @param {number} updatedAt - Write time in epoch ms (default: now)
+ */
+function notifyChange(storage, store, type, key, updatedAt = Date.now()) {
+    if (!storage.shared) return;
+
+    const change = { store, type, key, updatedAt };
+    try {
+        const channel = getChangeChannel();
+        if (channel) {
+            channel.postMessage(change);
+        } else {
+            // STORAGE FALLBACK: Other tabs receive a 'storage' event for every new value -
+            // the nonce makes repeated identical changes distinct values
+            localStorage.setItem(CHANGE_STORAGE_KEY, JSON.stringify({ ...change, nonce: generateId() }));
+        }
+    } catch (error) {
+        console.warn('Failed to notify other tabs of a change:', error);
+    }
+}
+
+/**
+ * Listen for changes made by other tabs
+ * Changes made in this tab are not reported back to it
+ *
+ * @param {Function} listener - Called with {store, type, key, updatedAt}; store is
+ *   'userLocation', 'places', 'tracks', 'zones', 'measurements' or 'settings'
+ *   (encryption turned on or off); key is null when many records were deleted at once
+ *   (forget all, retention)
+ * @returns {Function} Unsubscribe function
+ *
+ * Transport Strategy:
+ * - BroadcastChannel when available
+ * - Otherwise 'storage' events on a notification key in localStorage
+ * - Notifications carry no record data - listeners re-read, so they always see the winning write
+ * - Individual track points (one per GPS fix) and geocoding cache entries are not announced
+ */
+export function subscribeToChanges(listener) {
+    getChangeChannel();
+
+    const handleStorage = (event) => {
+        if (event.key === CHANGE_STORAGE_KEY && event.newValue) {
+            try {
+                emitChange(JSON.parse(event.newValue));
+            } catch {
+                // Malformed value written by something else - ignore
+            }
+        }
+    };
+
+    changeListeners.add(listener);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+        changeListeners.delete(listener);
+        window.removeEventListener('storage', handleStorage);
+    };
+}
 
 // ============================================================================
 // LOCATION PERSISTENCE FUNCTIONS
 // ============================================================================
 
 /**
- * Save user location to IndexedDB with robust validation and fallback
+ * Save user location with robust validation
  * Stores GPS coordinates persistently for faster map initialization
  * 
  * @param {Object} location - Location object with lat/lng coordinates
  * @param {number} location.lat - Latitude (-90 to 90)
  * @param {number} location.lng - Longitude (-180 to 180)
+ * @param {number} [location.accuracy] - Accuracy radius in meters, when known
+ * @param {Object} options - Save options
+ * @param {number} [options.updatedAt] - When the location was determined, in epoch ms
+ *   (default: now); a GPS fix passes its own timestamp
+ * @param {string} [options.key] - Record key, so independent maps keep separate locations
+ *   (default: 'current')
  * 
- * @returns {Promise<void>} Resolves when location is saved successfully
+ * @returns {Promise<boolean>} True when saved, false when a newer saved location was kept
  * 
  * Storage Strategy:
- * - Primary: IndexedDB for large, structured data storage
- * - Fallback: localStorage for compatibility with older browsers
- * - Validation: Ensures coordinates are valid numbers within Earth's bounds
- * - Error handling: Graceful degradation on storage failures
+ * - Backend: whichever storage adapter was detected (IndexedDB in modern browsers)
+ * - Validation: Ensures coordinates are valid numbers within Earth's bounds, so
+ *   every backend stores the same normalized record
+ * - Error handling: Invalid input and storage failures reject - the caller decides
+ *   how to report them (there is no second, silent copy anywhere)
+ * - Last writer wins: a location older than the stored one (e.g. a slow GPS fix racing
+ *   a marker drag in another tab) is not written
  * 
  * Performance Benefits:
  * - Reduces GPS lookup time on subsequent visits
  * - Enables offline map centering capability
  * - Minimizes network requests for location services
  */
-export async function saveUserLocation(location) {
-    try {
-        // INPUT VALIDATION: Ensure location object exists
-        // Prevents undefined/null errors downstream
-        if (!location) {
-            throw new Error('Location object is required');
-        }
-
-        // COORDINATE EXTRACTION: Destructure lat/lng from location object
-        // Supports both {lat, lng} and {latitude, longitude} formats
-        const { lat, lng } = location;
-
-        // COORDINATE EXISTENCE CHECK: Ensure both coordinates are provided
-        // Prevents partial location data that would break map centering
-        if (lat == null || lng == null) {
-            throw new Error('Both lat and lng are required');
-        }
-
-        // COORDINATE NORMALIZATION: Convert to float numbers
-        // The + operator efficiently converts strings to numbers
-        // Handles both string and number inputs consistently
-        const locationData = {
-            lat: +lat, // Convert to float (faster than parseFloat)
-            lng: +lng  // Convert to float (faster than parseFloat)
-        };
-
-        // COORDINATE VALIDATION: Ensure conversion resulted in valid numbers
-        // NaN check prevents invalid coordinates from being stored
-        if (isNaN(locationData.lat) || isNaN(locationData.lng)) {
-            throw new Error('Invalid coordinates: lat and lng must be numeric');
-        }
-
-        // BOUNDS VALIDATION: Ensure coordinates are within Earth's valid range
-        // Latitude: -90 to 90 degrees, Longitude: -180 to 180 degrees
-        if (Math.abs(locationData.lat) > 90 || Math.abs(locationData.lng) > 180) {
-            throw new Error('Coordinates out of valid range');
-        }
-
-        // DATABASE CONNECTION: Get IndexedDB instance using singleton pattern
-        const db = await getDB();
+export async function saveUserLocation(location, { updatedAt = Date.now(), key = DEFAULT_LOCATION_KEY } = {}) {
+    // INPUT VALIDATION: Ensure location object exists
+    // Prevents undefined/null errors downstream
+    if (!location) {
+        throw new Error('Location object is required');
+    }
 
-        // TRANSACTION SETUP: Create write transaction for location store
-        // 'readwrite' mode allows both reading and writing to the store
-        const tx = db.transaction(STORE_NAME, 'readwrite');
+    // COORDINATE EXTRACTION: Destructure lat/lng from location object
+    // Supports both {lat, lng} and {latitude, longitude} formats
+    const { lat, lng } = location;
 
-        // STORE ACCESS: Get reference to the location object store
-        // Acts like accessing a table in a traditional database
-        const store = tx.objectStore(STORE_NAME);
+    // COORDINATE EXISTENCE CHECK: Ensure both coordinates are provided
+    // Prevents partial location data that would break map centering
+    if (lat == null || lng == null) {
+        throw new Error('Both lat and lng are required');
+    }
 
-        // ASYNC TRANSACTION HANDLING: Use Promise to handle IndexedDB's event-based API
-        return new Promise((resolve, reject) => {
-            // ERROR HANDLING: Transaction-level error detection
-            // Fires if something goes wrong during the entire transaction
-            tx.onerror = () => reject(new Error('Transaction failed'));
+    // COORDINATE NORMALIZATION: Convert to float numbers
+    // The + operator efficiently converts strings to numbers
+    // Handles both string and number inputs consistently
+    const locationData = {
+        lat: +lat, // Convert to float (faster than parseFloat)
+        lng: +lng, // Convert to float (faster than parseFloat)
+        updatedAt // Record layout since schema version 3
+    };
 
-            // ABORT HANDLING: Transaction cancellation detection
-            // Fires if the transaction is cancelled/aborted unexpectedly
-            tx.onabort = () => reject(new Error('Transaction aborted'));
+    // ACCURACY: Kept when known so a restored location can say how precise it was
+    if (Number.isFinite(location.accuracy)) {
+        locationData.accuracy = location.accuracy;
+    }
 
-            // SUCCESS HANDLING: Transaction completion detection
-            // Fires when all operations in the transaction complete successfully
-            tx.oncomplete = () => resolve();
+    // COORDINATE VALIDATION: Ensure conversion resulted in valid numbers
+    // NaN check prevents invalid coordinates from being stored
+    if (isNaN(locationData.lat) || isNaN(locationData.lng)) {
+        throw new Error('Invalid coordinates: lat and lng must be numeric');
+    }
 
-            // STORE OPERATION: Save location data with fixed key 'current'
-            // Using fixed key allows easy retrieval and overwrites previous location
-            const request = store.put(locationData, 'current');
+    // BOUNDS VALIDATION: Ensure coordinates are within Earth's valid range
+    // Latitude: -90 to 90 degrees, Longitude: -180 to 180 degrees
+    if (Math.abs(locationData.lat) > 90 || Math.abs(locationData.lng) > 180) {
+        throw new Error('Coordinates out of valid range');
+    }
 
-            // OPERATION ERROR HANDLING: Handle specific save operation failures
-            request.onerror = () => reject(new Error('Failed to save location'));
-        });
+    // LAST WRITER WINS: The stored location is compared and replaced atomically, so a
+    // location older than the stored one is not written
+    const storage = await getStorage();
+    const saved = await storage.putIfNewer(STORE_NAME, locationData, { key });
 
-    } catch (error) {
-        // FALLBACK STORAGE: Use localStorage when IndexedDB fails
-        // Ensures location is saved even on older browsers or in private mode
-        console.error('IndexedDB save failed, using localStorage fallback:', error);
-        localStorage.setItem('user-location', JSON.stringify(location));
-    }
+    // CROSS-TAB SYNC: Other tabs move their marker to the new location
+    if (saved) notifyChange(storage, STORE_NAME, 'put', key, locationData.updatedAt);
+    return saved;
 }
 
 /**
- * Retrieve saved user location from IndexedDB with fallback support
+ * Retrieve saved user location with validation
  * Loads previously stored GPS coordinates for faster map initialization
  * 
- * @returns {Promise<Object|null>} Location object {lat, lng} or null if not found
+ * @param {string} key - Record key (default: 'current')
+ * @returns {Promise<Object|null>} Location object {lat, lng, updatedAt, accuracy?} or null if not found
  * 
  * Retrieval Strategy:
- * - Primary: IndexedDB lookup for the 'current' location record
- * - Fallback: localStorage for compatibility with older browsers
+ * - Backend: the location record ('current' unless a key is given) in the detected storage adapter
+ * - Validation: A record without valid coordinates (e.g. written by an old version or
+ *   edited by hand) reads as "no saved location"
  * - Graceful failure: Returns null instead of throwing errors
  * - Type safety: Ensures coordinates are returned as numbers
  * 
@@ -206,232 +355,1094 @@ export async function saveUserLocation(location) {
  * - Works offline after initial location save
  * - Reduces battery usage from GPS lookups
  */
-export async function getUserLocation() {
+export async function getUserLocation(key = DEFAULT_LOCATION_KEY) {
     try {
-        // DATABASE CONNECTION: Get IndexedDB instance using singleton pattern
-        const db = await getDB();
-
-        // TRANSACTION SETUP: Create read-only transaction for location retrieval
-        // 'readonly' mode is faster and safer for data retrieval
-        const tx = db.transaction(STORE_NAME, 'readonly');
-
-        // ASYNC RETRIEVAL: Use Promise to handle IndexedDB's event-based API
-        return new Promise(resolve => {
-            // STORE OPERATION: Get location data using fixed key 'current'
-            const request = tx.objectStore(STORE_NAME).get('current');
-
-            // SUCCESS HANDLING: Process retrieved location data
-            request.onsuccess = () => {
-                const result = request.result;
-
-                if (result) {
-                    // FOUND LOCATION: Return normalized coordinate data
-                    // parseFloat ensures coordinates are numbers, not strings
-                    resolve({
-                        lat: parseFloat(result.lat),
-                        lng: parseFloat(result.lng)
-                    });
-                } else {
-                    // NO LOCATION FOUND: Return null (normal case for first-time users)
-                    // This is expected behavior, not an error condition
-                    resolve(null);
-                }
-            };
-
-            // ERROR HANDLING: Graceful failure on database read errors
-            // Returns null instead of throwing to prevent app crashes
-            request.onerror = () => resolve(null);
-        });
+        const storage = await getStorage();
+        const result = await storage.get(STORE_NAME, key);
+
+        // NO VALID LOCATION: Return null (normal case for first-time users)
+        // This is expected behavior, not an error condition
+        if (!isValidLocation(result)) return null;
 
+        // FOUND LOCATION: Return normalized coordinate data
+        // updatedAt lets callers apply a max-age policy (see locationService.js)
+        const location = {
+            lat: +result.lat,
+            lng: +result.lng,
+            updatedAt: Number.isFinite(result.updatedAt) ? result.updatedAt : null
+        };
+        if (Number.isFinite(result.accuracy)) location.accuracy = result.accuracy;
+        return location;
     } catch (error) {
-        // FALLBACK STORAGE: Use localStorage when IndexedDB fails
-        // Ensures location retrieval works even on older browsers
-        console.error('IndexedDB read failed, using localStorage fallback:', error);
+        // ERROR HANDLING: Graceful failure on storage read errors
+        // Returns null instead of throwing to prevent app crashes
+        console.error('Failed to read saved location:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove the saved user location (undoing the first save on a fresh profile)
+ * The next visit falls back to GPS as for a first-time user
+ *
+ * @param {string} key - Record key (default: 'current')
+ * @returns {Promise<void>}
+ */
+export async function clearUserLocation(key = DEFAULT_LOCATION_KEY) {
+    const storage = await getStorage();
+    await storage.delete(STORE_NAME, key);
+    notifyChange(storage, STORE_NAME, 'delete', key);
+}
+
+// ============================================================================
+// SAVED PLACES FUNCTIONS
+// ============================================================================
+
+// Category assigned to places saved without an explicit category
+const DEFAULT_CATEGORY = 'general';
+
+/**
+ * Validate and normalize a place name
+ *
+ * @param {string} name - User-supplied place name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is missing or blank
+ */
+function normalizePlaceName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('Place name is required');
+    }
+    return trimmed;
+}
+
+/**
+ * Create a new saved place
+ *
+ * @param {Object} place - Place details
+ * @param {string} place.name - Display name (required, non-blank)
+ * @param {string} [place.category] - Free-form category (default: 'general')
+ * @param {number} place.lat - Latitude (-90 to 90)
+ * @param {number} place.lng - Longitude (-180 to 180)
+ * @returns {Promise<Object>} The stored place record including id and timestamps
+ *
+ * Record Shape:
+ * - id: generated unique key
+ * - name, category: indexed for listing and filtering
+ * - lat, lng: numeric coordinates
+ * - createdAt, updatedAt: epoch milliseconds
+ */
+export async function createPlace({ name, category = DEFAULT_CATEGORY, lat, lng } = {}) {
+    // VALIDATION: Reject invalid coordinates before touching the database
+    if (!isValidLocation({ lat, lng })) {
+        throw new Error('Invalid coordinates: place requires a valid lat and lng');
+    }
+
+    const now = Date.now();
+    const place = {
+        id: generateId(),
+        name: normalizePlaceName(name),
+        category: (typeof category === 'string' && category.trim()) || DEFAULT_CATEGORY,
+        lat: +lat,
+        lng: +lng,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    // add() rather than put() so an id collision fails loudly instead of overwriting
+    const storage = await getStorage();
+    await storage.add(PLACES_STORE, place);
+    notifyChange(storage, PLACES_STORE, 'put', place.id, now);
+    await queueSync(storage, 'places', 'put', place.id, now);
+    return place;
+}
+
+/**
+ * Get a single saved place by id
+ *
+ * @param {string} id - Place id
+ * @returns {Promise<Object|null>} Place record or null if not found
+ */
+export async function getPlace(id) {
+    const storage = await getStorage();
+    return storage.get(PLACES_STORE, id);
+}
+
+/**
+ * List saved places, oldest first
+ *
+ * @param {Object} options - Listing options
+ * @param {string} [options.category] - Only return places in this category
+ * @returns {Promise<Object[]>} Place records
+ */
+export async function listPlaces({ category } = {}) {
+    // INDEX LOOKUP: Backends with indexes answer the category filter from them
+    const storage = await getStorage();
+    return storage.getAll(PLACES_STORE, { where: category ? { category } : {}, orderBy: 'createdAt' });
+}
+
+/**
+ * Rename an existing place
+ *
+ * @param {string} id - Place id
+ * @param {string} name - New display name
+ * @returns {Promise<Object>} Updated place record
+ * @throws {Error} If the place does not exist or the name is blank
+ */
+export async function renamePlace(id, name) {
+    const newName = normalizePlaceName(name);
+    const place = await getPlace(id);
+    if (!place) {
+        throw new Error(`Place not found: ${id}`);
+    }
+
+    const updated = { ...place, name: newName, updatedAt: Date.now() };
+    const storage = await getStorage();
+    if (!(await storage.putIfNewer(PLACES_STORE, updated, { mustExist: true }))) {
+        // Another tab deleted or changed the place meanwhile - its write wins
+        const current = await getPlace(id);
+        if (!current) {
+            throw new Error(`Place not found: ${id}`);
+        }
+        return current;
+    }
+    notifyChange(storage, PLACES_STORE, 'put', id, updated.updatedAt);
+    await queueSync(storage, 'places', 'put', id, updated.updatedAt);
+    return updated;
+}
 
-        // FALLBACK RETRIEVAL: Parse stored location from localStorage
-        const stored = localStorage.getItem('user-location');
-        return stored ? JSON.parse(stored) : null;
+/**
+ * Delete a saved place
+ * Deleting an id that does not exist is a no-op
+ *
+ * @param {string} id - Place id
+ * @returns {Promise<void>}
+ */
+export async function deletePlace(id) {
+    const now = Date.now();
+    const storage = await getStorage();
+    await storage.delete(PLACES_STORE, id);
+    notifyChange(storage, PLACES_STORE, 'delete', id, now);
+    await queueSync(storage, 'places', 'delete', id, now);
+}
+
+/**
+ * Write back a place record as it was (undoing a delete or a rename)
+ * Unlike createPlace, the id and createdAt are kept so the restored record takes its
+ * old place in lists; updatedAt is the restore time, since for other tabs (and
+ * last-writer-wins) the restore is a new write
+ *
+ * @param {Object} place - Full place record as returned by createPlace/getPlace
+ * @returns {Promise<Object>} The stored place record
+ * @throws {Error} If the record has no id, a blank name or invalid coordinates
+ */
+export async function restorePlace(place) {
+    if (!place?.id) {
+        throw new Error('Place id is required');
     }
+    if (!isValidLocation(place)) {
+        throw new Error('Invalid coordinates: place requires a valid lat and lng');
+    }
+
+    const record = {
+        ...place,
+        name: normalizePlaceName(place.name),
+        lat: +place.lat,
+        lng: +place.lng,
+        updatedAt: Date.now()
+    };
+    const storage = await getStorage();
+    if (!(await storage.putIfNewer(PLACES_STORE, record))) {
+        return getPlace(place.id);
+    }
+    notifyChange(storage, PLACES_STORE, 'put', record.id, record.updatedAt);
+    await queueSync(storage, 'places', 'put', record.id, record.updatedAt);
+    return record;
 }
 
 // ============================================================================
-// INTELLIGENT LOCATION RETRIEVAL FUNCTIONS
+// TRACK RECORDING FUNCTIONS
 // ============================================================================
 
 /**
- * Unified location function with configurable behavior and multiple fallback strategies
- * Intelligently chooses between saved location, fresh GPS, and fallback coordinates
- * 
- * @param {Object} options - Configuration options for location retrieval
- * @param {boolean} options.forceFresh - If true, always get fresh GPS data (ignores saved)
- * @param {Object} options.fallback - Default location if all other methods fail
- * @param {number} options.fallback.lat - Fallback latitude coordinate
- * @param {number} options.fallback.lng - Fallback longitude coordinate
- * @param {number} options.timeout - GPS timeout in milliseconds (default: 5000)
- * @param {boolean} options.throwOnError - If true, throw errors instead of using fallback
- * 
- * @returns {Promise<Object>} Location object {lat, lng}
- * 
- * Location Strategy Hierarchy:
- * 1. Saved location (if !forceFresh) - fastest, works offline
- * 2. Fresh GPS location - accurate but slower, requires permissions
- * 3. Fallback location - ensures app always has coordinates
- * 
- * Error Handling:
- * - GPS permission denied: Use fallback or throw based on throwOnError
- * - GPS unavailable: Use fallback or throw based on throwOnError
- * - GPS timeout: Use fallback or throw based on throwOnError
- * - Browser incompatibility: Use fallback or throw based on throwOnError
- */
-export async function getLocation(options = {}) {
-    // OPTION PARSING: Destructure with sensible defaults
-    // Default fallback coordinates point to Cairo, Egypt (central location)
-    const {
-        forceFresh = false,           // Don't force fresh GPS by default
-        fallback = { lat: 30.033, lng: 31.233 }, // Cairo, Egypt coordinates
-        timeout = 5000,               // 5 second GPS timeout
-        throwOnError = false          // Use fallback instead of throwing
-    } = options;
+ * Start a new named track
+ *
+ * @param {string} [name] - Display name (default: "Trip <local date/time>")
+ * @param {Object} options - Track options
+ * @param {number} [options.startedAt] - Start time in epoch ms (default: now; set by imports)
+ * @returns {Promise<Object>} Track record {id, name, startedAt, endedAt, createdAt, updatedAt}
+ */
+export async function createTrack(name, { startedAt } = {}) {
+    const now = Date.now();
+    const start = Number.isFinite(startedAt) ? startedAt : now;
+    const track = {
+        id: generateId(),
+        name: (typeof name === 'string' && name.trim()) || `Trip ${new Date(start).toLocaleString()}`,
+        startedAt: start,
+        endedAt: null, // null while the track is still being recorded
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const storage = await getStorage();
+    await storage.add(TRACKS_STORE, track);
+    notifyChange(storage, TRACKS_STORE, 'put', track.id, now);
+    return track;
+}
+
+/**
+ * Mark a track as finished
+ *
+ * @param {string} id - Track id
+ * @param {number} [endedAt] - End time in epoch ms (default: now; set by imports)
+ * @returns {Promise<Object>} Updated track record
+ * @throws {Error} If the track does not exist
+ */
+export async function finishTrack(id, endedAt) {
+    const storage = await getStorage();
+    const track = await storage.get(TRACKS_STORE, id);
+    if (!track) {
+        throw new Error(`Track not found: ${id}`);
+    }
+
+    const now = Date.now();
+    const finished = { ...track, endedAt: Number.isFinite(endedAt) ? endedAt : now, updatedAt: now };
+    if (!(await storage.putIfNewer(TRACKS_STORE, finished, { mustExist: true }))) {
+        throw new Error(`Track not found: ${id}`);
+    }
+    notifyChange(storage, TRACKS_STORE, 'put', id, now);
+    await queueSync(storage, 'tracks', 'put', id, now);
+    return finished;
+}
+
+/**
+ * List all tracks, oldest first
+ *
+ * @returns {Promise<Object[]>} Track records
+ */
+export async function listTracks() {
+    const storage = await getStorage();
+    return storage.getAll(TRACKS_STORE, { orderBy: 'startedAt' });
+}
+
+/**
+ * Append a recorded fix to a track
+ *
+ * @param {string} trackId - Track the point belongs to
+ * @param {Object} point - Fix from the location tracker
+ * @param {number} point.lat - Latitude
+ * @param {number} point.lng - Longitude
+ * @param {number} point.accuracy - Accuracy radius in meters
+ * @param {number} point.timestamp - Fix time in epoch milliseconds
+ * @param {number|null} point.speed - Speed in m/s, if reported
+ * @param {number|null} point.heading - Heading in degrees, if reported
+ * @returns {Promise<Object>} Stored point record including its generated id
+ */
+export async function addTrackPoint(trackId, point) {
+    const record = toTrackPointRecord(trackId, point);
+    const storage = await getStorage();
+    record.id = await storage.add(TRACK_POINTS_STORE, record);
+    return record;
+}
+
+/**
+ * Append many fixes to a track in a single transaction (used by imports)
+ * Either every point is stored or none are
+ *
+ * @param {string} trackId - Track the points belong to
+ * @param {Object[]} points - Fixes in the same shape as addTrackPoint
+ * @returns {Promise<number>} Number of points stored
+ * @throws {Error} If any point has invalid coordinates
+ */
+export async function addTrackPoints(trackId, points) {
+    const records = points.map((point) => toTrackPointRecord(trackId, point));
+    const storage = await getStorage();
+    await storage.batch(records.map((record) => ({ type: 'add', store: TRACK_POINTS_STORE, record })));
+    return records.length;
+}
+
+/**
+ * Validate a fix and normalize it into a trackPoints record
+ *
+ * @param {string} trackId - Owning track id
+ * @param {Object} point - Fix {lat, lng, accuracy, timestamp, speed, heading}
+ * @returns {Object} Record without id (assigned by autoIncrement)
+ * @throws {Error} If the coordinates are invalid
+ */
+function toTrackPointRecord(trackId, point) {
+    if (!isValidLocation(point)) {
+        throw new Error('Invalid coordinates: track point requires a valid lat and lng');
+    }
+
+    return {
+        trackId,
+        lat: +point.lat,
+        lng: +point.lng,
+        accuracy: point.accuracy ?? null,
+        timestamp: point.timestamp ?? Date.now(),
+        speed: point.speed ?? null,
+        heading: point.heading ?? null
+    };
+}
+
+/**
+ * Get all points of a track in time order
+ *
+ * @param {string} trackId - Track id
+ * @returns {Promise<Object[]>} Point records
+ */
+export async function getTrackPoints(trackId) {
+    // INDEX LOOKUP: IndexedDB answers this from the [trackId, timestamp] index
+    const storage = await getStorage();
+    return storage.getAll(TRACK_POINTS_STORE, { where: { trackId }, orderBy: 'timestamp' });
+}
+
+/**
+ * Delete a track together with all of its points
+ *
+ * @param {string} id - Track id
+ * @returns {Promise<void>}
+ */
+export async function deleteTrack(id) {
+    // Single batch so a partial failure never leaves orphaned points behind
+    const now = Date.now();
+    const storage = await getStorage();
+    await storage.batch([
+        { type: 'delete', store: TRACKS_STORE, key: id },
+        { type: 'deleteAll', store: TRACK_POINTS_STORE, query: { where: { trackId: id }, orderBy: 'timestamp' } }
+    ]);
+    notifyChange(storage, TRACKS_STORE, 'delete', id, now);
+    await queueSync(storage, 'tracks', 'delete', id, now);
+}
+
+// ============================================================================
+// GEOCODING CACHE FUNCTIONS
+// ============================================================================
+
+/**
+ * Read a cached geocoding result
+ * Expiry is decided by the caller (see geocoding.js) so stale entries can still
+ * serve as an offline fallback
+ *
+ * @param {string} key - Cache key (normalized query or rounded coordinate)
+ * @returns {Promise<Object|null>} Entry {key, value, createdAt} or null
+ */
+export async function getGeocodeCacheEntry(key) {
+    const storage = await getStorage();
+    return storage.get(GEOCODE_CACHE_STORE, key);
+}
+
+/**
+ * Store a geocoding result, replacing any previous entry for the key
+ *
+ * @param {string} key - Cache key
+ * @param {any} value - Result to cache (plain data - the localStorage backend stores it as JSON)
+ * @returns {Promise<void>}
+ */
+export async function putGeocodeCacheEntry(key, value) {
+    const storage = await getStorage();
+    await storage.put(GEOCODE_CACHE_STORE, { key, value, createdAt: Date.now() });
+}
+
+/**
+ * Delete cached geocoding results older than maxAge
+ *
+ * @param {number} maxAge - Maximum entry age in milliseconds
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function pruneGeocodeCache(maxAge) {
+    const storage = await getStorage();
+    return storage.deleteAll(GEOCODE_CACHE_STORE, { orderBy: 'createdAt', max: Date.now() - maxAge });
+}
+
+// ============================================================================
+// GEOFENCE ZONE FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate zone geometry and return its normalized shape fields
+ *
+ * @param {Object} zone - Zone details
+ * @returns {Object} {type, center, radius} for circles or {type, path} for polygons
+ * @throws {Error} If the type is unknown or the geometry is invalid
+ */
+function normalizeZoneGeometry({ type, center, radius, path }) {
+    if (type === 'circle') {
+        if (!isValidLocation(center)) {
+            throw new Error('Invalid coordinates: circle zone requires a valid center');
+        }
+        if (!(+radius > 0)) {
+            throw new Error('Circle zone radius must be a positive number of meters');
+        }
+        return { type, center: { lat: +center.lat, lng: +center.lng }, radius: +radius };
+    }
 
+    if (type === 'polygon') {
+        if (!Array.isArray(path) || path.length < 3 || !path.every(isValidLocation)) {
+            throw new Error('Polygon zone requires at least 3 valid vertices');
+        }
+        return { type, path: path.map((vertex) => ({ lat: +vertex.lat, lng: +vertex.lng })) };
+    }
+
+    throw new Error(`Unknown zone type: ${type}`);
+}
+
+/**
+ * Create a geofence zone
+ *
+ * @param {Object} zone - Zone details
+ * @param {string} zone.name - Display name (required, non-blank)
+ * @param {'circle'|'polygon'} zone.type - Zone shape
+ * @param {Object} [zone.center] - Circle center {lat, lng}
+ * @param {number} [zone.radius] - Circle radius in meters
+ * @param {Array<{lat: number, lng: number}>} [zone.path] - Polygon vertices (open ring)
+ * @returns {Promise<Object>} The stored zone record including id and timestamps
+ */
+export async function createZone({ name, ...geometry } = {}) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('Zone name is required');
+    }
+
+    const now = Date.now();
+    const zone = {
+        id: generateId(),
+        name: trimmed,
+        ...normalizeZoneGeometry(geometry),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const storage = await getStorage();
+    await storage.add(ZONES_STORE, zone);
+    notifyChange(storage, ZONES_STORE, 'put', zone.id, now);
+    return zone;
+}
+
+/**
+ * List all geofence zones, oldest first
+ *
+ * @returns {Promise<Array>} Zone records
+ */
+export async function listZones() {
+    const storage = await getStorage();
+    return storage.getAll(ZONES_STORE, { orderBy: 'createdAt' });
+}
+
+/**
+ * Delete a geofence zone
+ *
+ * @param {string} id - Zone id
+ * @returns {Promise<void>}
+ */
+export async function deleteZone(id) {
+    const storage = await getStorage();
+    await storage.delete(ZONES_STORE, id);
+    notifyChange(storage, ZONES_STORE, 'delete', id);
+}
+
+// ============================================================================
+// MEASUREMENT FUNCTIONS
+// ============================================================================
+
+// Fewest vertices each measurement type needs to measure anything
+const MIN_MEASUREMENT_VERTICES = { line: 2, polygon: 3 };
+
+/**
+ * Save a measurement drawn with the measure tool
+ *
+ * @param {Object} measurement - Measurement details
+ * @param {string} measurement.name - Display name (required, non-blank)
+ * @param {'line'|'polygon'} measurement.type - Open path or closed area
+ * @param {Array<{lat: number, lng: number}>} measurement.path - Vertices (open ring for polygons)
+ * @returns {Promise<Object>} The stored measurement record including id and timestamps
+ * @throws {Error} If the name is blank, the type is unknown or there are too few valid vertices
+ */
+export async function createMeasurement({ name, type, path } = {}) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('Measurement name is required');
+    }
+
+    const minVertices = MIN_MEASUREMENT_VERTICES[type];
+    if (!minVertices) {
+        throw new Error(`Unknown measurement type: ${type}`);
+    }
+    if (!Array.isArray(path) || path.length < minVertices || !path.every(isValidLocation)) {
+        throw new Error(`A ${type} measurement requires at least ${minVertices} valid points`);
+    }
+
+    const now = Date.now();
+    const measurement = {
+        id: generateId(),
+        name: trimmed,
+        type,
+        path: path.map((vertex) => ({ lat: +vertex.lat, lng: +vertex.lng })),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const storage = await getStorage();
+    await storage.add(MEASUREMENTS_STORE, measurement);
+    notifyChange(storage, MEASUREMENTS_STORE, 'put', measurement.id, now);
+    return measurement;
+}
+
+/**
+ * List saved measurements, oldest first
+ *
+ * @returns {Promise<Array>} Measurement records
+ */
+export async function listMeasurements() {
+    const storage = await getStorage();
+    return storage.getAll(MEASUREMENTS_STORE, { orderBy: 'createdAt' });
+}
+
+/**
+ * Delete a saved measurement
+ *
+ * @param {string} id - Measurement id
+ * @returns {Promise<void>}
+ */
+export async function deleteMeasurement(id) {
+    const storage = await getStorage();
+    await storage.delete(MEASUREMENTS_STORE, id);
+    notifyChange(storage, MEASUREMENTS_STORE, 'delete', id);
+}
+
+// ============================================================================
+// SERVER SYNC BOOKKEEPING
+// ============================================================================
+
+// Local stores behind each collection the server syncs (see syncEngine.js)
+const SYNCED_STORES = { places: PLACES_STORE, tracks: TRACKS_STORE };
+
+// This tab's outbox listeners (see subscribeToOutbox)
+const outboxListeners = new Set();
+
+/**
+ * Key of a record's outbox entry - one per record, so only its latest change is pushed
+ * @param {string} collection - 'places' or 'tracks'
+ * @param {string} id - Record id
+ * @returns {string} Sync store key
+ */
+const outboxKey = (collection, id) => `outbox:${collection}:${id}`;
+
+/**
+ * Get the local store behind a synced collection
+ * @param {string} collection - 'places' or 'tracks'
+ * @returns {string} Object store name
+ * @throws {Error} For collections that are not synced
+ */
+function getSyncedStore(collection) {
+    const store = SYNCED_STORES[collection];
+    if (!store) {
+        throw new Error(`Unknown sync collection: ${collection}`);
+    }
+    return store;
+}
+
+/**
+ * Record a local change for the sync engine to push
+ * Like notifyChange, this never fails the write it describes - a lost entry only
+ * delays the change until the record is written again
+ *
+ * @param {Object} storage - Storage adapter the write went to
+ * @param {string} collection - 'places' or 'tracks'
+ * @param {'put'|'delete'} type - What happened to the record
+ * @param {string} id - Record id
+ * @param {number} updatedAt - Write time in epoch ms - the server resolves conflicts on it
+ */
+async function queueSync(storage, collection, type, id, updatedAt) {
+    const entry = { key: outboxKey(collection, id), kind: 'outbox', collection, id, type, updatedAt, queuedAt: Date.now() };
     try {
-        // STRATEGY 1: Check saved location first (unless forcing fresh)
-        // This provides instant map loading for returning users
-        if (!forceFresh) {
-            const saved = await getUserLocation();
-            if (saved) {
-                // SAVED LOCATION FOUND: Return immediately for best performance
-                return saved;
-            }
+        await storage.put(SYNC_STORE, entry);
+    } catch (error) {
+        console.warn('Failed to queue a change for sync:', error);
+        return;
+    }
+    outboxListeners.forEach((listener) => {
+        try {
+            listener(entry);
+        } catch (error) {
+            console.error('Outbox listener failed:', error);
         }
+    });
+}
+
+/**
+ * Listen for changes this tab adds to the outbox
+ * @param {Function} listener - Called with each new outbox entry
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOutbox(listener) {
+    outboxListeners.add(listener);
+    return () => outboxListeners.delete(listener);
+}
+
+/**
+ * List local changes waiting to be pushed, oldest first
+ * @returns {Promise<Object[]>} Outbox entries {key, collection, id, type, updatedAt, queuedAt}
+ */
+export async function listOutbox() {
+    const storage = await getStorage();
+    return storage.getAll(SYNC_STORE, { where: { kind: 'outbox' }, orderBy: 'queuedAt' });
+}
+
+/**
+ * Remove a pushed change from the outbox
+ * Kept when the record changed again while the push was in flight, so the newer
+ * change is pushed next time
+ *
+ * @param {Object} entry - Outbox entry as returned by listOutbox
+ * @returns {Promise<void>}
+ */
+export async function completeOutboxEntry(entry) {
+    const storage = await getStorage();
+    const stored = await storage.get(SYNC_STORE, entry.key);
+    if (stored && stored.queuedAt === entry.queuedAt && stored.updatedAt === entry.updatedAt) {
+        await storage.delete(SYNC_STORE, entry.key);
+    }
+}
+
+/**
+ * Queue every local record of a collection for pushing
+ * Used on a collection's first sync, so records saved before sync was enabled reach the server
+ *
+ * @param {string} collection - 'places' or 'tracks'
+ * @returns {Promise<number>} Number of records queued
+ */
+export async function queueAllForSync(collection) {
+    const storage = await getStorage();
+    const records = await storage.getAll(getSyncedStore(collection));
+    const queuedAt = Date.now();
+    const operations = records
+        // Tracks still being recorded are pushed when they are finished
+        .filter((record) => collection !== 'tracks' || record.endedAt != null)
+        .map((record) => ({
+            type: 'put',
+            store: SYNC_STORE,
+            record: { key: outboxKey(collection, record.id), kind: 'outbox', collection, id: record.id, type: 'put', updatedAt: record.updatedAt, queuedAt }
+        }));
+    await storage.batch(operations);
+    return operations.length;
+}
+
+/**
+ * Read a record in the shape the server stores
+ * Tracks carry their points; unfinished tracks are not synced yet
+ *
+ * @param {string} collection - 'places' or 'tracks'
+ * @param {string} id - Record id
+ * @returns {Promise<Object|null>} Record, or null when there is nothing to push
+ */
+export async function getSyncRecord(collection, id) {
+    const storage = await getStorage();
+    const record = await storage.get(getSyncedStore(collection), id);
+    if (!record || collection !== 'tracks') return record;
+    if (record.endedAt == null) return null;
+
+    const points = await getTrackPoints(id);
+    return {
+        ...record,
+        points: points.map(({ lat, lng, accuracy, timestamp, speed, heading }) => ({ lat, lng, accuracy, timestamp, speed, heading }))
+    };
+}
+
+/**
+ * Apply a change pulled from the server
+ *
+ * @param {string} collection - 'places' or 'tracks'
+ * @param {Object} entry - Server entry {id, updatedAt, deleted, data}
+ * @returns {Promise<boolean>} True when local data changed
+ * @throws {Error} If the entry's record is invalid
+ *
+ * Conflict Strategy (per record, last writer wins on updatedAt):
+ * - A local record or unpushed local change at least as new as the entry is kept -
+ *   it reaches the server on the next push (and equal times are this device's own write)
+ * - Otherwise the entry replaces the local record; a track's points are replaced with it
+ * - Other tabs are notified like for any local write
+ */
+export async function applyRemoteChange(collection, entry) {
+    const store = getSyncedStore(collection);
+    const storage = await getStorage();
+
+    const pending = await storage.get(SYNC_STORE, outboxKey(collection, entry.id));
+    const stored = await storage.get(store, entry.id);
+    if (pending && pending.updatedAt >= entry.updatedAt) return false;
+    if (stored && stored.updatedAt >= entry.updatedAt) return false;
+
+    if (entry.deleted) {
+        if (!stored) return false;
+        const operations = [{ type: 'delete', store, key: entry.id }];
+        if (collection === 'tracks') {
+            operations.push({ type: 'deleteAll', store: TRACK_POINTS_STORE, query: { where: { trackId: entry.id }, orderBy: 'timestamp' } });
+        }
+        await storage.batch(operations);
+        notifyChange(storage, store, 'delete', entry.id, entry.updatedAt);
+        return true;
+    }
+
+    const { data } = entry;
+    if (collection === 'places') {
+        if (!isValidLocation(data)) {
+            throw new Error('Invalid coordinates: place requires a valid lat and lng');
+        }
+        const place = { ...data, name: normalizePlaceName(data.name), lat: +data.lat, lng: +data.lng, updatedAt: entry.updatedAt };
+        if (!(await storage.putIfNewer(PLACES_STORE, place))) return false;
+    } else {
+        const { points = [], ...track } = data;
+        const records = points.map((point) => toTrackPointRecord(entry.id, point));
+        // Single batch so the track never shows with half of its points
+        await storage.batch([
+            { type: 'put', store: TRACKS_STORE, record: { ...track, updatedAt: entry.updatedAt } },
+            { type: 'deleteAll', store: TRACK_POINTS_STORE, query: { where: { trackId: entry.id }, orderBy: 'timestamp' } },
+            ...records.map((record) => ({ type: 'add', store: TRACK_POINTS_STORE, record }))
+        ]);
+    }
+    notifyChange(storage, store, 'put', entry.id, entry.updatedAt);
+    return true;
+}
+
+/**
+ * Get the server revision a collection was last pulled at
+ * @param {string} collection - 'places' or 'tracks'
+ * @returns {Promise<number|null>} Revision, or null when the collection never synced
+ */
+export async function getSyncCursor(collection) {
+    const storage = await getStorage();
+    const cursor = await storage.get(SYNC_STORE, `cursor:${collection}`);
+    return cursor?.revision ?? null;
+}
 
-        // STRATEGY 2: Get fresh GPS location when saved location unavailable or forced
-        // Uses browser's geolocation API with intelligent caching
-        return new Promise((resolve, reject) => {
-            // BROWSER COMPATIBILITY: Check if geolocation is supported
-            if (!navigator.geolocation) {
-                const error = new Error('Geolocation is not supported by this browser');
-                return throwOnError ? reject(error) : resolve(fallback);
+/**
+ * Remember the server revision a collection was pulled at
+ * @param {string} collection - 'places' or 'tracks'
+ * @param {number} revision - Server revision
+ * @returns {Promise<void>}
+ */
+export async function setSyncCursor(collection, revision) {
+    const storage = await getStorage();
+    await storage.put(SYNC_STORE, { key: `cursor:${collection}`, kind: 'cursor', collection, revision });
+}
+
+// Sync store key of the sync key - the secret that names this device's data on the server
+const SYNC_KEY_RECORD = 'syncKey';
+
+// Sync keys are base64url and long enough that nobody guesses someone else's
+// (the server checks the same rule - see syncAuth.js)
+const SYNC_KEY_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+/**
+ * Create a random sync key (256 bits, base64url)
+ * @returns {string} New sync key
+ */
+function createSyncKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Get the key this device syncs with, creating one on first use
+ * Devices that share a key share their synced places and tracks
+ *
+ * @returns {Promise<string>} Sync key
+ */
+export async function getSyncKey() {
+    const storage = await getStorage();
+    const stored = await storage.get(SYNC_STORE, SYNC_KEY_RECORD);
+    if (stored) return stored.value;
+
+    const value = createSyncKey();
+    try {
+        await storage.add(SYNC_STORE, { key: SYNC_KEY_RECORD, kind: 'key', value });
+        return value;
+    } catch {
+        // Another tab created one first - use that
+        return (await storage.get(SYNC_STORE, SYNC_KEY_RECORD)).value;
+    }
+}
+
+/**
+ * Sync with another device's key from now on
+ * The pull cursors are reset, so the next sync pushes this device's records to the
+ * key's data and downloads everything already stored under it
+ *
+ * @param {string} key - Sync key copied from another device
+ * @returns {Promise<void>}
+ * @throws {Error} If the key is malformed
+ */
+export async function setSyncKey(key) {
+    const value = typeof key === 'string' ? key.trim() : '';
+    if (!SYNC_KEY_PATTERN.test(value)) {
+        throw new Error('Invalid sync key: copy the whole key from the other device');
+    }
+
+    const storage = await getStorage();
+    await storage.batch([
+        { type: 'put', store: SYNC_STORE, record: { key: SYNC_KEY_RECORD, kind: 'key', value } },
+        { type: 'deleteAll', store: SYNC_STORE, query: { where: { kind: 'cursor' } } }
+    ]);
+}
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+// Shortest passphrase accepted - PBKDF2 slows guessing down, it cannot save a trivial passphrase
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Report whether location data is encrypted and whether this tab can read it
+ * @returns {Promise<{supported: boolean, enabled: boolean, unlocked: boolean}>} Encryption state
+ */
+export async function getEncryptionStatus() {
+    await getStorage();
+    return { supported: isEncryptionSupported(), enabled: encryption.enabled, unlocked: Boolean(encryption.keys) };
+}
+
+/**
+ * Build operations that write every location record back through the adapter
+ * Run with the old encryption state to read and the new one to write, this
+ * encrypts or decrypts the stored data. The geocoding cache is dropped instead -
+ * its keys change with encryption, and its entries can be fetched again.
+ *
+ * @param {Object} storage - Encrypting adapter
+ * @returns {Promise<Object[]>} StorageOperations
+ */
+async function readForRewrite(storage) {
+    const operations = [];
+    for (const store of getSealedStores()) {
+        if (store === GEOCODE_CACHE_STORE) {
+            operations.push({ type: 'deleteAll', store, query: {} });
+        } else if (STORE_KEYS[store].keyPath) {
+            const records = await storage.getAll(store);
+            operations.push(...records.map((record) => ({ type: 'put', store, record })));
+        } else {
+            // Out-of-line keys (userLocation) are not part of the records
+            for (const key of await storage.getAllKeys(store)) {
+                operations.push({ type: 'put', store, record: await storage.get(store, key), key });
             }
+        }
+    }
+    return operations;
+}
 
-            // GPS REQUEST: Get current position with configurable options
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    // GPS SUCCESS: Extract coordinates from position object
-                    const location = {
-                        lat: position.coords.latitude,
-                        lng: position.coords.longitude
-                    };
-
-                    // AUTO-SAVE: Always save fresh GPS data for future use
-                    // Non-blocking save to avoid delaying location return
-                    saveUserLocation(location).catch(error => {
-                        console.warn('Failed to save fresh location:', error);
-                    });
-
-                    resolve(location);
-                },
-                (error) => {
-                    // GPS ERROR HANDLING: Provide specific error messages or fallback
-                    if (throwOnError) {
-                        // DETAILED ERROR MESSAGES: Help users understand GPS failures
-                        let message;
-                        switch (error.code) {
-                            case error.PERMISSION_DENIED:
-                                message = 'Location access denied. Please enable location services.';
-                                break;
-                            case error.POSITION_UNAVAILABLE:
-                                message = 'Location information is unavailable.';
-                                break;
-                            case error.TIMEOUT:
-                                message = 'Location request timed out. Please try again.';
-                                break;
-                            default:
-                                message = 'An unknown error occurred while retrieving location.';
-                                break;
-                        }
-                        reject(new Error(message));
-                    } else {
-                        // GRACEFUL FALLBACK: Use default location when GPS fails
-                        resolve(fallback);
-                    }
-                },
-                {
-                    // GPS OPTIONS: Configure accuracy, timeout, and caching behavior
-                    enableHighAccuracy: true,    // Request GPS instead of WiFi/cell tower
-                    timeout,                     // User-configurable timeout
-                    maximumAge: forceFresh ? 0 : 60000 // Fresh = no cache, otherwise 1min cache
-                }
-            );
-        });
+/**
+ * Encrypt every stored location record with a passphrase
+ * The passphrase is never stored; this tab stays unlocked, other tabs must unlock
+ *
+ * @param {string} passphrase - Passphrase (at least 8 characters)
+ * @returns {Promise<void>}
+ * @throws {Error} If encryption is unsupported or already on, or the passphrase is too short
+ *
+ * Strategy:
+ * - Keys: PBKDF2-SHA-256 over the passphrase with a random salt; records: AES-GCM
+ * - Every record is rewritten in one batch together with the settings, so the data is
+ *   either fully encrypted or untouched
+ */
+export async function enableEncryption(passphrase) {
+    if (!isEncryptionSupported()) {
+        throw new Error('Encryption needs a secure (HTTPS) connection');
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const storage = await getStorage();
+    if (encryption.enabled) {
+        throw new Error('Location data is already encrypted');
+    }
 
+    const { config, keys } = await createEncryptionConfig(passphrase);
+    const operations = await readForRewrite(storage);
+    const previous = encryption;
+    encryption = { enabled: true, config, keys };
+    try {
+        await storage.batch([...operations, { type: 'put', store: SETTINGS_STORE, record: { ...config, key: ENCRYPTION_SETTING } }]);
     } catch (error) {
-        // UNEXPECTED ERROR HANDLING: Catch any errors not handled above
-        console.error('getLocation failed:', error);
+        encryption = previous;
+        throw error;
+    }
+    notifyChange(storage, SETTINGS_STORE, 'put', ENCRYPTION_SETTING);
+}
 
-        if (throwOnError) {
-            throw error;
-        }
+/**
+ * Unlock encrypted location data in this tab
+ * Does nothing when encryption is off
+ *
+ * @param {string} passphrase - Passphrase given to enableEncryption
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'wrong-passphrase' if the passphrase does not match
+ */
+export async function unlockStorage(passphrase) {
+    await getStorage();
+    if (!encryption.enabled) return;
+
+    const { config } = encryption;
+    const keys = await unlockEncryption(passphrase, config);
+    // Settings may have changed while the keys were derived
+    if (encryption.config === config) encryption = { ...encryption, keys };
+}
 
-        // STRATEGY 3: Final fallback to ensure app always has coordinates
-        return fallback;
+/**
+ * Forget this tab's keys - location reads and writes fail with code 'locked' until unlocked
+ */
+export function lockStorage() {
+    encryption = { ...encryption, keys: null };
+}
+
+/**
+ * Decrypt every stored location record and turn encryption off
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'locked' unless this tab is unlocked
+ */
+export async function disableEncryption() {
+    const storage = await getStorage();
+    if (!encryption.enabled) return;
+
+    const operations = await readForRewrite(storage);
+    const previous = encryption;
+    encryption = { enabled: false, config: null, keys: null };
+    try {
+        await storage.batch([...operations, { type: 'delete', store: SETTINGS_STORE, key: ENCRYPTION_SETTING }]);
+    } catch (error) {
+        encryption = previous;
+        throw error;
     }
+    notifyChange(storage, SETTINGS_STORE, 'delete', ENCRYPTION_SETTING);
 }
 
 // ============================================================================
-// CONVENIENCE FUNCTIONS FOR COMMON USE CASES
+// RETENTION
 // ============================================================================
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Convenience function for getting best available location (saved → GPS → fallback)
- * Optimized for initial map loading with fastest possible location resolution
- * 
- * @param {Object} fallback - Default location if no saved location and GPS fails
- * @param {number} fallback.lat - Fallback latitude coordinate
- * @param {number} fallback.lng - Fallback longitude coordinate
- * 
- * @returns {Promise<Object>} Location object {lat, lng}
- * 
- * Use Cases:
- * - Initial map loading/centering
- * - App startup location detection
- * - Background location updates
- * 
- * Performance Strategy:
- * - Prioritizes speed over accuracy
- * - Uses saved location if available (instant)
- * - Falls back to GPS only if no saved location
- * - Never throws errors (always returns coordinates)
- */
-export async function getBestLocation(fallback = { lat: 30.033, lng: 31.233 }) {
-    return getLocation({
-        forceFresh: false,      // Use saved location if available
-        fallback,              // Custom fallback coordinates
-        throwOnError: false    // Always return coordinates, never throw
-    });
+ * Get the retention period
+ *
+ * Environment Variables:
+ * - VITE_LOCATION_RETENTION_DAYS: Default period until the user picks one (default: keep forever)
+ *
+ * @returns {Promise<number>} Days location history is kept; 0 keeps it forever
+ */
+export async function getRetentionDays() {
+    const storage = await getStorage();
+    const setting = await storage.get(SETTINGS_STORE, RETENTION_SETTING);
+    if (setting) return setting.days;
+
+    const configured = Number(import.meta.env.VITE_LOCATION_RETENTION_DAYS);
+    return Number.isFinite(configured) && configured > 0 ? configured : 0;
 }
 
 /**
- * Convenience function for getting fresh GPS location with error handling
- * Optimized for user-initiated location requests (e.g., "Get Current Location" button)
- * 
- * @returns {Promise<Object>} Fresh GPS location {lat, lng}
- * @throws {Error} GPS-related errors with user-friendly messages
- * 
- * Use Cases:
- * - "Get Current Location" button clicks
- * - Location refresh requests
- * - High-accuracy location requirements
- * 
- * Performance Strategy:
- * - Always gets fresh GPS data (ignores saved location)
- * - Longer timeout for better accuracy
- * - Throws descriptive errors for user feedback
- * - Auto-saves fresh location for future use
- */
-export async function getFreshLocation() {
-    return getLocation({
-        forceFresh: true,       // Always get fresh GPS data
-        throwOnError: true,     // Throw errors for user feedback
-        timeout: 10000         // Longer timeout for accuracy
-    });
-}
\ No newline at end of file
+ * Set the retention period and expire what is now too old
+ *
+ * @param {number} days - Days to keep location history; 0 keeps it forever
+ * @returns {Promise<number>} Number of records removed
+ * @throws {Error} If days is negative or not a number
+ */
+export async function setRetentionDays(days) {
+    if (!Number.isFinite(days) || days < 0) {
+        throw new Error('Retention must be a number of days (0 keeps data forever)');
+    }
+
+    const storage = await getStorage();
+    await storage.put(SETTINGS_STORE, { key: RETENTION_SETTING, days });
+    return applyRetention();
+}
+
+/**
+ * Delete location history older than the retention period
+ * Call on startup; works while encryption is locked (only plain timestamps are read)
+ *
+ * @returns {Promise<number>} Number of records removed
+ *
+ * What Expires:
+ * - Saved locations not updated within the period
+ * - Finished tracks that ended before it, and track points recorded before it
+ *   (a track being recorded loses its oldest points but stays)
+ * - Geocoding results cached before it
+ * - Places, zones and measurements are kept - they were saved on purpose
+ */
+export async function applyRetention() {
+    const days = await getRetentionDays();
+    if (!days) return 0;
+
+    const max = Date.now() - days * DAY_MS;
+    const storage = await getStorage();
+    // [store, time field, store announced to other tabs when records expire]
+    const expiring = [
+        [STORE_NAME, 'updatedAt', STORE_NAME],
+        [TRACK_POINTS_STORE, 'timestamp', TRACKS_STORE],
+        [TRACKS_STORE, 'endedAt', TRACKS_STORE],
+        [GEOCODE_CACHE_STORE, 'createdAt', null]
+    ];
+
+    let removed = 0;
+    const changed = new Set();
+    for (const [store, orderBy, announced] of expiring) {
+        const count = await storage.deleteAll(store, { orderBy, max });
+        if (count && announced) changed.add(announced);
+        removed += count;
+    }
+
+    // Other tabs may still show what expired - a null key tells them to re-read the store
+    changed.forEach((store) => notifyChange(storage, store, 'delete', null));
+    return removed;
+}
+
+// ============================================================================
+// FORGET ALL
+// ============================================================================
+
+/**
+ * Delete every stored location record, this origin's settings and the legacy
+ * localStorage copy - the "forget all my location data" action
+ * Tile caches live in the service worker; see clearTileCache in offline.js.
+ *
+ * @returns {Promise<void>}
+ *
+ * Strategy:
+ * - One batch across every store, so nothing is left half-deleted
+ * - Encryption is turned off with the data - there is nothing left to protect, and
+ *   forgetting is the way out of a forgotten passphrase
+ * - Places and tracks that were synced are queued as deletes, so the next sync removes
+ *   them from the server (and from devices sharing the sync key) - the outbox, the sync
+ *   key and the cursors survive for that
+ */
+export async function forgetLocationData() {
+    const storage = await getStorage();
+
+    // Keys are stored in the clear, so this works while encryption is locked
+    const queuedAt = Date.now();
+    const tombstones = [];
+    for (const [collection, store] of Object.entries(SYNCED_STORES)) {
+        if ((await getSyncCursor(collection)) === null) continue;
+        for (const id of await storage.getAllKeys(store)) {
+            tombstones.push({ key: outboxKey(collection, id), kind: 'outbox', collection, id, type: 'delete', updatedAt: queuedAt, queuedAt });
+        }
+    }
+
+    await storage.batch([
+        ...Object.values(STORES)
+            .filter((store) => store !== SYNC_STORE)
+            .map((store) => ({ type: 'deleteAll', store, query: {} })),
+        // Queued pushes of the deleted records become deletes
+        ...tombstones.map((record) => ({ type: 'put', store: SYNC_STORE, record }))
+    ]);
+    encryption = { enabled: false, config: null, keys: null };
+
+    try {
+        localStorage.removeItem(LEGACY_LOCATION_KEY);
+        localStorage.removeItem(CHANGE_STORAGE_KEY);
+    } catch {
+        // localStorage unavailable - nothing stored there either
+    }
+
+    for (const store of [SETTINGS_STORE, STORE_NAME, PLACES_STORE, TRACKS_STORE, ZONES_STORE, MEASUREMENTS_STORE]) {
+        notifyChange(storage, store, 'delete', null);
+    }
+}
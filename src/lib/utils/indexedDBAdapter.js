@@ -0,0 +1,520 @@
+/**
+ * IndexedDB storage adapter
+ * The default storage backend - structured records, indexes and real transactions
+ *
+ * This module provides:
+ * - One cached database connection shared by every adapter instance
+ * - Ordered schema migrations (including the import of the old localStorage fallback)
+ * - StorageAdapter operations mapped onto object stores and their indexes
+ */
+
+import { STORES, STORE_KEYS, applyQuery, generateId, matchesQuery } from './storageAdapters.js';
+import { isValidLocation } from './locationUtils.js';
+
+// ============================================================================
+// DATABASE CONFIGURATION
+// ============================================================================
+
+// Database name - stays consistent across app versions for data persistence
+const DB_NAME = 'MapLocationDB';
+
+// Location written by earlier versions' localStorage fallback, imported by migration 3
+const LEGACY_LOCATION_KEY = 'user-location';
+
+const {
+	USER_LOCATION,
+	PLACES,
+	TRACKS,
+	TRACK_POINTS,
+	GEOCODE_CACHE,
+	ZONES,
+	MEASUREMENTS,
+	SYNC,
+	SETTINGS
+} = STORES;
+
+// Database instance cache - prevents multiple connections and improves performance
+let dbInstance = null;
+
+// Pending open request - concurrent callers share one connection attempt
+let dbOpening = null;
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+
+/**
+ * Ordered list of schema migration steps
+ * Each step runs once, inside onupgradeneeded, when the stored database version
+ * is lower than the step's version. Steps share the single versionchange
+ * transaction, so requests they queue execute in order and either all commit
+ * or all roll back together.
+ *
+ * Adding a migration:
+ * - Append a new step with the next version number (never edit shipped steps)
+ * - Only use the db/tx arguments - no awaits, the transaction must stay active
+ * - Guard store/index creation so a partially upgraded database is tolerated
+ */
+const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'Create userLocation store',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(USER_LOCATION)) {
+				db.createObjectStore(USER_LOCATION);
+			}
+		}
+	},
+	{
+		version: 2,
+		description: 'Create places store with name/category/timestamp indexes',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(PLACES)) {
+				const places = db.createObjectStore(PLACES, { keyPath: 'id' });
+				places.createIndex('name', 'name');
+				places.createIndex('category', 'category');
+				places.createIndex('createdAt', 'createdAt');
+				places.createIndex('updatedAt', 'updatedAt');
+			}
+		}
+	},
+	{
+		version: 3,
+		description: "Timestamp the 'current' record and import the localStorage fallback",
+		upgrade(db, tx, context) {
+			const store = tx.objectStore(USER_LOCATION);
+			const legacy = readLegacyStorageLocation();
+			const request = store.get('current');
+
+			request.onsuccess = () => {
+				const current = request.result;
+				const now = Date.now();
+
+				if (isValidLocation(current)) {
+					// NORMALIZE: Numeric coordinates plus an updatedAt timestamp
+					store.put({ lat: +current.lat, lng: +current.lng, updatedAt: now }, 'current');
+
+					// PRESERVE: A differing localStorage value becomes a saved place
+					// so neither copy is silently discarded
+					if (legacy && (+legacy.lat !== +current.lat || +legacy.lng !== +current.lng)) {
+						tx.objectStore(PLACES).add({
+							id: generateId(),
+							name: 'Previously saved location',
+							category: 'imported',
+							lat: +legacy.lat,
+							lng: +legacy.lng,
+							createdAt: now,
+							updatedAt: now
+						});
+					}
+				} else if (legacy) {
+					// IMPORT: No usable IndexedDB record - adopt the localStorage value
+					store.put({ lat: +legacy.lat, lng: +legacy.lng, updatedAt: now }, 'current');
+				}
+
+				// Defer removal until the upgrade has committed (see getDB onsuccess)
+				context.clearLegacyStorage = Boolean(legacy);
+			};
+		}
+	},
+	{
+		version: 4,
+		description: 'Create tracks and time-indexed trackPoints stores',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(TRACKS)) {
+				const tracks = db.createObjectStore(TRACKS, { keyPath: 'id' });
+				tracks.createIndex('startedAt', 'startedAt');
+			}
+			if (!db.objectStoreNames.contains(TRACK_POINTS)) {
+				const points = db.createObjectStore(TRACK_POINTS, {
+					keyPath: 'id',
+					autoIncrement: true
+				});
+				points.createIndex('timestamp', 'timestamp');
+				// Compound index: all points of one track, already in time order
+				points.createIndex('trackId_timestamp', ['trackId', 'timestamp']);
+			}
+		}
+	},
+	{
+		version: 5,
+		description: 'Create geocodeCache store',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(GEOCODE_CACHE)) {
+				const cache = db.createObjectStore(GEOCODE_CACHE, { keyPath: 'key' });
+				cache.createIndex('createdAt', 'createdAt');
+			}
+		}
+	},
+	{
+		version: 6,
+		description: 'Create zones store for geofences',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(ZONES)) {
+				const zones = db.createObjectStore(ZONES, { keyPath: 'id' });
+				zones.createIndex('createdAt', 'createdAt');
+			}
+		}
+	},
+	{
+		version: 7,
+		description: 'Create measurements store for the measure tool',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(MEASUREMENTS)) {
+				const measurements = db.createObjectStore(MEASUREMENTS, { keyPath: 'id' });
+				measurements.createIndex('createdAt', 'createdAt');
+			}
+		}
+	},
+	{
+		version: 8,
+		description: 'Create sync store for the server sync outbox and cursors',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(SYNC)) {
+				const sync = db.createObjectStore(SYNC, { keyPath: 'key' });
+				// Outbox entries in the order they were queued
+				sync.createIndex('kind_queuedAt', ['kind', 'queuedAt']);
+			}
+		}
+	},
+	{
+		version: 9,
+		description: 'Create settings store for encryption and retention settings',
+		upgrade(db) {
+			if (!db.objectStoreNames.contains(SETTINGS)) {
+				db.createObjectStore(SETTINGS, { keyPath: 'key' });
+			}
+		}
+	}
+];
+
+// Schema version - always the last migration's version
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read and validate the legacy localStorage fallback location
+ * Used by migrations only; storage errors (private mode) are treated as "no value"
+ *
+ * @returns {Object|null} Validated {lat, lng} or null
+ */
+function readLegacyStorageLocation() {
+	try {
+		const stored = localStorage.getItem(LEGACY_LOCATION_KEY);
+		const parsed = stored ? JSON.parse(stored) : null;
+		return isValidLocation(parsed) ? parsed : null;
+	} catch {
+		return null;
+	}
+}
+
+// ============================================================================
+// DATABASE CONNECTION MANAGEMENT
+// ============================================================================
+
+/**
+ * Get or create IndexedDB database connection using singleton pattern
+ * Implements singleton pattern to reuse database connection efficiently
+ * Runs pending schema migrations when the stored version is outdated
+ *
+ * @returns {Promise<IDBDatabase>} IndexedDB database instance
+ *
+ * Connection Strategy:
+ * - Reuse existing connection (performance optimization)
+ * - Check browser compatibility (graceful fallback)
+ * - Apply MIGRATIONS in order inside onupgradeneeded
+ * - Close and forget the cached connection when another tab upgrades the schema
+ */
+async function getDB() {
+	// SINGLETON PATTERN: Return cached instance if available
+	// Prevents multiple database connections and improves performance
+	if (dbInstance) return dbInstance;
+	if (dbOpening) return dbOpening;
+
+	// COMPATIBILITY CHECK: Ensure IndexedDB is supported
+	// Older browsers or private mode might not support IndexedDB
+	if (!window.indexedDB) {
+		throw new Error('IndexedDB is not supported in this browser');
+	}
+
+	dbOpening = new Promise((resolve, reject) => {
+		// DATABASE OPENING: Open existing database or create new one
+		// DB_VERSION indicates schema version for future upgrades
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+		// Shared state between migration steps and the success handler
+		const context = { clearLegacyStorage: false };
+
+		// ERROR HANDLING: Database opening failures (including aborted migrations)
+		request.onerror = (event) => {
+			const error = event.target.error;
+			dbOpening = null;
+			reject(new Error(`Failed to open database: ${error?.message || 'Unknown error'}`));
+		};
+
+		// BLOCKED: Another tab holds an older connection and has not closed it yet
+		// The request stays pending and continues once that tab releases the database
+		request.onblocked = () => {
+			console.warn('Database upgrade is waiting for other tabs to close their connection');
+		};
+
+		// SUCCESS HANDLER: Database opened successfully
+		request.onsuccess = () => {
+			const db = request.result;
+
+			// VERSION CHANGE: A newer schema was requested elsewhere - release this
+			// connection so the other tab's upgrade is not blocked forever
+			db.onversionchange = () => {
+				db.close();
+				if (dbInstance === db) dbInstance = null;
+			};
+
+			// UNEXPECTED CLOSE: Browser closed the connection (e.g. storage cleared)
+			db.onclose = () => {
+				if (dbInstance === db) dbInstance = null;
+			};
+
+			// LEGACY CLEANUP: Migration committed, the localStorage copy is now redundant
+			if (context.clearLegacyStorage) {
+				try {
+					localStorage.removeItem(LEGACY_LOCATION_KEY);
+				} catch (error) {
+					console.warn('Failed to clear legacy location storage:', error);
+				}
+			}
+
+			// CACHE CONNECTION: Store for future use
+			dbInstance = db;
+			dbOpening = null;
+			resolve(dbInstance);
+		};
+
+		// SCHEMA MIGRATIONS: Runs only when database is first created or version changes
+		// This is the only place where we can create object stores (tables)
+		request.onupgradeneeded = (event) => {
+			const db = request.result;
+			const tx = request.transaction;
+
+			for (const migration of MIGRATIONS) {
+				if (migration.version > event.oldVersion) {
+					migration.upgrade(db, tx, context);
+				}
+			}
+		};
+	});
+
+	return dbOpening;
+}
+
+/**
+ * Run a transaction across one or more object stores
+ * Wraps IndexedDB's event-based transaction API in a Promise
+ *
+ * @param {string|string[]} storeNames - Object store(s) the transaction spans
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the transaction; may return an IDBRequest
+ * @returns {Promise<any>} The returned request's result (or the returned value),
+ *   resolved once the transaction completes
+ */
+async function runTransaction(storeNames, mode, operation) {
+	const db = await getDB();
+
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeNames, mode);
+		const outcome = operation(tx);
+
+		// Resolve on transaction completion so writes are durable before callers continue
+		tx.oncomplete = () => resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+		tx.onerror = () =>
+			reject(new Error(`Transaction failed: ${tx.error?.message || 'Unknown error'}`));
+		tx.onabort = () => reject(new Error('Transaction aborted'));
+	});
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ *
+ * @param {string} storeName - Object store to operate on
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} Request result, resolved once the transaction completes
+ */
+function runRequest(storeName, mode, operation) {
+	return runTransaction(storeName, mode, (tx) => operation(tx.objectStore(storeName)));
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Pick the object store or index that answers a query most directly
+ * Results are still passed through applyQuery, so a partial match only costs speed
+ *
+ * @param {IDBObjectStore} store - Object store being queried
+ * @param {import('./storageAdapters.js').StorageQuery} query - Query
+ * @returns {{source: IDBObjectStore|IDBIndex, range: IDBKeyRange|undefined}} Where to read from
+ *
+ * Index Strategy:
+ * - One where field plus orderBy: a compound [field, orderBy] index (e.g. trackId_timestamp)
+ * - Only orderBy: an index on that field, bounded by max
+ * - One where field: an index on that field
+ * - Otherwise: the whole store
+ */
+function planQuery(store, { where = {}, orderBy, max } = {}) {
+	const fields = Object.keys(where);
+	const indexes = [...store.indexNames].map((name) => store.index(name));
+	const upper = max ?? Infinity;
+
+	if (fields.length === 1 && orderBy) {
+		const compound = indexes.find(
+			({ keyPath }) =>
+				Array.isArray(keyPath) &&
+				keyPath.length === 2 &&
+				keyPath[0] === fields[0] &&
+				keyPath[1] === orderBy
+		);
+		if (compound) {
+			const value = where[fields[0]];
+			return { source: compound, range: IDBKeyRange.bound([value, -Infinity], [value, upper]) };
+		}
+	}
+
+	if (!fields.length && orderBy) {
+		const index = indexes.find(({ keyPath }) => keyPath === orderBy);
+		if (index)
+			return { source: index, range: max == null ? undefined : IDBKeyRange.upperBound(max) };
+	}
+
+	if (fields.length === 1) {
+		const index = indexes.find(({ keyPath }) => keyPath === fields[0]);
+		if (index) return { source: index, range: IDBKeyRange.only(where[fields[0]]) };
+	}
+
+	return { source: store, range: undefined };
+}
+
+/**
+ * Queue one StorageOperation on a transaction
+ *
+ * @param {IDBTransaction} tx - Transaction spanning the operation's store
+ * @param {import('./storageAdapters.js').StorageOperation} operation - Operation
+ * @returns {Object} Result holder - value is the key (add/put) or count (deleteAll)
+ *   once the transaction completes
+ */
+function queueOperation(tx, { type, store: storeName, record, key, query }) {
+	const store = tx.objectStore(storeName);
+	const result = { value: undefined };
+
+	switch (type) {
+		case 'add':
+		case 'put': {
+			// Out-of-line keys (userLocation) are passed separately; key paths read the record
+			const request = store.keyPath ? store[type](record) : store[type](record, key);
+			request.onsuccess = () => (result.value = request.result);
+			break;
+		}
+		case 'delete':
+			store.delete(key);
+			break;
+		case 'deleteAll': {
+			const { source, range } = planQuery(store, query);
+			const cursorRequest = source.openCursor(range);
+			result.value = 0;
+			cursorRequest.onsuccess = () => {
+				const cursor = cursorRequest.result;
+				if (!cursor) return;
+				if (matchesQuery(cursor.value, query)) {
+					cursor.delete();
+					result.value++;
+				}
+				cursor.continue();
+			};
+			break;
+		}
+		default:
+			throw new Error(`Unknown storage operation: ${type}`);
+	}
+	return result;
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * Create the IndexedDB storage adapter
+ *
+ * @returns {import('./storageAdapters.js').StorageAdapter} Adapter with id 'indexeddb'
+ *
+ * Transaction Strategy:
+ * - Every method is one transaction and resolves once it completes, so writes are
+ *   durable before callers continue
+ * - putIfNewer reads and writes in the same transaction, so no other tab's write
+ *   can land between the comparison and the write
+ * - batch spans every store its operations touch
+ */
+export const createIndexedDBAdapter = () => {
+	const runBatch = async (operations) => {
+		const storeNames = [...new Set(operations.map((operation) => operation.store))];
+		const results = await runTransaction(storeNames, 'readwrite', (tx) =>
+			operations.map((operation) => queueOperation(tx, operation))
+		);
+		return results.map((result) => result.value);
+	};
+
+	return {
+		id: 'indexeddb',
+		shared: true,
+
+		async open() {
+			await getDB();
+		},
+
+		async get(store, key) {
+			const record = await runRequest(store, 'readonly', (objectStore) => objectStore.get(key));
+			return record ?? null;
+		},
+
+		async getAll(store, query = {}) {
+			const records = await runRequest(store, 'readonly', (objectStore) => {
+				const { source, range } = planQuery(objectStore, query);
+				return source.getAll(range);
+			});
+			return applyQuery(records, query);
+		},
+
+		getAllKeys: (store) => runRequest(store, 'readonly', (objectStore) => objectStore.getAllKeys()),
+
+		add: async (store, record, key) => (await runBatch([{ type: 'add', store, record, key }]))[0],
+
+		put: async (store, record, key) => (await runBatch([{ type: 'put', store, record, key }]))[0],
+
+		async putIfNewer(store, record, { key, mustExist = false } = {}) {
+			const outcome = await runTransaction(store, 'readwrite', (tx) => {
+				const objectStore = tx.objectStore(store);
+				const recordKey = STORE_KEYS[store].keyPath ? record[STORE_KEYS[store].keyPath] : key;
+				const result = { written: false };
+				const request = objectStore.get(recordKey);
+				request.onsuccess = () => {
+					const stored = request.result;
+					if (stored ? stored.updatedAt > record.updatedAt : mustExist) return;
+					if (objectStore.keyPath) objectStore.put(record);
+					else objectStore.put(record, recordKey);
+					result.written = true;
+				};
+				return result;
+			});
+			return outcome.written;
+		},
+
+		async delete(store, key) {
+			await runBatch([{ type: 'delete', store, key }]);
+		},
+
+		deleteAll: async (store, query) => (await runBatch([{ type: 'deleteAll', store, query }]))[0],
+
+		async batch(operations) {
+			await runBatch(operations);
+		}
+	};
+};
@@ -0,0 +1,95 @@
+/**
+ * localStorage storage adapter
+ * Keeps each store as one JSON document in localStorage
+ *
+ * Used when IndexedDB is missing or refuses to open. localStorage is small
+ * (about 5MB per origin) and synchronous, so this is a fallback, not an equal:
+ * large track recordings or geocoding caches can exceed its quota.
+ */
+
+import { createRecordMapAdapter, STORES } from './storageAdapters.js';
+import { isValidLocation } from './locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Prefix of the per-store documents: map-location-db:<store>
+const STORAGE_PREFIX = 'map-location-db:';
+
+// Location written by earlier versions' ad-hoc fallback, adopted on first open
+const LEGACY_LOCATION_KEY = 'user-location';
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * Read a store's document
+ * Malformed documents (written by something else) read as an empty store
+ *
+ * @param {string} store - Store name
+ * @returns {Map} Key → record
+ */
+const readStore = (store) => {
+	try {
+		const entries = JSON.parse(localStorage.getItem(STORAGE_PREFIX + store));
+		return new Map(Array.isArray(entries) ? entries : []);
+	} catch {
+		return new Map();
+	}
+};
+
+/**
+ * Write a store's document as [key, record] pairs (keeps numeric keys numeric)
+ * @param {string} store - Store name
+ * @param {Map} map - Key → record
+ */
+const writeStore = (store, map) => {
+	localStorage.setItem(STORAGE_PREFIX + store, JSON.stringify([...map]));
+};
+
+/**
+ * Adopt the location saved by the old localStorage fallback
+ * Only fills an empty 'current' record and only with valid coordinates
+ */
+const adoptLegacyLocation = () => {
+	const legacy = localStorage.getItem(LEGACY_LOCATION_KEY);
+	if (!legacy) return;
+
+	try {
+		const locations = readStore(STORES.USER_LOCATION);
+		const parsed = JSON.parse(legacy);
+		if (!locations.has('current') && isValidLocation(parsed)) {
+			locations.set('current', {
+				lat: +parsed.lat,
+				lng: +parsed.lng,
+				updatedAt: Number.isFinite(parsed.updatedAt) ? parsed.updatedAt : Date.now()
+			});
+			writeStore(STORES.USER_LOCATION, locations);
+		}
+	} catch {
+		// Malformed legacy value - nothing worth keeping
+	}
+	localStorage.removeItem(LEGACY_LOCATION_KEY);
+};
+
+/**
+ * Create a localStorage storage adapter
+ *
+ * @returns {import('./storageAdapters.js').StorageAdapter} Adapter with id 'localstorage'
+ *
+ * Consistency Strategy:
+ * - Every operation re-reads the documents it touches, so writes from other tabs are seen
+ * - A batch writes its documents only after every operation succeeded. Batches
+ *   spanning several documents (a synced track with its points, encrypting every
+ *   store) restore the documents already written when a later write fails (quota)
+ */
+export const createLocalStorageAdapter = () =>
+	createRecordMapAdapter({
+		id: 'localstorage',
+		shared: true,
+		open: adoptLegacyLocation,
+		load: readStore,
+		save: writeStore
+	});
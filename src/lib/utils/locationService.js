@@ -0,0 +1,201 @@
+/**
+ * Location service
+ * One ordered chain of location providers behind a single locate() call
+ *
+ * This module provides:
+ * - A configurable provider chain (saved location, GPS, custom providers, fallback)
+ * - Per-provider timeouts so one slow source never stalls the chain
+ * - Results that say where they came from: {lat, lng, source, accuracy, timestamp}
+ *   plus heading and speed when the provider reports them
+ * - A max-age policy for saved locations instead of trusting them forever
+ *
+ * Provider contract:
+ * - id:      Source name reported on results (e.g. 'saved', 'gps', 'ip')
+ * - timeout: Milliseconds before the provider is abandoned (optional)
+ * - locate(context): Resolves a location, or null to pass to the next provider.
+ *   Throwing also passes to the next provider; the error is kept for reporting.
+ */
+
+import { getCurrentLocationGPS, isValidLocation } from './locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Timeout for providers that do not set their own
+const DEFAULT_PROVIDER_TIMEOUT = 5000;
+
+// Saved locations older than this are ignored - people move, a week-old spot misleads
+const DEFAULT_SAVED_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Cairo, Egypt - matches the map's default center
+const DEFAULT_FALLBACK = { lat: 30.033, lng: 31.233 };
+
+// ============================================================================
+// SERVICE
+// ============================================================================
+
+/**
+ * Run a provider with a time limit
+ * @param {Object} provider - Provider (see module contract)
+ * @param {Object} context - Locate context passed through to the provider
+ * @returns {Promise<Object|null>} Provider result
+ */
+const runWithTimeout = (provider, context) => {
+	const timeout = provider.timeout ?? DEFAULT_PROVIDER_TIMEOUT;
+	let timer;
+
+	return Promise.race([
+		Promise.resolve().then(() => provider.locate(context)),
+		new Promise((_, reject) => {
+			timer = setTimeout(() => {
+				const error = new Error(`Location provider "${provider.id}" timed out`);
+				reject(Object.assign(error, { code: 'timeout' }));
+			}, timeout);
+		})
+	]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Keep a numeric metadata field, turning missing/NaN values into null
+ * @param {*} value - Reported value
+ * @returns {number|null} Finite number or null
+ */
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * Normalize a provider result into the service's result shape
+ * @param {Object} provider - Provider that produced the location
+ * @param {Object} location - Raw provider result
+ * @returns {{lat: number, lng: number, source: string, accuracy: number|null, timestamp: number,
+ *   heading: number|null, speed: number|null}}
+ */
+const toResult = (provider, location) => ({
+	lat: +location.lat,
+	lng: +location.lng,
+	source: location.source ?? provider.id,
+	accuracy: finiteOrNull(location.accuracy),
+	timestamp: Number.isFinite(location.timestamp) ? location.timestamp : Date.now(),
+	heading: finiteOrNull(location.heading),
+	speed: finiteOrNull(location.speed)
+});
+
+/**
+ * Create a location service over an ordered provider chain
+ *
+ * @param {Object} options - Service configuration
+ * @param {Array<Object>} options.providers - Providers, tried in order
+ * @param {Function} options.onResult - Called with every successful result (e.g. to persist GPS fixes)
+ * @returns {{locate: Function, getProviders: Function}} Service API
+ *
+ * Strategy:
+ * - Providers run one after another; the first valid location wins
+ * - A provider that times out, throws, or returns null/invalid coordinates is skipped
+ * - When every provider fails, the rejection lists each provider's error
+ */
+export const createLocationService = ({ providers = [], onResult = () => {} } = {}) => {
+	/**
+	 * Resolve the best available location
+	 *
+	 * @param {Object} options - Locate options
+	 * @param {Array<string>} options.sources - Only try providers with these ids (default: all)
+	 * @param {boolean} options.fresh - Ask providers for a new fix rather than a cached one
+	 * @returns {Promise<{lat: number, lng: number, source: string, accuracy: number|null, timestamp: number}>}
+	 * @throws {AggregateError} When no provider produced a location
+	 */
+	const locate = async ({ sources = null, fresh = false } = {}) => {
+		const chain = sources
+			? providers.filter((provider) => sources.includes(provider.id))
+			: providers;
+		const errors = [];
+
+		for (const provider of chain) {
+			try {
+				const location = await runWithTimeout(provider, { fresh });
+				if (!isValidLocation(location)) continue;
+
+				const result = toResult(provider, location);
+				try {
+					await onResult(result);
+				} catch (error) {
+					console.warn('Location result handler failed:', error);
+				}
+				return result;
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		// The last error is usually the most specific (e.g. GPS permission denied)
+		const message = errors.at(-1)?.message ?? 'No location available';
+		throw new AggregateError(errors, message);
+	};
+
+	return {
+		locate,
+		getProviders: () => providers.map((provider) => provider.id)
+	};
+};
+
+// ============================================================================
+// BUILT-IN PROVIDERS
+// ============================================================================
+
+/**
+ * Saved location provider with a max-age policy
+ * Records without a timestamp are treated as expired - their age cannot be trusted
+ *
+ * @param {Object} options - Provider configuration
+ * @param {Function} options.getSaved - Resolves the saved record {lat, lng, updatedAt, accuracy?} or null
+ * @param {number} options.maxAge - Maximum record age in milliseconds (default: 7 days)
+ * @param {number} options.timeout - Provider timeout in milliseconds (default: 2000)
+ * @returns {Object} Provider with id 'saved'
+ */
+export const createSavedLocationProvider = ({
+	getSaved,
+	maxAge = DEFAULT_SAVED_MAX_AGE,
+	timeout = 2000
+}) => ({
+	id: 'saved',
+	timeout,
+	async locate() {
+		const saved = await getSaved();
+		if (!saved || !Number.isFinite(saved.updatedAt)) return null;
+		if (Date.now() - saved.updatedAt > maxAge) return null;
+
+		return { ...saved, timestamp: saved.updatedAt };
+	}
+});
+
+/**
+ * Device GPS provider
+ * The chain timeout is slightly longer than the geolocation timeout so the
+ * browser's own (more descriptive) timeout error wins the race
+ *
+ * @param {Object} options - Provider configuration
+ * @param {number} options.timeout - Geolocation timeout in milliseconds (default: 10000)
+ * @param {boolean} options.enableHighAccuracy - Request high accuracy GPS (default: true)
+ * @param {number} options.maximumAge - Accept browser-cached fixes this old unless fresh is requested (default: 60000)
+ * @returns {Object} Provider with id 'gps'
+ */
+export const createGPSProvider = ({
+	timeout = 10000,
+	enableHighAccuracy = true,
+	maximumAge = 60000
+} = {}) => ({
+	id: 'gps',
+	timeout: timeout + 1000,
+	locate: ({ fresh }) =>
+		getCurrentLocationGPS({ timeout, enableHighAccuracy, maximumAge: fresh ? 0 : maximumAge })
+});
+
+/**
+ * Fixed fallback provider - always succeeds, so it belongs at the end of a chain
+ *
+ * @param {Object} location - Fallback coordinates {lat, lng} (default: Cairo)
+ * @returns {Object} Provider with id 'fallback'
+ */
+export const createFallbackProvider = (location = DEFAULT_FALLBACK) => ({
+	id: 'fallback',
+	locate: () => ({ lat: location.lat, lng: location.lng })
+});
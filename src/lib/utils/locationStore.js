@@ -0,0 +1,233 @@
+/**
+ * Location store
+ * Shared, observable location state modelled as an explicit state machine
+ *
+ * This module provides:
+ * - A Svelte store any route or component can subscribe to
+ * - Explicit lifecycle states instead of scattered loading/error flags
+ * - The current position with its metadata (source, accuracy, timestamp, heading, speed)
+ * - Actions: locate(), cancel() and setManual()
+ *
+ * State shape:
+ * {
+ *   status: string,          // one of LOCATION_STATUS
+ *   position: Object|null,   // {lat, lng, source, accuracy, timestamp, heading, speed}
+ *   error: string|null,      // user-facing message for the failure states
+ *   updatedAt: number        // when the state last changed
+ * }
+ *
+ * A failed or cancelled locate keeps the last good position, so subscribers can
+ * keep showing it while reporting the failure.
+ */
+
+import { writable } from 'svelte/store';
+
+// ============================================================================
+// STATES
+// ============================================================================
+
+export const LOCATION_STATUS = Object.freeze({
+	IDLE: 'idle',
+	RESOLVING_SAVED: 'resolving-saved',
+	LOCATING: 'locating',
+	LOCATED: 'located',
+	DENIED: 'denied',
+	UNAVAILABLE: 'unavailable',
+	TIMED_OUT: 'timed-out',
+	OFFLINE: 'offline'
+});
+
+const { IDLE, RESOLVING_SAVED, LOCATING, LOCATED, DENIED, UNAVAILABLE, TIMED_OUT, OFFLINE } =
+	LOCATION_STATUS;
+
+// Every settled state may start a new lookup or take a manual position
+const SETTLED_TRANSITIONS = [RESOLVING_SAVED, LOCATING, LOCATED];
+
+// Allowed transitions; anything else is a bug in the caller
+export const LOCATION_TRANSITIONS = Object.freeze({
+	[IDLE]: SETTLED_TRANSITIONS,
+	[RESOLVING_SAVED]: [LOCATING, LOCATED, IDLE, DENIED, UNAVAILABLE, TIMED_OUT, OFFLINE],
+	[LOCATING]: [LOCATED, IDLE, DENIED, UNAVAILABLE, TIMED_OUT, OFFLINE],
+	[LOCATED]: SETTLED_TRANSITIONS,
+	[DENIED]: SETTLED_TRANSITIONS,
+	[UNAVAILABLE]: SETTLED_TRANSITIONS,
+	[TIMED_OUT]: SETTLED_TRANSITIONS,
+	[OFFLINE]: SETTLED_TRANSITIONS
+});
+
+/**
+ * Check whether a status means a lookup is in flight
+ * @param {string} status - One of LOCATION_STATUS
+ * @returns {boolean} True while resolving the saved location or locating
+ */
+export const isLocatingStatus = (status) => status === RESOLVING_SAVED || status === LOCATING;
+
+/**
+ * Check whether a status is a failure state
+ * @param {string} status - One of LOCATION_STATUS
+ * @returns {boolean} True for denied, unavailable, timed-out and offline
+ */
+export const isErrorStatus = (status) =>
+	status === DENIED || status === UNAVAILABLE || status === TIMED_OUT || status === OFFLINE;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Map a failed lookup to its failure state
+ * Provider errors carry a code (see getCurrentLocationGPS); the last one is the most specific
+ *
+ * @param {Error} error - Rejection from the location service (usually an AggregateError)
+ * @param {boolean} online - Whether the browser reports a network connection
+ * @returns {string} DENIED, UNAVAILABLE, TIMED_OUT or OFFLINE
+ */
+const classifyError = (error, online) => {
+	const code = (error?.errors?.at(-1) ?? error)?.code;
+
+	// Permission is the user's choice - being offline does not explain it away
+	if (code === 'denied') return DENIED;
+	if (!online) return OFFLINE;
+	if (code === 'timeout') return TIMED_OUT;
+	return UNAVAILABLE;
+};
+
+/**
+ * Normalize a position into the store's position shape
+ * @param {Object} position - Position with at least {lat, lng}
+ * @param {string} defaultSource - Source used when the position does not name one
+ * @returns {Object} Position with every metadata field present
+ */
+const toPosition = (position, defaultSource) => ({
+	lat: +position.lat,
+	lng: +position.lng,
+	source: position.source ?? defaultSource,
+	accuracy: position.accuracy ?? null,
+	timestamp: position.timestamp ?? Date.now(),
+	heading: position.heading ?? null,
+	speed: position.speed ?? null
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Create a location store
+ *
+ * @param {Object} options - Store configuration
+ * @param {Object} options.service - Location service from createLocationService (can be set later)
+ * @param {Function} options.isOnline - Reports network state (default: navigator.onLine)
+ * @returns {{subscribe: Function, locate: Function, cancel: Function, setManual: Function,
+ *   setService: Function}} Svelte store with actions
+ *
+ * Lookup Strategy:
+ * - When the chain starts with a saved location, it is tried first (resolving-saved)
+ *   so a known spot shows immediately; the live providers run next (locating)
+ * - Each lookup gets a token; cancel() or a newer lookup invalidates older tokens,
+ *   and results arriving for an invalid token are dropped
+ */
+export const createLocationStore = (options = {}) => {
+	const { isOnline = () => typeof navigator === 'undefined' || navigator.onLine } = options;
+	let service = options.service ?? null;
+
+	let state = { status: IDLE, position: null, error: null, updatedAt: Date.now() };
+	const { subscribe, set } = writable(state);
+
+	// LOOKUP STATE: Incremented by every locate/cancel/setManual
+	let lookupToken = 0;
+
+	const transition = (status, changes = {}) => {
+		if (status !== state.status && !LOCATION_TRANSITIONS[state.status].includes(status)) {
+			throw new Error(`Invalid location state transition: ${state.status} -> ${status}`);
+		}
+		state = { ...state, error: null, ...changes, status, updatedAt: Date.now() };
+		set(state);
+	};
+
+	/**
+	 * Resolve the best available location through the service
+	 *
+	 * @param {Object} options - Locate options
+	 * @param {Array<string>} options.sources - Only try providers with these ids (default: all)
+	 * @param {boolean} options.fresh - Ask providers for a new fix rather than a cached one
+	 * @returns {Promise<Object|null>} The new position, or null if cancelled or superseded
+	 * @throws {Error} When no provider produced a location (the store is in a failure state)
+	 */
+	const locate = async ({ sources = null, fresh = false } = {}) => {
+		if (!service) throw new Error('Location store has no location service');
+
+		const token = ++lookupToken;
+		const chain = sources ?? service.getProviders();
+		const live = chain.filter((id) => id !== 'saved');
+
+		try {
+			let position = null;
+
+			if (chain[0] === 'saved') {
+				transition(RESOLVING_SAVED);
+				position = await service.locate({ sources: ['saved'], fresh }).catch((error) => {
+					if (!live.length) throw error;
+					return null;
+				});
+				if (token !== lookupToken) return null;
+			}
+
+			if (!position) {
+				transition(LOCATING);
+				position = await service.locate({ sources: live, fresh });
+				if (token !== lookupToken) return null;
+			}
+
+			transition(LOCATED, { position: toPosition(position, 'unknown') });
+			return state.position;
+		} catch (error) {
+			if (token !== lookupToken) return null;
+
+			transition(classifyError(error, isOnline()), { error: error.message });
+			throw error;
+		}
+	};
+
+	/**
+	 * Abandon the lookup in flight
+	 * Returns to located when a previous position is known, otherwise to idle
+	 */
+	const cancel = () => {
+		if (!isLocatingStatus(state.status)) return;
+
+		lookupToken++;
+		transition(state.position ? LOCATED : IDLE);
+	};
+
+	/**
+	 * Set the position directly (search result, typed coordinates, shared link, ...)
+	 * Cancels any lookup in flight
+	 *
+	 * @param {Object} position - Position with at least {lat, lng}; source defaults to 'manual'
+	 * @returns {Object} The stored position
+	 */
+	const setManual = (position) => {
+		lookupToken++;
+		transition(LOCATED, { position: toPosition(position, 'manual') });
+		return state.position;
+	};
+
+	return {
+		subscribe,
+		locate,
+		cancel,
+		setManual,
+
+		/**
+		 * Swap the location service (e.g. once the component owning the providers mounts)
+		 * @param {Object} nextService - Location service from createLocationService
+		 */
+		setService(nextService) {
+			service = nextService;
+		}
+	};
+};
+
+// Shared app-wide location - the main page's map drives it, any route can subscribe
+export const currentLocation = createLocationStore();
@@ -4,11 +4,57 @@
  * 
  * This module provides:
  * - GPS location access with error handling
- * - Fallback strategies for location retrieval
+ * - Continuous location tracking with accuracy and distance filtering
  * - Location data validation and formatting
  * - Cross-browser geolocation support
+ *
+ * Distance and other geodesic math lives in geometry.js; choosing between
+ * saved, GPS and fallback locations lives in locationService.js.
  */
 
+import { haversineDistance } from './geometry.js';
+
+/**
+ * Translate a GeolocationPositionError into a user-friendly message
+ *
+ * @param {GeolocationPositionError} error - Error from the geolocation API
+ * @returns {string} Human-readable error message
+ */
+const getGeolocationErrorMessage = (error) => {
+    switch (error.code) {
+        case error.PERMISSION_DENIED:
+            // User explicitly denied location access
+            return 'Location access denied by user';
+        case error.POSITION_UNAVAILABLE:
+            // Location service unavailable (no GPS, network issues, etc.)
+            return 'Location information unavailable';
+        case error.TIMEOUT:
+            // Request timed out - user didn't respond or GPS took too long
+            return 'Location request timed out';
+        default:
+            // Unexpected error - include original message for debugging
+            return `Location error: ${error.message}`;
+    }
+};
+
+/**
+ * Wrap a GeolocationPositionError in an Error that keeps the failure kind
+ * Callers branch on error.code instead of matching message text
+ *
+ * @param {GeolocationPositionError} error - Error from the geolocation API
+ * @returns {Error} Error with a user-friendly message and code 'denied', 'unavailable' or 'timeout'
+ */
+const toGeolocationError = (error) => {
+    const codes = {
+        [error.PERMISSION_DENIED]: 'denied',
+        [error.POSITION_UNAVAILABLE]: 'unavailable',
+        [error.TIMEOUT]: 'timeout'
+    };
+    return Object.assign(new Error(getGeolocationErrorMessage(error)), {
+        code: codes[error.code] ?? 'unavailable'
+    });
+};
+
 /**
  * Get current location using GPS with comprehensive error handling and timeout
  * Uses the browser's native geolocation API with optimized settings for accuracy vs speed
@@ -17,7 +63,8 @@
  * @param {number} options.timeout - Maximum time to wait for location (default: 10000ms)
  * @param {boolean} options.enableHighAccuracy - Request high accuracy GPS (default: true)
  * @param {number} options.maximumAge - Maximum age of cached location (default: 60000ms)
- * @returns {Promise<Object>} Location object with {lat, lng, accuracy, timestamp}
+ * @returns {Promise<Object>} Location object with {lat, lng, accuracy, timestamp, speed, heading}
+ * @throws {Error} With code 'denied', 'unavailable', 'timeout' or 'unsupported'
  */
 export const getCurrentLocationGPS = (options = {}) => {
     // Destructure options with sensible defaults
@@ -30,7 +77,8 @@ export const getCurrentLocationGPS = (options = {}) => {
     return new Promise((resolve, reject) => {
         // Check if geolocation is supported in this browser
         if (!navigator.geolocation) {
-            reject(new Error('Geolocation is not supported by this browser'));
+            const error = new Error('Geolocation is not supported by this browser');
+            reject(Object.assign(error, { code: 'unsupported' }));
             return;
         }
 
@@ -49,34 +97,16 @@ export const getCurrentLocationGPS = (options = {}) => {
                     lat: position.coords.latitude,      // Latitude in decimal degrees
                     lng: position.coords.longitude,     // Longitude in decimal degrees
                     accuracy: position.coords.accuracy, // Accuracy in meters
-                    timestamp: position.timestamp       // When location was obtained
+                    timestamp: position.timestamp,      // When location was obtained
+                    speed: position.coords.speed,       // m/s, null when the device does not report it
+                    heading: position.coords.heading    // degrees from north, null/NaN when unknown
                 });
             },
 
             // ERROR CALLBACK: Called when location access fails
             (error) => {
                 // Provide user-friendly error messages based on error type
-                let message = 'Location access failed';
-
-                switch (error.code) {
-                    case error.PERMISSION_DENIED:
-                        // User explicitly denied location access
-                        message = 'Location access denied by user';
-                        break;
-                    case error.POSITION_UNAVAILABLE:
-                        // Location service unavailable (no GPS, network issues, etc.)
-                        message = 'Location information unavailable';
-                        break;
-                    case error.TIMEOUT:
-                        // Request timed out - user didn't respond or GPS took too long
-                        message = 'Location request timed out';
-                        break;
-                    default:
-                        // Unexpected error - include original message for debugging
-                        message = `Location error: ${error.message}`;
-                        break;
-                }
-                reject(new Error(message));
+                reject(toGeolocationError(error));
             },
 
             // Pass configuration options to geolocation API
@@ -86,70 +116,98 @@ export const getCurrentLocationGPS = (options = {}) => {
 };
 
 /**
- * Smart location retrieval with multiple fallback strategies
- * Implements a resilient approach to getting user location:
- * 1. Try saved location from IndexedDB (fast, works offline)
- * 2. Fall back to fresh GPS location (accurate but slower)
- * 3. Fall back to default coordinates (always works)
- * 
- * @param {Function} getLocation - Function to retrieve saved location from IndexedDB
- * @param {Object} options - Configuration options for location retrieval
- * @param {boolean} options.forceFresh - Skip saved location, force GPS (default: false)
- * @param {Object} options.fallback - Default coordinates if all else fails (default: Cairo)
- * @param {boolean} options.throwOnError - Throw errors vs use fallback (default: false)
- * @param {number} options.timeout - GPS timeout in milliseconds (default: 10000)
- * @returns {Promise<Object>} Location coordinates {lat, lng}
+ * Create a continuous location tracker built on watchPosition
+ * Filters out noisy fixes before handing them to the caller
+ *
+ * @param {Object} options - Tracker configuration
+ * @param {Function} options.onPoint - Called with each accepted point
+ *   {lat, lng, accuracy, timestamp, speed, heading}
+ * @param {Function} options.onError - Called with an Error when tracking fails
+ * @param {number} options.maxAccuracy - Reject fixes less accurate than this, in meters (default: 50)
+ * @param {number} options.minDistance - Reject fixes closer than this to the last accepted point, in meters (default: 5)
+ * @param {boolean} options.enableHighAccuracy - Request high accuracy GPS (default: true)
+ * @param {number} options.timeout - Maximum time per fix in milliseconds (default: 20000)
+ * @returns {{start: Function, stop: Function, isActive: Function}} Tracker controls
+ *
+ * Filtering Strategy:
+ * - Accuracy: drop fixes whose error radius exceeds maxAccuracy
+ * - Distance: drop fixes that moved less than minDistance (GPS jitter while standing still)
+ * - The first accurate fix is always accepted
  */
-export const getLocationWithFallback = async (getLocation, options = {}) => {
-    // Extract options with defaults optimized for user experience
+export const createLocationTracker = (options = {}) => {
     const {
-        forceFresh = false,                        // Usually prefer saved location for speed
-        fallback = { lat: 30.033, lng: 31.233 }, // Cairo, Egypt - central location
-        throwOnError = false,                     // Graceful degradation by default
-        timeout = 10000                          // 10 second GPS timeout
+        onPoint = () => {},
+        onError = () => {},
+        maxAccuracy = 50,         // Urban GPS is typically 5-30m; worse is usually cell/WiFi
+        minDistance = 5,          // Ignore sub-5m movement to suppress jitter
+        enableHighAccuracy = true,
+        timeout = 20000           // Longer than one-shot fixes - tracking tolerates slow fixes
     } = options;
 
-    try {
-        // STRATEGY 1: Try saved location first (unless forcing fresh GPS)
-        if (!forceFresh) {
-            // Attempt to get previously saved location from IndexedDB
-            const saved = await getLocation({
-                forceFresh: false,    // Use saved data
-                fallback,            // Fallback if no saved location
-                throwOnError: false  // Don't throw errors at this stage
-            });
+    // TRACKER STATE: Active watch id and last accepted point for distance filtering
+    let watchId = null;
+    let lastPoint = null;
 
-            // Validate that we got valid coordinates
-            if (saved && saved.lat && saved.lng) {
-                return saved; // Fast path - use saved location
-            }
-        }
+    const handlePosition = (position) => {
+        const { coords } = position;
+        const point = {
+            lat: coords.latitude,
+            lng: coords.longitude,
+            accuracy: coords.accuracy,
+            timestamp: position.timestamp,
+            speed: coords.speed,     // m/s, null when the device does not report it
+            heading: coords.heading  // degrees from north, null when stationary or unknown
+        };
 
-        // STRATEGY 2: Get fresh GPS location
-        // This is slower but more accurate, used when:
-        // - No saved location exists
-        // - User explicitly requested fresh location
-        const gpsLocation = await getCurrentLocationGPS({ timeout });
+        // ACCURACY FILTER: Skip imprecise fixes
+        if (point.accuracy > maxAccuracy) return;
 
-        // Return simplified coordinate object (strip metadata like accuracy)
-        return {
-            lat: gpsLocation.lat,
-            lng: gpsLocation.lng
-        };
+        // DISTANCE FILTER: Skip fixes that barely moved
+        if (lastPoint && haversineDistance(lastPoint, point) < minDistance) return;
 
-    } catch (error) {
-        // STRATEGY 3: Error handling and fallback
-        if (throwOnError) {
-            // Caller wants to handle errors explicitly
-            throw error;
-        }
+        lastPoint = point;
+        onPoint(point);
+    };
 
-        // Log warning for debugging but don't break user experience
-        console.warn('Location access failed, using fallback:', error.message);
+    const handleError = (error) => {
+        onError(toGeolocationError(error));
+    };
 
-        // Return fallback coordinates so app continues to work
-        return fallback;
-    }
+    return {
+        /**
+         * Start watching the device position (no-op if already active)
+         * @throws {Error} If geolocation is not supported
+         */
+        start() {
+            if (watchId !== null) return;
+            if (!navigator.geolocation) {
+                throw new Error('Geolocation is not supported by this browser');
+            }
+
+            lastPoint = null;
+            watchId = navigator.geolocation.watchPosition(handlePosition, handleError, {
+                enableHighAccuracy,
+                timeout,
+                maximumAge: 0 // Tracking always wants fresh fixes
+            });
+        },
+
+        /**
+         * Stop watching the device position
+         */
+        stop() {
+            if (watchId === null) return;
+            navigator.geolocation.clearWatch(watchId);
+            watchId = null;
+        },
+
+        /**
+         * @returns {boolean} Whether the tracker is currently watching
+         */
+        isActive() {
+            return watchId !== null;
+        }
+    };
 };
 
 /**
@@ -0,0 +1,177 @@
+/**
+ * Map provider registry
+ * Selects and lazily loads the map rendering backend used by the map component
+ *
+ * This module provides:
+ * - The provider interface shared by every map backend (documented below)
+ * - Configuration from environment variables (provider id, API key, tile server URL)
+ * - Lazy loading so only the selected provider's code is downloaded
+ *
+ * Available providers:
+ * - 'google': Google Maps JavaScript API (requires VITE_GOOGLE_MAPS_API_KEY)
+ * - 'tiles':  Raster XYZ tiles rendered with Leaflet (OpenStreetMap or a self-hosted tile server)
+ */
+
+import { DEFAULT_TILE_URL } from './tileCache.js';
+
+/**
+ * @typedef {Object} LatLng
+ * @property {number} lat - Latitude in decimal degrees
+ * @property {number} lng - Longitude in decimal degrees
+ */
+
+/**
+ * @typedef {Object} Bounds
+ * @property {number} north - Northern latitude edge
+ * @property {number} south - Southern latitude edge
+ * @property {number} east - Eastern longitude edge
+ * @property {number} west - Western longitude edge (greater than east when crossing the antimeridian)
+ */
+
+/**
+ * @typedef {Object} MarkerHandle
+ * @property {Object} native - Underlying provider marker (escape hatch)
+ * @property {() => LatLng} getPosition - Current marker position
+ * @property {(position: LatLng) => void} setPosition - Move the marker
+ * @property {(event: 'dragstart'|'drag'|'dragend'|'click', handler: Function) => Function} on
+ *   Subscribe ('drag' fires continuously while dragging); returns unsubscribe
+ * @property {() => void} remove - Remove the marker from the map
+ */
+
+/**
+ * @typedef {Object} PolylineHandle
+ * @property {Object} native - Underlying provider polyline (escape hatch)
+ * @property {(path: LatLng[]) => void} setPath - Replace the vertices
+ * @property {() => void} remove - Remove the polyline from the map
+ */
+
+/**
+ * @typedef {Object} PolygonHandle
+ * @property {Object} native - Underlying provider polygon (escape hatch)
+ * @property {(path: LatLng[]) => void} setPath - Replace the vertices (open ring)
+ * @property {() => void} remove - Remove the polygon from the map
+ */
+
+/**
+ * @typedef {Object} CircleHandle
+ * @property {Object} native - Underlying provider circle (escape hatch)
+ * @property {(position: LatLng) => void} setCenter - Move the circle
+ * @property {(radius: number) => void} setRadius - Change the radius in meters
+ * @property {() => void} remove - Remove the circle from the map
+ */
+
+/**
+ * @typedef {Object} ShapeStyle
+ * @property {string} [color] - Stroke and fill color
+ * @property {number} [weight] - Stroke width in pixels
+ * @property {number} [fillOpacity] - Fill opacity (0-1)
+ */
+
+/**
+ * @typedef {Object} MapHandle
+ * @property {Object} native - Underlying provider map (escape hatch)
+ * @property {() => LatLng} getCenter - Current map center
+ * @property {(position: LatLng) => void} panTo - Smoothly move the map center
+ * @property {() => number} getZoom - Current zoom level
+ * @property {(zoom: number) => void} setZoom - Change the zoom level
+ * @property {() => Bounds|null} getBounds - Visible area, null before the first render
+ * @property {(bounds: Bounds) => void} fitBounds - Show the given area
+ * @property {(event: 'click'|'moveend'|'zoomend'|'dragstart', handler: Function) => Function} on
+ *   Subscribe to a map event ('click' handlers receive a LatLng); returns unsubscribe
+ * @property {(options: {position: LatLng, draggable?: boolean, title?: string, content?: HTMLElement, anchor?: 'bottom'|'center', interactive?: boolean}) => MarkerHandle} createMarker
+ *   Custom content sits above the position by default ('bottom'); 'center' centers it on the position.
+ *   Non-interactive markers let clicks and drags through to the map and other markers.
+ * @property {(options: {path: LatLng[], color?: string, weight?: number, opacity?: number}) => PolylineHandle} createPolyline
+ * @property {(options: {center: LatLng, radius: number} & ShapeStyle) => CircleHandle} createCircle
+ *   Draw a circle with a radius in meters
+ * @property {(options: {path: LatLng[]} & ShapeStyle) => PolygonHandle} createPolygon
+ *   Draw a closed polygon (path is an open ring - the last vertex connects to the first)
+ * @property {() => void} destroy - Tear down the map and its listeners
+ */
+
+/**
+ * @typedef {Object} MapProvider
+ * @property {string} id - Provider id ('google' or 'tiles')
+ * @property {() => Promise<void>} load - Load provider scripts/styles (idempotent)
+ * @property {(element: HTMLElement, options: {center: LatLng, zoom?: number}) => Promise<MapHandle>} createMap
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Attribution required by the default tile server's license
+const DEFAULT_TILE_ATTRIBUTION =
+	'&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+/**
+ * Read map provider configuration from Vite environment variables
+ *
+ * @returns {Object} Provider configuration
+ *
+ * Environment Variables:
+ * - VITE_MAP_PROVIDER: 'google', 'tiles' or 'auto' (default: 'auto' - Google when a key is set)
+ * - VITE_GOOGLE_MAPS_API_KEY: Google Maps API key
+ * - VITE_GOOGLE_MAP_ID: Google map id for AdvancedMarkerElement (default: 'DEMO_MAP_ID')
+ * - VITE_TILE_URL: XYZ tile URL template with {z}/{x}/{y} (and optional {s}) placeholders
+ * - VITE_TILE_ATTRIBUTION: Attribution HTML shown for the tile layer
+ * - VITE_TILE_MAX_ZOOM: Highest zoom level the tile server provides (default: 19)
+ */
+export const getMapConfig = () => {
+	const env = import.meta.env;
+	return {
+		provider: env.VITE_MAP_PROVIDER || 'auto',
+		google: {
+			apiKey: env.VITE_GOOGLE_MAPS_API_KEY,
+			mapId: env.VITE_GOOGLE_MAP_ID || 'DEMO_MAP_ID'
+		},
+		tiles: {
+			url: env.VITE_TILE_URL || DEFAULT_TILE_URL,
+			attribution: env.VITE_TILE_ATTRIBUTION || DEFAULT_TILE_ATTRIBUTION,
+			maxZoom: +env.VITE_TILE_MAX_ZOOM || 19
+		}
+	};
+};
+
+/**
+ * Resolve which provider id a configuration selects
+ * 'auto' prefers Google when an API key is present, otherwise raster tiles
+ *
+ * @param {Object} config - Configuration from getMapConfig
+ * @returns {'google'|'tiles'} Provider id
+ */
+export const resolveProviderId = (config) => {
+	if (config.provider === 'google' || config.provider === 'tiles') {
+		return config.provider;
+	}
+	return config.google.apiKey ? 'google' : 'tiles';
+};
+
+// ============================================================================
+// PROVIDER FACTORY
+// ============================================================================
+
+/**
+ * Create the configured map provider
+ * Provider modules are imported dynamically so only the selected backend is downloaded
+ *
+ * @param {Object} config - Configuration (default: getMapConfig())
+ * @param {string} [providerId] - Force a provider id instead of resolving from config
+ * @returns {Promise<MapProvider>} Provider instance (not yet loaded)
+ */
+export const createMapProvider = async (config = getMapConfig(), providerId) => {
+	const id = providerId || resolveProviderId(config);
+
+	switch (id) {
+		case 'google': {
+			const { createGoogleMapsProvider } = await import('./googleMapsProvider.js');
+			return createGoogleMapsProvider(config.google);
+		}
+		case 'tiles': {
+			const { createTileMapProvider } = await import('./tileMapProvider.js');
+			return createTileMapProvider(config.tiles);
+		}
+		default:
+			throw new Error(`Unknown map provider: ${id}`);
+	}
+};
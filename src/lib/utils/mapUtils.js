@@ -1,146 +1,62 @@
 /**
- * Google Maps utility functions
- * Handles Google Maps API loading, map initialization, and    // DYNAMIC IMPORT: Load Maps library asynchronously for better performance
-    const { Map } = await window.google.maps.importLibrary('maps');
-    
-    // DYNAMIC IMPORT: Load Advanced Markers library (replaces deprecated Marker)
-    const { AdvancedMarkerElement } = await window.google.maps.importLibrary('marker');
-
-    // MAP CREATION: Initialize map with user-friendly configuration
-    const map = new Map(mapDiv, {
-        center,                    // Where to center the map initially
-        zoom: 15,                 // Zoom level (1=world, 20=building level)
-        gestureHandling: 'greedy', // Allow single-finger pan/zoom (mobile-friendly)
-        mapId: 'DEMO_MAP_ID'      // Required for AdvancedMarkerElement
-    });
-
-    // MARKER CREATION: Add draggable marker using new AdvancedMarkerElement API
-    // FIX: Replaced deprecated google.maps.Marker with AdvancedMarkerElement
-    const marker = new AdvancedMarkerElement({
-        position: center,      // Initial marker position
-        map,                  // Associate with our map instance
-        gmpDraggable: true,   // Allow user to drag marker to new location (new API property)
-        title: 'Your Location' // Tooltip text on hover
-    });
+ * Map utility functions
+ * Provider-agnostic helpers for map initialization and interactions
  * 
  * This module provides:
- * - Asynchronous Google Maps API loading with performance optimization
- * - Map and marker initialization with best practices
+ * - Map and marker initialization through the configured map provider
  * - Event handling for user interactions (marker dragging)
  * - Reactive map updates when location data changes
+ * - Polyline helpers for drawing recorded tracks
+ * - Zone drawing for geofences (circles and polygons)
+ * - Device position indicator with accuracy radius and heading cone
  * - Error handling and cleanup for robust map functionality
+ *
+ * All functions operate on the handles returned by a map provider
+ * (see mapProviders.js), so they work with Google Maps and raster tiles alike.
  */
 
 /**
- * Load Google Maps JavaScript API with performance-optimized async loading
- * Uses dynamic script injection with callback-based loading to prevent blocking
- * Implements proper cleanup and error handling for production use
- * 
- * @param {string} apiKey - Google Maps API key from environment variables
- * @returns {Promise<void>} Resolves when API is loaded and ready to use
- * 
- * Loading Strategy:
- * - Check if already loaded (prevents duplicate loading)
- * - Validate API key exists (fail fast on configuration errors)
- * - Use async/defer script loading (non-blocking)
- * - Global callback cleanup (prevents memory leaks)
- * - Error handling for network/API failures
- */
-export const loadGoogleMapsAPI = (apiKey) => {
-    return new Promise((resolve, reject) => {
-        // OPTIMIZATION: Check if Google Maps is already loaded
-        // Prevents duplicate script injection and unnecessary network requests
-        if (window.google && window.google.maps) {
-            resolve();
-            return;
-        }
-
-        // VALIDATION: Ensure API key is configured
-        // Fail fast if environment variable is missing
-        if (!apiKey) {
-            reject(new Error('Google Maps API key not configured.'));
-            return;
-        }
-
-        // SCRIPT INJECTION: Create script element for Google Maps API
-        const script = document.createElement('script');
-
-        // API URL with callback parameter for async loading notification
-        // FIX: Add loading=async for optimal performance as recommended by Google
-        script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&loading=async&libraries=marker&callback=initMap`;
-
-        // PERFORMANCE: Non-blocking script loading
-        script.async = true;  // Download script in parallel with page parsing
-        script.defer = true;  // Execute script after HTML parsing is complete
-
-        // CALLBACK SETUP: Global callback for when API finishes loading
-        // Google Maps calls this function when ready
-        window.initMap = () => {
-            // CLEANUP: Remove global callback to prevent memory leaks
-            delete window.initMap;
-            resolve(); // Notify Promise that loading is complete
-        };
-
-        // ERROR HANDLING: Network or API loading failures
-        script.onerror = () => {
-            // CLEANUP: Remove callback on error
-            delete window.initMap;
-            reject(new Error('Failed to load Google Maps.'));
-        };
-
-        // INJECTION: Add script to document head to start loading
-        document.head.appendChild(script);
-    });
-};
-
-/**
- * Initialize Google Maps instance with marker using modern API patterns
- * Creates a fully functional interactive map with user location marker
- * Uses Google Maps' new library import system for better performance
+ * Initialize a map instance with the user location marker
+ * Creates a fully functional interactive map through the given provider
  * 
+ * @param {Object} provider - Map provider from createMapProvider (see mapProviders.js)
  * @param {HTMLElement} mapDiv - DOM element to render the map into
  * @param {Object} center - Initial map center coordinates
  * @param {number} center.lat - Latitude for map center
  * @param {number} center.lng - Longitude for map center
- * @returns {Promise<{map: Object, marker: Object}>} Map and marker instances
+ * @param {Object} options - Map options
+ * @param {number} options.zoom - Initial zoom level (default: 15)
+ * @param {Object} options.view - Initial view center when it differs from the marker (default: center)
+ * @param {boolean} options.draggable - Whether the user can drag the marker (default: true)
+ * @returns {Promise<{map: Object, marker: Object}>} Map and marker handles
  * 
  * Map Configuration:
  * - Zoom level 15 (neighborhood level detail)
- * - Greedy gesture handling (single finger pan/zoom)
- * - Draggable marker for user interaction
+ * - Draggable marker for user interaction (unless disabled)
  * - Optimized for mobile and desktop use
  */
-export const initializeMap = async (mapDiv, center) => {
-    // VALIDATION: Ensure Google Maps API is loaded and available
-    if (!window.google || !window.google.maps) {
-        throw new Error('Google Maps library not available');
+export const initializeMap = async (
+    provider,
+    mapDiv,
+    center,
+    { zoom = 15, view = center, draggable = true } = {}
+) => {
+    // VALIDATION: Ensure a provider was selected
+    if (!provider) {
+        throw new Error('Map provider not available');
     }
 
-    // MODERN API: Import only the Map library (performance optimization)
-    // Google's new approach loads libraries on-demand rather than everything upfront
-    const { Map } = await window.google.maps.importLibrary('maps');
-
-    // DYNAMIC IMPORT: Load Advanced Markers library (replaces deprecated Marker)
-    const { AdvancedMarkerElement } = await window.google.maps.importLibrary('marker');
-
-    // MAP CREATION: Initialize map with user-friendly configuration
-    const map = new Map(mapDiv, {
-        center,                    // Where to center the map initially
-        zoom: 15,                 // Zoom level (1=world, 20=building level)
-        gestureHandling: 'greedy', // Allow single-finger pan/zoom (mobile-friendly)
-        mapId: 'DEMO_MAP_ID'      // Required for AdvancedMarkerElement
-    });
+    // MAP CREATION: Provider loads its library on demand and renders into mapDiv
+    const map = await provider.createMap(mapDiv, { center: view, zoom });
 
-    // MARKER CREATION: Add draggable marker using new AdvancedMarkerElement API
-    // FIX: Replaced deprecated google.maps.Marker with AdvancedMarkerElement
-    const marker = new AdvancedMarkerElement({
+    // MARKER CREATION: Add draggable marker the user can move to a new location
+    const marker = map.createMarker({
         position: center,      // Initial marker position
-        map,                  // Associate with our map instance
-        gmpDraggable: true,   // Allow user to drag marker to new location (new API property)
+        draggable,             // Allow user to drag marker to new location
         title: 'Your Location' // Tooltip text on hover
     });
 
-    // RETURN: Both instances for external manipulation
+    // RETURN: Both handles for external manipulation
     return { map, marker };
 };
 
@@ -149,18 +65,21 @@ export const initializeMap = async (mapDiv, center) => {
  * Prevents excessive save operations while user is actively dragging marker
  * Implements smooth user experience with automatic location persistence
  * 
- * @param {Object} marker - Google Maps marker instance to attach events to
- * @param {Function} saveCallback - Function to call when marker position changes
+ * @param {Object} marker - Marker handle to attach events to
+ * @param {Function} saveCallback - Called with (newLocation, previousLocation) when the marker
+ *   position changes; previousLocation is where the marker was before the drag (for undo)
  * @param {number} debounceMs - Debounce delay in milliseconds (default: 250ms)
+ * @returns {Function} Unsubscribe function removing the listeners
  * 
  * Debouncing Strategy:
  * - Wait for user to stop dragging before saving
  * - Cancel previous save if user continues dragging
  * - Balance between responsiveness and performance
  * - Prevent database spam during continuous drag operations
+ * - Drags merged by the debounce report the position before the first of them
  * 
  * Event Flow:
- * 1. User starts dragging marker
+ * 1. User starts dragging marker - 'dragstart' remembers the starting position
  * 2. 'dragend' event fires when drag stops
  * 3. Start debounce timer
  * 4. If another drag happens, cancel previous timer
@@ -170,27 +89,34 @@ export const setupMarkerEvents = (marker, saveCallback, debounceMs = 250) => {
     // DEBOUNCE STATE: Track timeout for cancellation
     let saveTimeout;
 
+    // DRAG ORIGIN: Position before the current (possibly merged) drag, null when idle
+    let previousLocation = null;
+
+    const stopStart = marker.on('dragstart', (position) => {
+        previousLocation ??= position;
+    });
+
     // EVENT LISTENER: React to marker drag completion
-    // FIX: AdvancedMarkerElement uses different event handling syntax
-    marker.addListener('dragend', () => {
+    // The handle passes the normalized {lat, lng} of the new position
+    const stopEnd = marker.on('dragend', (newLocation) => {
         // DEBOUNCE: Cancel any pending save operation
         clearTimeout(saveTimeout);
 
-        // COORDINATE EXTRACTION: Get new position from AdvancedMarkerElement
-        // AdvancedMarkerElement stores position directly, not in event.latLng
-        const position = marker.position;
-        const newLocation = {
-            lat: position.lat, // Direct property access for AdvancedMarkerElement
-            lng: position.lng  // Direct property access for AdvancedMarkerElement
-        };
-
         // DEBOUNCED SAVE: Wait for drag activity to settle before saving
         saveTimeout = setTimeout(() => {
+            const from = previousLocation;
+            previousLocation = null;
             // CALLBACK: Notify parent component of location change
             // This typically saves to IndexedDB and updates component state
-            saveCallback(newLocation);
+            saveCallback(newLocation, from);
         }, debounceMs);
     });
+
+    return () => {
+        clearTimeout(saveTimeout);
+        stopStart();
+        stopEnd();
+    };
 };
 
 /**
@@ -198,8 +124,8 @@ export const setupMarkerEvents = (marker, saveCallback, debounceMs = 250) => {
  * Smoothly animates map to new location when component state changes
  * Prevents unnecessary updates by comparing current vs new positions
  * 
- * @param {Object} map - Google Maps instance to update
- * @param {Object} marker - Google Maps marker to reposition
+ * @param {Object} map - Map handle to update
+ * @param {Object} marker - Marker handle to reposition
  * @param {Object} center - New center coordinates to move to
  * @param {number} center.lat - Target latitude
  * @param {number} center.lng - Target longitude
@@ -219,26 +145,20 @@ export const setupMarkerEvents = (marker, saveCallback, debounceMs = 250) => {
  */
 export const updateMapPosition = (map, marker, center) => {
     try {
-        // COORDINATE CONVERSION: Ensure numeric values and create LatLng object
+        // COORDINATE CONVERSION: Ensure numeric values
         // Handle both string and number inputs from different data sources
-        const pos = new window.google.maps.LatLng(+center.lat, +center.lng);
+        const pos = { lat: +center.lat, lng: +center.lng };
 
         // CURRENT POSITION: Get marker's existing position for comparison
-        // AdvancedMarkerElement uses .position property directly
-        const currentPos = marker.position;
+        const currentPos = marker.getPosition();
 
         // CHANGE DETECTION: Only update if position actually changed
-        // AdvancedMarkerElement position is a LatLng object with direct properties
-        const currentLat = currentPos ? currentPos.lat : null;
-        const currentLng = currentPos ? currentPos.lng : null;
-
-        if (!currentPos || (pos.lat() !== currentLat || pos.lng() !== currentLng)) {
+        if (!currentPos || pos.lat !== currentPos.lat || pos.lng !== currentPos.lng) {
             // MARKER UPDATE: Move marker to new position
-            // AdvancedMarkerElement uses .position property assignment
-            marker.position = pos;
+            marker.setPosition(pos);
 
             // MAP ANIMATION: Smoothly pan map to center on new position
-            // Uses Google's smooth animation instead of instant jump
+            // Uses the provider's smooth animation instead of instant jump
             map.panTo(pos);
         }
 
@@ -248,3 +168,120 @@ export const updateMapPosition = (map, marker, center) => {
         console.error('Map update error:', error);
     }
 };
+
+/**
+ * Draw a polyline on the map (used for recorded tracks)
+ *
+ * @param {Object} map - Map handle to draw on
+ * @param {Array<{lat: number, lng: number}>} path - Ordered vertices
+ * @param {Object} options - Optional stroke overrides (color, weight, opacity)
+ * @returns {Object} Polyline handle
+ */
+export const drawPolyline = (map, path, options = {}) => {
+    return map.createPolyline({
+        path,
+        color: '#4285f4', // Matches the location button color
+        weight: 4,
+        opacity: 0.9,
+        ...options
+    });
+};
+
+/**
+ * Replace the vertices of an existing polyline
+ *
+ * @param {Object} polyline - Polyline handle created by drawPolyline
+ * @param {Array<{lat: number, lng: number}>} path - New ordered vertices
+ */
+export const updatePolyline = (polyline, path) => {
+    polyline.setPath(path);
+};
+
+/**
+ * Remove a polyline from its map
+ *
+ * @param {Object} polyline - Polyline handle created by drawPolyline
+ */
+export const removePolyline = (polyline) => {
+    polyline.remove();
+};
+
+/**
+ * Build the user position element: a dot with a direction cone shown while heading is known
+ *
+ * @returns {HTMLElement} Marker content (styled in Map.css)
+ */
+const createUserPositionElement = () => {
+    const element = document.createElement('div');
+    element.className = 'user-position';
+    element.innerHTML = '<div class="user-position-cone"></div><div class="user-position-dot"></div>';
+    return element;
+};
+
+/**
+ * Draw the device position with its accuracy radius and heading
+ * Kept separate from the draggable pick marker - this one only shows where the device is
+ *
+ * @param {Object} map - Map handle to draw on
+ * @param {Object} fix - Position {lat, lng, accuracy, heading, speed} (see locationService.js)
+ * @returns {{update: Function, remove: Function}} Handle to move or remove the indicator
+ *
+ * Display Strategy:
+ * - Accuracy: a translucent circle with the reported radius in meters (hidden when unknown)
+ * - Heading: a cone rotated clockwise from north, only while the device reports a heading
+ *   and is moving (browsers report heading as NaN/null when stationary)
+ */
+export const drawUserPosition = (map, fix) => {
+    const element = createUserPositionElement();
+    const marker = map.createMarker({
+        position: fix,
+        title: 'Your position',
+        content: element,
+        anchor: 'center',
+        interactive: false // Never steal drags from the pick marker
+    });
+    const circle = map.createCircle({
+        center: fix,
+        radius: 0,
+        color: '#4285f4', // Matches the location button color
+        weight: 1,
+        fillOpacity: 0.12
+    });
+
+    const update = (next) => {
+        marker.setPosition(next);
+        circle.setCenter(next);
+        circle.setRadius(Number.isFinite(next.accuracy) ? next.accuracy : 0);
+
+        // HEADING: Only meaningful while moving
+        const hasHeading = Number.isFinite(next.heading) && !(next.speed === 0);
+        element.classList.toggle('has-heading', hasHeading);
+        if (hasHeading) element.style.setProperty('--heading', `${next.heading}deg`);
+    };
+
+    update(fix);
+
+    return {
+        update,
+        remove: () => {
+            marker.remove();
+            circle.remove();
+        }
+    };
+};
+
+/**
+ * Draw a geofence zone (circle or polygon) on the map
+ *
+ * @param {Object} map - Map handle to draw on
+ * @param {Object} zone - Zone record (see createZone in indexedDB.js)
+ * @param {Object} options - Optional style overrides (color, weight, fillOpacity)
+ * @returns {Object} Shape handle with remove()
+ */
+export const drawZone = (map, zone, options = {}) => {
+    const style = { color: '#7b1fa2', weight: 2, fillOpacity: 0.12, ...options };
+
+    return zone.type === 'circle'
+        ? map.createCircle({ center: zone.center, radius: zone.radius, ...style })
+        : map.createPolygon({ path: zone.path, ...style });
+};
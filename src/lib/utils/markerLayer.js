@@ -0,0 +1,300 @@
+/**
+ * Clustered marker layer
+ * Shows large point sets (thousands of saved places or imported waypoints) without
+ * creating a map marker per point
+ *
+ * This module provides:
+ * - Grid clustering in screen space, computed once per zoom level and cached
+ * - Viewport culling - only clusters and points inside the visible area become markers
+ * - Incremental updates - markers that stay visible are reused between map moves
+ * - Cluster clicks zoom to the cluster's bounds; point clicks are reported to the caller
+ *
+ * Works on any MapHandle (see mapProviders.js), so Google Maps and raster tiles
+ * cluster identically.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Cluster cell size in screen pixels - points closer than this merge at a given zoom
+const DEFAULT_CLUSTER_RADIUS = 60;
+
+// Above this zoom every point is shown on its own
+const DEFAULT_MAX_CLUSTER_ZOOM = 17;
+
+// Extra margin around the viewport (fraction of its size) so short pans do not pop markers in
+const DEFAULT_VIEWPORT_PADDING = 0.25;
+
+// Size of the world in pixels at zoom 0 (256px Web Mercator tiles, shared by both providers)
+const TILE_SIZE = 256;
+
+// Web Mercator latitude limit - points beyond it are clamped onto the map edge
+const MAX_LATITUDE = 85.05112878;
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+/**
+ * Project a point onto the unit Web Mercator square (x, y in 0-1, y grows southward)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{x: number, y: number}} Normalized world coordinates
+ */
+const project = (lat, lng) => {
+	const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+	const sin = Math.sin((clamped * Math.PI) / 180);
+	return {
+		x: ((((lng + 180) % 360) + 360) % 360) / 360,
+		y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+	};
+};
+
+/**
+ * Group points into clusters for one zoom level
+ *
+ * @param {Object[]} points - Points with {id, lat, lng} (any other fields are passed through)
+ * @param {number} zoom - Integer zoom level
+ * @param {Object} options - Clustering options
+ * @param {number} options.radius - Cell size in pixels (default: 60)
+ * @param {number} options.maxClusterZoom - No clustering above this zoom (default: 17)
+ * @returns {Object[]} Clusters {key, lat, lng, count, bounds, points}; a cluster of one is
+ *   keyed by its point id, so a lone point keeps its marker across zoom levels
+ *
+ * Grid Strategy:
+ * - The world is cut into radius-sized pixel cells at this zoom; each cell is one cluster
+ * - Cluster position is the mean of its points (not the cell center), so it sits on the data
+ * - O(n) per zoom level - simpler and faster to build than a hierarchical index, at the cost
+ *   of clusters occasionally splitting across a cell edge
+ */
+export const clusterPoints = (points, zoom, options = {}) => {
+	const { radius = DEFAULT_CLUSTER_RADIUS, maxClusterZoom = DEFAULT_MAX_CLUSTER_ZOOM } = options;
+	const cellsPerSide = zoom > maxClusterZoom ? Infinity : (TILE_SIZE * 2 ** zoom) / radius;
+
+	const cells = new Map();
+	for (const point of points) {
+		const lat = +point.lat;
+		const lng = +point.lng;
+		if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+		// GRID CELL: Above maxClusterZoom every point is its own cell
+		const { x, y } = project(lat, lng);
+		const key = Number.isFinite(cellsPerSide)
+			? `${zoom}:${Math.floor(x * cellsPerSide)}:${Math.floor(y * cellsPerSide)}`
+			: `point:${point.id}`;
+
+		let cell = cells.get(key);
+		if (!cell) {
+			cell = {
+				key,
+				latSum: 0,
+				lngSum: 0,
+				bounds: { north: lat, south: lat, east: lng, west: lng },
+				points: []
+			};
+			cells.set(key, cell);
+		}
+		cell.latSum += lat;
+		cell.lngSum += lng;
+		cell.bounds.north = Math.max(cell.bounds.north, lat);
+		cell.bounds.south = Math.min(cell.bounds.south, lat);
+		cell.bounds.east = Math.max(cell.bounds.east, lng);
+		cell.bounds.west = Math.min(cell.bounds.west, lng);
+		cell.points.push(point);
+	}
+
+	return [...cells.values()].map(({ key, latSum, lngSum, bounds, points: members }) => ({
+		key: members.length === 1 ? `point:${members[0].id}` : `cluster:${key}`,
+		lat: latSum / members.length,
+		lng: lngSum / members.length,
+		count: members.length,
+		bounds,
+		points: members
+	}));
+};
+
+/**
+ * Whether a position lies inside bounds grown by a fraction of their size
+ * @param {Object} position - {lat, lng}
+ * @param {Object} bounds - {north, south, east, west} (west > east crosses the antimeridian)
+ * @param {number} padding - Fraction of the bounds size added on every side
+ * @returns {boolean} True when visible (or nearly visible)
+ */
+const isInView = (position, bounds, padding) => {
+	const latPad = (bounds.north - bounds.south) * padding;
+	if (position.lat > bounds.north + latPad || position.lat < bounds.south - latPad) return false;
+
+	// Longitudes are measured eastward from the west edge, which handles the antimeridian
+	const width = (bounds.east - bounds.west + 360) % 360 || 360;
+	const lngPad = width * padding;
+	if (width + 2 * lngPad >= 360) return true;
+	const offset = (((position.lng - bounds.west + lngPad) % 360) + 360) % 360;
+	return offset <= width + 2 * lngPad;
+};
+
+/**
+ * Short count label for a cluster bubble
+ * @param {number} count - Number of points
+ * @returns {string} e.g. "42", "1.2k", "15k"
+ */
+const formatCount = (count) => {
+	if (count < 1000) return String(count);
+	const thousands = count / 1000;
+	return `${thousands < 10 ? thousands.toFixed(1).replace(/\.0$/, '') : Math.round(thousands)}k`;
+};
+
+// ============================================================================
+// MARKER CONTENT
+// ============================================================================
+
+/**
+ * Build the content for a cluster bubble or a single point (styled in Map.css)
+ * @param {Object} cluster - Cluster from clusterPoints
+ * @returns {HTMLElement} Marker content
+ */
+const createMarkerElement = (cluster) => {
+	const element = document.createElement('div');
+	if (cluster.count === 1) {
+		element.className = 'layer-point';
+		return element;
+	}
+
+	// SIZE: Bigger bubbles for bigger clusters so dense areas stand out
+	const size = cluster.count < 10 ? 'small' : cluster.count < 100 ? 'medium' : 'large';
+	element.className = `layer-cluster layer-cluster-${size}`;
+	element.textContent = formatCount(cluster.count);
+	return element;
+};
+
+// ============================================================================
+// MARKER LAYER
+// ============================================================================
+
+/**
+ * Create a clustered marker layer on a map
+ *
+ * @param {Object} map - MapHandle to draw on
+ * @param {Object} options - Layer configuration
+ * @param {Function} options.onSelect - Called with the point record when a single point is clicked
+ * @param {Function} options.getTitle - Tooltip for a point (default: its name)
+ * @param {number} options.radius - Cluster cell size in pixels (default: 60)
+ * @param {number} options.maxClusterZoom - Show every point above this zoom (default: 17)
+ * @param {number} options.padding - Viewport margin as a fraction of its size (default: 0.25)
+ * @returns {{setPoints: Function, refresh: Function, destroy: Function}} Layer controls
+ *
+ * Rendering Strategy:
+ * - Clusters are computed per integer zoom on first use and cached until the points change
+ * - After every map move, visible clusters are diffed against the materialized markers by key:
+ *   new ones are created, vanished ones removed, unchanged ones left alone
+ * - Marker count is bounded by the viewport, not the data set
+ */
+export const createMarkerLayer = (map, options = {}) => {
+	const {
+		onSelect = () => {},
+		getTitle = (point) => point.name ?? '',
+		radius = DEFAULT_CLUSTER_RADIUS,
+		maxClusterZoom = DEFAULT_MAX_CLUSTER_ZOOM,
+		padding = DEFAULT_VIEWPORT_PADDING
+	} = options;
+
+	// LAYER STATE: Current points, clusters per zoom and markers on the map by cluster key
+	let points = [];
+	const clustersByZoom = new Map();
+	const materialized = new Map();
+
+	const getClusters = (zoom) => {
+		if (!clustersByZoom.has(zoom)) {
+			clustersByZoom.set(zoom, clusterPoints(points, zoom, { radius, maxClusterZoom }));
+		}
+		return clustersByZoom.get(zoom);
+	};
+
+	const handleClusterClick = (cluster) => {
+		if (cluster.count === 1) {
+			onSelect(cluster.points[0]);
+			return;
+		}
+
+		const { north, south, east, west } = cluster.bounds;
+		if (north === south && east === west) {
+			// IDENTICAL POSITIONS: Fitting a zero-size box does nothing - zoom past clustering instead
+			map.panTo({ lat: north, lng: east });
+			map.setZoom(maxClusterZoom + 1);
+		} else {
+			map.fitBounds(cluster.bounds);
+		}
+	};
+
+	const materialize = (cluster) => {
+		const marker = map.createMarker({
+			position: cluster,
+			title:
+				cluster.count === 1
+					? getTitle(cluster.points[0])
+					: `${cluster.count} points - click to zoom in`,
+			content: createMarkerElement(cluster),
+			anchor: 'center'
+		});
+		const unsubscribe = marker.on('click', () => handleClusterClick(cluster));
+		return {
+			remove: () => {
+				unsubscribe();
+				marker.remove();
+			}
+		};
+	};
+
+	const refresh = () => {
+		const bounds = map.getBounds();
+		if (!bounds) return;
+
+		const zoom = Math.round(map.getZoom());
+		const visible = new Map();
+		for (const cluster of getClusters(zoom)) {
+			if (isInView(cluster, bounds, padding)) visible.set(cluster.key, cluster);
+		}
+
+		for (const [key, marker] of materialized) {
+			if (!visible.has(key)) {
+				marker.remove();
+				materialized.delete(key);
+			}
+		}
+		for (const [key, cluster] of visible) {
+			if (!materialized.has(key)) materialized.set(key, materialize(cluster));
+		}
+	};
+
+	const clearMarkers = () => {
+		materialized.forEach((marker) => marker.remove());
+		materialized.clear();
+	};
+
+	const stopRefresh = map.on('moveend', refresh);
+
+	return {
+		/**
+		 * Replace the layer's points and redraw
+		 * @param {Object[]} nextPoints - Points with {id, lat, lng}
+		 */
+		setPoints(nextPoints) {
+			points = nextPoints ?? [];
+			clustersByZoom.clear();
+			// Same keys may now hold different members, so start from scratch
+			clearMarkers();
+			refresh();
+		},
+
+		refresh,
+
+		/**
+		 * Remove every marker and stop listening to the map
+		 */
+		destroy() {
+			stopRefresh();
+			clearMarkers();
+			clustersByZoom.clear();
+		}
+	};
+};
@@ -0,0 +1,265 @@
+/**
+ * Measure tool
+ * Distance and area measurement drawn directly on the map
+ *
+ * This module provides:
+ * - Metric and imperial formatting for lengths and areas
+ * - Per-segment lengths, total length and enclosed area for a vertex list
+ * - An interactive map tool: clicks add vertices, vertices can be dragged or
+ *   clicked to delete, and the line or polygon is redrawn live
+ *
+ * The geodesic math lives in geometry.js; this module only combines and formats it.
+ */
+
+import { haversineDistance, polygonArea } from './geometry.js';
+
+// ============================================================================
+// UNITS AND FORMATTING
+// ============================================================================
+
+// Unit systems offered by the measure panel
+export const MEASURE_UNITS = [
+	{ id: 'metric', label: 'Metric (m, km)' },
+	{ id: 'imperial', label: 'Imperial (ft, mi)' }
+];
+
+// Conversion factors
+const METERS_PER_FOOT = 0.3048;
+const FEET_PER_MILE = 5280;
+const SQUARE_METERS_PER_HECTARE = 10000;
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+const ACRES_PER_SQUARE_MILE = 640;
+
+/**
+ * Round to a precision that suits the magnitude (3 significant digits, at most 2 decimals)
+ * @param {number} value - Value to round
+ * @returns {string} Localized number
+ */
+const formatNumber = (value) =>
+	value.toLocaleString(undefined, {
+		maximumFractionDigits: value >= 100 ? 0 : value >= 10 ? 1 : 2
+	});
+
+/**
+ * Format a length for display
+ *
+ * @param {number} meters - Length in meters
+ * @param {'metric'|'imperial'} units - Unit system (default: 'metric')
+ * @returns {string} e.g. "850 m", "12.4 km", "320 ft", "1.25 mi"
+ */
+export const formatLength = (meters, units = 'metric') => {
+	if (units === 'imperial') {
+		const feet = meters / METERS_PER_FOOT;
+		return feet < 1000 ? `${formatNumber(feet)} ft` : `${formatNumber(feet / FEET_PER_MILE)} mi`;
+	}
+	return meters < 1000 ? `${formatNumber(meters)} m` : `${formatNumber(meters / 1000)} km`;
+};
+
+/**
+ * Format an area for display
+ *
+ * @param {number} squareMeters - Area in square meters
+ * @param {'metric'|'imperial'} units - Unit system (default: 'metric')
+ * @returns {string} e.g. "640 m²", "3.2 ha", "14 km²", "0.75 ac", "2.1 mi²"
+ */
+export const formatArea = (squareMeters, units = 'metric') => {
+	if (units === 'imperial') {
+		const acres = squareMeters / SQUARE_METERS_PER_ACRE;
+		if (acres < 1) return `${formatNumber(squareMeters / METERS_PER_FOOT ** 2)} ft²`;
+		return acres < ACRES_PER_SQUARE_MILE
+			? `${formatNumber(acres)} ac`
+			: `${formatNumber(acres / ACRES_PER_SQUARE_MILE)} mi²`;
+	}
+
+	const hectares = squareMeters / SQUARE_METERS_PER_HECTARE;
+	if (hectares < 1) return `${formatNumber(squareMeters)} m²`;
+	return hectares < 100 ? `${formatNumber(hectares)} ha` : `${formatNumber(hectares / 100)} km²`;
+};
+
+// ============================================================================
+// MEASUREMENT
+// ============================================================================
+
+/**
+ * Measure a line or polygon
+ *
+ * @param {Array<{lat: number, lng: number}>} vertices - Vertices in drawing order
+ * @param {'line'|'polygon'} type - Open path or closed area
+ * @returns {{segments: number[], total: number, area: number}} Segment lengths and total in
+ *   meters (a polygon includes its closing edge once it has three vertices), area in square meters
+ */
+export const measureShape = (vertices, type) => {
+	const closed = type === 'polygon' && vertices.length >= 3;
+	const path = closed ? [...vertices, vertices[0]] : vertices;
+
+	const segments = [];
+	for (let i = 1; i < path.length; i++) {
+		segments.push(haversineDistance(path[i - 1], path[i]));
+	}
+
+	return {
+		segments,
+		total: segments.reduce((sum, length) => sum + length, 0),
+		area: closed ? polygonArea(vertices) : 0
+	};
+};
+
+// ============================================================================
+// MAP TOOL
+// ============================================================================
+
+// Drawing color - orange stands apart from tracks (blue) and zones (purple)
+const MEASURE_COLOR = '#e8710a';
+
+/**
+ * Build the content for a vertex handle (styled in Map.css)
+ * @returns {HTMLElement} Marker content
+ */
+const createVertexElement = () => {
+	const element = document.createElement('div');
+	element.className = 'measure-vertex';
+	return element;
+};
+
+/**
+ * Create the interactive measure tool
+ *
+ * @param {Object} map - MapHandle to draw on
+ * @param {Object} options - Tool configuration
+ * @param {Function} options.onChange - Called with a copy of the vertices after every change
+ * @returns {{start: Function, stop: Function, setType: Function, setVertices: Function, isActive: Function}}
+ *   Tool controls
+ *
+ * Interaction Strategy:
+ * - Map clicks append a vertex; clicking a vertex deletes it
+ * - Vertex markers are draggable and report every 'drag' event, so totals update live
+ * - Vertex markers are kept in step with the vertex list (never rebuilt mid-drag)
+ * - Polygons are filled once they have three vertices; the outline closes at the same time
+ */
+export const createMeasureTool = (map, options = {}) => {
+	const { onChange = () => {} } = options;
+
+	// TOOL STATE: Vertices, their markers, the drawn shapes and the map click subscription
+	let type = 'line';
+	let vertices = [];
+	let handles = [];
+	let outline = null;
+	let fill = null;
+	let stopClicks = null;
+
+	const redraw = () => {
+		const closed = type === 'polygon' && vertices.length >= 3;
+		outline.setPath(closed ? [...vertices, vertices[0]] : vertices);
+		fill.setPath(closed ? vertices : []);
+		onChange([...vertices]);
+	};
+
+	const addHandle = (position) => {
+		const marker = map.createMarker({
+			position,
+			draggable: true,
+			title: 'Drag to move, click to delete',
+			content: createVertexElement(),
+			anchor: 'center'
+		});
+		const handle = { marker, unsubscribers: [] };
+
+		const moveVertex = () => {
+			vertices[handles.indexOf(handle)] = marker.getPosition();
+			redraw();
+		};
+		handle.unsubscribers = [
+			marker.on('drag', moveVertex),
+			marker.on('dragend', moveVertex),
+			marker.on('click', () => removeVertex(handles.indexOf(handle)))
+		];
+		handles.push(handle);
+	};
+
+	const removeHandle = (handle) => {
+		handle.unsubscribers.forEach((unsubscribe) => unsubscribe());
+		handle.marker.remove();
+	};
+
+	const removeVertex = (index) => {
+		if (index < 0) return;
+		removeHandle(handles[index]);
+		handles.splice(index, 1);
+		vertices.splice(index, 1);
+		redraw();
+	};
+
+	const clearHandles = () => {
+		handles.forEach(removeHandle);
+		handles = [];
+	};
+
+	const replaceVertices = (nextVertices) => {
+		clearHandles();
+		vertices = nextVertices.map((vertex) => ({ lat: +vertex.lat, lng: +vertex.lng }));
+		vertices.forEach(addHandle);
+		redraw();
+	};
+
+	return {
+		/**
+		 * Start measuring (no-op if already active)
+		 * @param {'line'|'polygon'} nextType - What to measure (default: 'line')
+		 * @param {Array<{lat: number, lng: number}>} initialVertices - Vertices to start from
+		 */
+		start(nextType = 'line', initialVertices = []) {
+			if (stopClicks) return;
+
+			type = nextType;
+			outline = map.createPolyline({ path: [], color: MEASURE_COLOR, weight: 3, opacity: 1 });
+			fill = map.createPolygon({ path: [], color: MEASURE_COLOR, weight: 0, fillOpacity: 0.15 });
+			stopClicks = map.on('click', (position) => {
+				if (!position) return;
+				vertices.push(position);
+				addHandle(position);
+				redraw();
+			});
+			replaceVertices(initialVertices);
+		},
+
+		/**
+		 * Stop measuring and remove everything the tool drew
+		 */
+		stop() {
+			if (!stopClicks) return;
+
+			stopClicks();
+			stopClicks = null;
+			clearHandles();
+			outline.remove();
+			fill.remove();
+			outline = null;
+			fill = null;
+			vertices = [];
+		},
+
+		/**
+		 * Switch between measuring a line and a polygon, keeping the vertices
+		 * @param {'line'|'polygon'} nextType - What to measure
+		 */
+		setType(nextType) {
+			type = nextType;
+			if (stopClicks) redraw();
+		},
+
+		/**
+		 * Replace all vertices (clearing, or reopening a saved measurement)
+		 * @param {Array<{lat: number, lng: number}>} nextVertices - New vertices
+		 */
+		setVertices(nextVertices) {
+			if (stopClicks) replaceVertices(nextVertices);
+		},
+
+		/**
+		 * @returns {boolean} Whether the tool is capturing map clicks
+		 */
+		isActive() {
+			return stopClicks !== null;
+		}
+	};
+};
@@ -0,0 +1,35 @@
+/**
+ * In-memory storage adapter
+ * Keeps every store in this tab's memory - nothing survives a reload
+ *
+ * Used when neither IndexedDB nor localStorage is usable (some private browsing
+ * modes) and by tests, which get a fresh, isolated database per adapter.
+ */
+
+import { createRecordMapAdapter } from './storageAdapters.js';
+
+/**
+ * Create an in-memory storage adapter
+ *
+ * @param {Object} options - Adapter configuration
+ * @param {Object} options.initial - Records to start with, by store name: { places: [[key, record], ...] }
+ * @returns {import('./storageAdapters.js').StorageAdapter} Adapter with id 'memory'
+ *
+ * Isolation Strategy:
+ * - Reads and writes go through structured clones, so callers never hold a
+ *   reference into the stored data (matching IndexedDB, which also clones)
+ * - Data is private to this tab, so no change notifications are sent (shared: false)
+ */
+export const createMemoryAdapter = ({ initial = {} } = {}) => {
+	const stores = new Map(
+		Object.entries(initial).map(([store, entries]) => [store, new Map(structuredClone(entries))])
+	);
+
+	return createRecordMapAdapter({
+		id: 'memory',
+		shared: false,
+		open: () => {},
+		load: (store) => structuredClone(stores.get(store) ?? new Map()),
+		save: (store, map) => stores.set(store, structuredClone(map))
+	});
+};
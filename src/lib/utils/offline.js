@@ -0,0 +1,123 @@
+/**
+ * Offline map helpers
+ * Page-side access to the service worker's tile cache (see src/service-worker.js)
+ *
+ * This module provides:
+ * - Detection of an active service worker
+ * - "Download this area" requests with progress reporting and cancellation
+ * - Tile cache usage and clearing
+ *
+ * Every call is a message over a dedicated MessageChannel, so concurrent requests
+ * never see each other's replies.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Time to wait for a reply to a simple request (usage, clear)
+const REQUEST_TIMEOUT = 10000;
+
+// ============================================================================
+// SERVICE WORKER MESSAGING
+// ============================================================================
+
+/**
+ * Whether a service worker controls this page (it does not on the very first load
+ * in some browsers, during development without HTTPS, or when disabled)
+ * @returns {boolean} True when offline features are available
+ */
+export const isOfflineSupported = () =>
+	typeof navigator !== 'undefined' && Boolean(navigator.serviceWorker?.controller);
+
+/**
+ * Send a message to the service worker and listen on a private channel
+ *
+ * @param {Object} message - Message with a type (see src/service-worker.js)
+ * @param {Function} onMessage - Called with each reply; return true once the exchange is over
+ * @returns {MessagePort} Page end of the channel (for follow-up messages such as cancel)
+ * @throws {Error} If no service worker controls the page
+ */
+const openChannel = (message, onMessage) => {
+	const controller = navigator.serviceWorker?.controller;
+	if (!controller) {
+		throw new Error('Offline maps are not available in this browser session.');
+	}
+
+	const channel = new MessageChannel();
+	channel.port1.onmessage = (event) => {
+		if (onMessage(event.data)) channel.port1.close();
+	};
+	controller.postMessage(message, [channel.port2]);
+	return channel.port1;
+};
+
+/**
+ * Send a request that is answered with a single done/error message
+ * @param {Object} message - Request message
+ * @returns {Promise<Object>} Reply payload
+ */
+const request = (message) =>
+	new Promise((resolve, reject) => {
+		const timer = setTimeout(
+			() => reject(new Error('Offline storage did not respond')),
+			REQUEST_TIMEOUT
+		);
+
+		openChannel(message, (reply) => {
+			clearTimeout(timer);
+			if (reply.type === 'error') reject(new Error(reply.message));
+			else resolve(reply);
+			return true;
+		});
+	});
+
+// ============================================================================
+// TILE CACHE API
+// ============================================================================
+
+/**
+ * Download every map tile of an area for offline use
+ *
+ * @param {Object} options - Download options
+ * @param {Object} options.bounds - Area {north, south, east, west}
+ * @param {number} options.minZoom - Lowest zoom level
+ * @param {number} options.maxZoom - Highest zoom level
+ * @param {Function} options.onProgress - Called with {total, done, failed}
+ * @returns {{promise: Promise<Object>, cancel: Function}} Final {total, done, failed, cancelled}
+ *   and a cancel function (already fetched tiles stay cached)
+ */
+export const downloadArea = ({ bounds, minZoom, maxZoom, onProgress = () => {} }) => {
+	let port = null;
+
+	const promise = new Promise((resolve, reject) => {
+		port = openChannel({ type: 'download-area', bounds, minZoom, maxZoom }, (reply) => {
+			if (reply.type === 'progress') {
+				onProgress(reply);
+				return false;
+			}
+			if (reply.type === 'error') reject(new Error(reply.message));
+			else resolve(reply);
+			return true;
+		});
+	});
+
+	return {
+		promise,
+		cancel: () => port?.postMessage({ type: 'cancel' })
+	};
+};
+
+/**
+ * Current tile cache usage
+ * @returns {Promise<{count: number, bytes: number, quotaBytes: number}>}
+ */
+export const getTileCacheUsage = () => request({ type: 'tile-cache-usage' });
+
+/**
+ * Delete every cached map tile
+ * @returns {Promise<void>}
+ */
+export const clearTileCache = async () => {
+	await request({ type: 'clear-tile-cache' });
+};
@@ -0,0 +1,310 @@
+/**
+ * Place search (autocomplete)
+ * Suggests places while the user types in the map search box
+ *
+ * This module provides:
+ * - Pluggable suggestion providers: Google Places autocomplete, the configured geocoder
+ * - Saved places matched locally and listed ahead of provider results
+ * - A combined search function that never fails because one source is unavailable
+ *
+ * Provider interface:
+ * {
+ *   id: string,
+ *   suggest(query: string): Promise<Suggestion[]>,
+ *   resolve(suggestion: Suggestion): Promise<{lat, lng, label}>   // coordinates for a choice
+ * }
+ *
+ * Suggestion: { id, label, detail, source: 'saved'|'google'|'geocoder', lat?, lng?, ref? }
+ * Suggestions without lat/lng carry a provider reference and are resolved when chosen.
+ */
+
+import { listPlaces } from './indexedDB.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Saved places shown above provider results
+const MAX_SAVED_SUGGESTIONS = 3;
+
+// Provider results shown below saved places
+const MAX_PROVIDER_SUGGESTIONS = 5;
+
+// Public Nominatim forbids client-side autocomplete - only explicit searches go there
+const PUBLIC_NOMINATIM_HOST = 'nominatim.openstreetmap.org';
+
+/**
+ * Read place search configuration from Vite environment variables
+ *
+ * @returns {Object} Place search configuration
+ *
+ * Environment Variables:
+ * - VITE_PLACE_SEARCH: 'google', 'geocoder', 'none' or 'auto' (default: 'auto' -
+ *   Google when the Google map provider is active, otherwise the geocoder unless it is
+ *   the public Nominatim server, whose usage policy does not allow autocomplete)
+ */
+export const getPlaceSearchConfig = () => ({
+	provider: import.meta.env.VITE_PLACE_SEARCH || 'auto'
+});
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Google Places autocomplete provider (AutocompleteSuggestion API)
+ * Requires the Google Maps JavaScript API to be loaded (see googleMapsProvider.js)
+ *
+ * @returns {Object} Place search provider
+ *
+ * Billing Strategy:
+ * - One session token spans the keystrokes of a search and the final details request
+ * - A new token is started after each resolved choice
+ */
+export const createGooglePlaceSearch = () => {
+	let places = null;
+	let sessionToken = null;
+
+	const getPlaces = async () => {
+		if (!window.google?.maps) {
+			throw new Error('Google Maps is not loaded');
+		}
+		if (!places) {
+			places = await window.google.maps.importLibrary('places');
+		}
+		sessionToken ??= new places.AutocompleteSessionToken();
+		return places;
+	};
+
+	return {
+		id: 'google',
+
+		async suggest(query) {
+			const { AutocompleteSuggestion } = await getPlaces();
+			const { suggestions } = await AutocompleteSuggestion.fetchAutocompleteSuggestions({
+				input: query,
+				sessionToken
+			});
+
+			return suggestions
+				.filter((suggestion) => suggestion.placePrediction)
+				.map(({ placePrediction }) => ({
+					id: `google:${placePrediction.placeId}`,
+					label: placePrediction.mainText?.text ?? placePrediction.text.text,
+					detail: placePrediction.secondaryText?.text ?? '',
+					source: 'google',
+					ref: placePrediction
+				}));
+		},
+
+		async resolve(suggestion) {
+			await getPlaces();
+			const place = suggestion.ref.toPlace();
+			await place.fetchFields({ fields: ['location', 'formattedAddress'] });
+			sessionToken = null; // SESSION END: Details request closes the billing session
+
+			if (!place.location) {
+				throw new Error(`No location for "${suggestion.label}"`);
+			}
+			return {
+				lat: place.location.lat(),
+				lng: place.location.lng(),
+				label: place.formattedAddress || suggestion.label
+			};
+		}
+	};
+};
+
+/**
+ * Geocoder-backed provider - suggestions are forward geocoding matches
+ * Results are cached by the geocoder, so retyping a query costs nothing
+ *
+ * @param {Object} geocoder - Geocoder from geocoding.js createGeocoder
+ * @returns {Object} Place search provider
+ */
+export const createGeocoderPlaceSearch = (geocoder) => ({
+	id: 'geocoder',
+
+	async suggest(query) {
+		const results = await geocoder.geocode(query);
+		return results.map((result) => {
+			// Addresses read "Name, Street, City, ..." - split the first part off as the title
+			const [label, ...rest] = result.label.split(', ');
+			return {
+				id: `geocoder:${result.lat},${result.lng}`,
+				label,
+				detail: rest.join(', '),
+				source: 'geocoder',
+				lat: result.lat,
+				lng: result.lng
+			};
+		});
+	},
+
+	async resolve(suggestion) {
+		return { lat: suggestion.lat, lng: suggestion.lng, label: suggestion.label };
+	}
+});
+
+/**
+ * Check whether a geocoder talks to the public Nominatim server
+ * @param {Object} geocoder - Geocoder from createGeocoder
+ * @param {Object} geocoderConfig - Configuration from getGeocoderConfig
+ * @returns {boolean} True for the public server
+ */
+const isPublicNominatim = (geocoder, geocoderConfig) => {
+	if (geocoder.id !== 'nominatim') return false;
+	try {
+		return new URL(geocoderConfig.nominatimUrl).host === PUBLIC_NOMINATIM_HOST;
+	} catch {
+		return false;
+	}
+};
+
+/**
+ * Create the configured suggestion provider
+ *
+ * @param {Object} options - Selection options
+ * @param {string} [options.provider] - Provider id; 'auto' decides from the map and geocoder
+ * @param {string} [options.mapProviderId] - Active map provider id
+ * @param {Object} [options.geocoder] - Active geocoder, used by the 'geocoder' provider
+ * @param {Object} [options.geocoderConfig] - Geocoder configuration, used to resolve 'auto'
+ * @returns {Object|null} Place search provider, or null when only saved places are searched
+ */
+export const createPlaceSearchProvider = ({
+	provider = getPlaceSearchConfig().provider,
+	mapProviderId,
+	geocoder,
+	geocoderConfig = {}
+} = {}) => {
+	let id = provider;
+	if (id === 'auto') {
+		if (mapProviderId === 'google') {
+			id = 'google';
+		} else {
+			// The local geocoder only knows saved places, which are matched anyway
+			const usable =
+				geocoder && geocoder.id !== 'local' && !isPublicNominatim(geocoder, geocoderConfig);
+			id = usable ? 'geocoder' : 'none';
+		}
+	}
+
+	switch (id) {
+		case 'google':
+			return createGooglePlaceSearch();
+		case 'geocoder':
+			if (!geocoder) {
+				throw new Error('Geocoder place search needs a geocoder');
+			}
+			return createGeocoderPlaceSearch(geocoder);
+		case 'none':
+			return null;
+		default:
+			throw new Error(`Unknown place search provider: ${id}`);
+	}
+};
+
+// ============================================================================
+// COMBINED SEARCH
+// ============================================================================
+
+/**
+ * Rank how well a saved place matches lowercase search text
+ * @param {Object} place - Saved place record
+ * @param {string} needle - Lowercase search text
+ * @returns {number} 0 name prefix, 1 name substring, 2 category substring, -1 no match
+ */
+const rankSavedPlace = (place, needle) => {
+	const name = place.name.toLowerCase();
+	if (name.startsWith(needle)) return 0;
+	if (name.includes(needle)) return 1;
+	if (place.category?.toLowerCase().includes(needle)) return 2;
+	return -1;
+};
+
+/**
+ * Match saved places against a query (name or category, case-insensitive)
+ * Names starting with the query rank above names merely containing it
+ *
+ * @param {Array} places - Saved place records
+ * @param {string} query - Search text
+ * @returns {Array} Suggestions for matching places
+ */
+export const matchSavedPlaces = (places, query) => {
+	const needle = query.trim().toLowerCase();
+	if (!needle) return [];
+
+	return places
+		.map((place) => ({ place, rank: rankSavedPlace(place, needle) }))
+		.filter(({ rank }) => rank >= 0)
+		.sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name))
+		.slice(0, MAX_SAVED_SUGGESTIONS)
+		.map(({ place }) => ({
+			id: `saved:${place.id}`,
+			label: place.name,
+			detail: place.category,
+			source: 'saved',
+			lat: place.lat,
+			lng: place.lng
+		}));
+};
+
+/**
+ * Create a place search combining saved places with a suggestion provider
+ *
+ * @param {Object|null} provider - Provider from createPlaceSearchProvider (null: saved places only)
+ * @returns {{suggest: Function, resolve: Function}} Place search
+ *
+ * Merge Strategy:
+ * - Saved places first - they are the user's own and need no network
+ * - Provider failures are logged and yield saved places only (e.g. offline)
+ * - Saved place failures are logged and yield provider results only
+ */
+export const createPlaceSearch = (provider) => ({
+	/**
+	 * Suggestions for partially typed text
+	 * @param {string} query - Search text
+	 * @returns {Promise<Array>} Suggestions, saved places first
+	 */
+	async suggest(query) {
+		if (!query || !query.trim()) return [];
+
+		const [saved, remote] = await Promise.all([
+			listPlaces()
+				.then((places) => matchSavedPlaces(places, query))
+				.catch((error) => {
+					console.warn('Saved place search failed:', error);
+					return [];
+				}),
+			provider
+				? provider.suggest(query.trim()).catch((error) => {
+						console.warn('Place suggestions failed:', error.message);
+						return [];
+					})
+				: []
+		]);
+
+		// DEDUPLICATION: Providers may repeat a result (e.g. two addresses at one coordinate)
+		const seen = new Set();
+		return [...saved, ...remote.slice(0, MAX_PROVIDER_SUGGESTIONS)].filter((suggestion) => {
+			if (seen.has(suggestion.id)) return false;
+			seen.add(suggestion.id);
+			return true;
+		});
+	},
+
+	/**
+	 * Coordinates for a chosen suggestion
+	 * @param {Object} suggestion - Suggestion returned by suggest()
+	 * @returns {Promise<{lat: number, lng: number, label: string}>} Resolved position
+	 */
+	async resolve(suggestion) {
+		if (suggestion.lat != null && suggestion.lng != null) {
+			return { lat: +suggestion.lat, lng: +suggestion.lng, label: suggestion.label };
+		}
+		if (!provider) {
+			throw new Error(`Cannot resolve "${suggestion.label}"`);
+		}
+		return provider.resolve(suggestion);
+	}
+});
@@ -0,0 +1,312 @@
+/**
+ * Routing and directions
+ * Finds a route between two positions with distance, duration and turn-by-turn steps
+ *
+ * This module provides:
+ * - Pluggable backends: Google Directions, OSRM-compatible HTTP endpoint (self-hostable)
+ * - Driving, walking and cycling profiles
+ * - Plain-text instructions for OSRM maneuvers (OSRM only returns maneuver codes)
+ *
+ * Backend interface:
+ * {
+ *   id: string,
+ *   route(request: {origin, destination, profile}): Promise<Route|null>   // null when no route
+ * }
+ *
+ * Route shape (shared by every backend):
+ * {
+ *   distance: number,                 // meters
+ *   duration: number,                 // seconds
+ *   path: Array<{lat, lng}>,          // full geometry for drawing
+ *   steps: Array<{instruction, distance, duration, location: {lat, lng}}>
+ * }
+ */
+
+import { isValidLocation } from './locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Travel profiles offered by the route panel
+export const ROUTE_PROFILES = [
+	{ id: 'driving', label: 'Drive', icon: '🚗' },
+	{ id: 'walking', label: 'Walk', icon: '🚶' },
+	{ id: 'cycling', label: 'Cycle', icon: '🚲' }
+];
+
+// Local osrm-routed default - the public OSRM demo server forbids application use
+const DEFAULT_OSRM_URL = 'http://localhost:5000';
+
+// OSRM profile names per travel profile, substituted for {profile} in VITE_OSRM_URL
+// (one osrm-routed instance serves one profile, so multi-profile setups run one server each)
+const OSRM_PROFILES = { driving: 'car', walking: 'foot', cycling: 'bike' };
+
+// Google Directions travel modes per travel profile
+const GOOGLE_TRAVEL_MODES = { driving: 'DRIVING', walking: 'WALKING', cycling: 'BICYCLING' };
+
+/**
+ * Read routing configuration from Vite environment variables
+ *
+ * @returns {Object} Router configuration
+ *
+ * Environment Variables:
+ * - VITE_ROUTER: 'google', 'osrm' or 'auto' (default: 'auto' - Google Directions when the
+ *   Google map provider is active, otherwise OSRM)
+ * - VITE_OSRM_URL: Base URL of an OSRM-compatible server; may contain {profile}
+ *   (car, foot or bike) to reach a different server per profile
+ */
+export const getRoutingConfig = () => {
+	const env = import.meta.env;
+	return {
+		backend: env.VITE_ROUTER || 'auto',
+		osrmUrl: env.VITE_OSRM_URL || DEFAULT_OSRM_URL
+	};
+};
+
+// ============================================================================
+// OSRM INSTRUCTIONS
+// ============================================================================
+
+/**
+ * Turn an OSRM step into a sentence
+ * OSRM describes maneuvers as {type, modifier} codes and leaves the wording to clients
+ *
+ * @param {Object} step - OSRM RouteStep
+ * @returns {string} e.g. "Turn left onto Tahrir Street"
+ */
+export const describeOsrmStep = ({ maneuver, name, ref, destinations }) => {
+	const { type, modifier, exit } = maneuver;
+	const road = name || ref || '';
+	const onto = road ? ` onto ${road}` : '';
+	const direction = modifier === 'uturn' ? 'U-turn' : modifier || '';
+
+	switch (type) {
+		case 'depart':
+			return road ? `Head out on ${road}` : 'Start';
+		case 'arrive':
+			return 'Arrive at your destination';
+		case 'roundabout':
+		case 'rotary':
+			return exit ? `At the roundabout, take exit ${exit}${onto}` : `Enter the roundabout${onto}`;
+		case 'exit roundabout':
+		case 'exit rotary':
+			return `Exit the roundabout${onto}`;
+		case 'merge':
+			return `Merge${direction ? ` ${direction}` : ''}${onto}`;
+		case 'on ramp':
+			return `Take the ramp${direction ? ` on the ${direction}` : ''}${onto}`;
+		case 'off ramp':
+			return `Take the exit${destinations ? ` towards ${destinations}` : onto}`;
+		case 'fork':
+			return `Keep ${direction || 'straight'} at the fork${onto}`;
+		case 'end of road':
+			return `At the end of the road, turn ${direction || 'onto the next road'}${onto}`;
+		case 'new name':
+		case 'continue':
+			return direction && direction !== 'straight'
+				? `Continue ${direction}${onto}`
+				: `Continue${onto || ' straight'}`;
+		default:
+			// 'turn', 'roundabout turn', 'notification' and types added by newer servers
+			if (direction === 'U-turn') return `Make a U-turn${onto}`;
+			if (!direction || direction === 'straight') return `Continue${onto || ' straight'}`;
+			return `Turn ${direction}${onto}`;
+	}
+};
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+/**
+ * OSRM-compatible HTTP backend (OpenStreetMap data, self-hostable)
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.baseUrl - Server base URL; {profile} is replaced per request
+ * @returns {Object} Router backend
+ */
+export const createOsrmRouter = ({ baseUrl = DEFAULT_OSRM_URL } = {}) => ({
+	id: 'osrm',
+
+	async route({ origin, destination, profile }) {
+		const base = baseUrl.replace('{profile}', OSRM_PROFILES[profile]).replace(/\/$/, '');
+		// OSRM takes lng,lat pairs
+		const coordinates = [origin, destination].map(({ lat, lng }) => `${lng},${lat}`).join(';');
+		const url = new URL(`${base}/route/v1/${profile}/${coordinates}`);
+		url.search = new URLSearchParams({ overview: 'full', geometries: 'geojson', steps: 'true' });
+
+		const response = await fetch(url, { headers: { Accept: 'application/json' } });
+		const body = await response.json().catch(() => null);
+		// OSRM answers 400 with code 'NoRoute'/'NoSegment' when the points cannot be connected
+		if (body?.code === 'NoRoute' || body?.code === 'NoSegment') return null;
+		if (!response.ok || body?.code !== 'Ok') {
+			throw new Error(`Routing request failed (${body?.message || response.status})`);
+		}
+
+		const [route] = body.routes;
+		if (!route) return null;
+
+		const toLatLng = ([lng, lat]) => ({ lat, lng });
+		return {
+			distance: route.distance,
+			duration: route.duration,
+			path: route.geometry.coordinates.map(toLatLng),
+			steps: route.legs.flatMap((leg) =>
+				leg.steps.map((step) => ({
+					instruction: describeOsrmStep(step),
+					distance: step.distance,
+					duration: step.duration,
+					location: toLatLng(step.maneuver.location)
+				}))
+			)
+		};
+	}
+});
+
+/**
+ * Google Directions backend
+ * Requires the Google Maps JavaScript API to be loaded (see googleMapsProvider.js)
+ *
+ * @returns {Object} Router backend
+ */
+export const createGoogleRouter = () => {
+	let service = null;
+
+	const getService = async () => {
+		if (!window.google?.maps) {
+			throw new Error('Google Maps is not loaded');
+		}
+		if (!service) {
+			const { DirectionsService } = await window.google.maps.importLibrary('routes');
+			service = new DirectionsService();
+		}
+		return service;
+	};
+
+	const toLatLng = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() });
+
+	// Google instructions are HTML ("Turn <b>left</b> onto ...") - keep the text only
+	// (parsed into an inert document, so nothing in it loads or runs)
+	const toText = (html) =>
+		new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim();
+
+	return {
+		id: 'google',
+
+		async route({ origin, destination, profile }) {
+			const directions = await getService();
+			let result;
+			try {
+				result = await directions.route({
+					origin,
+					destination,
+					travelMode: GOOGLE_TRAVEL_MODES[profile]
+				});
+			} catch (error) {
+				// The service rejects with a status code instead of returning an empty result
+				if (error?.code === 'ZERO_RESULTS' || /ZERO_RESULTS/.test(error?.message)) return null;
+				throw error;
+			}
+
+			const [route] = result.routes;
+			if (!route) return null;
+
+			const steps = route.legs.flatMap((leg) => leg.steps);
+			return {
+				distance: route.legs.reduce((sum, leg) => sum + leg.distance.value, 0),
+				duration: route.legs.reduce((sum, leg) => sum + leg.duration.value, 0),
+				path: route.overview_path.map(toLatLng),
+				steps: steps.map((step) => ({
+					instruction: toText(step.instructions),
+					distance: step.distance.value,
+					duration: step.duration.value,
+					location: toLatLng(step.start_location)
+				}))
+			};
+		}
+	};
+};
+
+/**
+ * Create a backend by id
+ *
+ * @param {string} id - 'google' or 'osrm'
+ * @param {Object} config - Configuration from getRoutingConfig
+ * @returns {Object} Router backend
+ */
+export const createRouterBackend = (id, config = getRoutingConfig()) => {
+	switch (id) {
+		case 'google':
+			return createGoogleRouter();
+		case 'osrm':
+			return createOsrmRouter({ baseUrl: config.osrmUrl });
+		default:
+			throw new Error(`Unknown routing backend: ${id}`);
+	}
+};
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/**
+ * Create a router
+ *
+ * @param {Object} options - Router options
+ * @param {string} [options.backend] - Backend id; 'auto' follows mapProviderId (default: from config)
+ * @param {string} [options.mapProviderId] - Active map provider id, used to resolve 'auto'
+ * @returns {{id: string, route: Function}} Router
+ */
+export const createRouter = ({ backend, mapProviderId } = {}) => {
+	const config = getRoutingConfig();
+	const requested = backend || config.backend;
+	const backendId =
+		requested === 'auto' ? (mapProviderId === 'google' ? 'google' : 'osrm') : requested;
+	const impl = createRouterBackend(backendId, config);
+
+	return {
+		id: backendId,
+
+		/**
+		 * Find a route between two positions
+		 * @param {{lat: number, lng: number}} origin - Start
+		 * @param {{lat: number, lng: number}} destination - End
+		 * @param {'driving'|'walking'|'cycling'} profile - Travel profile (default: 'driving')
+		 * @returns {Promise<Object>} Route (see module docs)
+		 * @throws {Error} If a position or the profile is invalid, or no route exists
+		 */
+		async route(origin, destination, profile = 'driving') {
+			if (!isValidLocation(origin) || !isValidLocation(destination)) {
+				throw new Error('Invalid coordinates for routing');
+			}
+			if (!ROUTE_PROFILES.some((option) => option.id === profile)) {
+				throw new Error(`Unknown travel profile: ${profile}`);
+			}
+
+			const result = await impl.route({
+				origin: { lat: +origin.lat, lng: +origin.lng },
+				destination: { lat: +destination.lat, lng: +destination.lng },
+				profile
+			});
+			if (!result) {
+				throw new Error('No route found between these points');
+			}
+			return result;
+		}
+	};
+};
+
+/**
+ * Format a travel time for display
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "45 s", "12 min", "1 h 5 min"
+ */
+export const formatDuration = (seconds) => {
+	if (seconds < 60) return `${Math.round(seconds)} s`;
+	const minutes = Math.round(seconds / 60);
+	if (minutes < 60) return `${minutes} min`;
+	const hours = Math.floor(minutes / 60);
+	return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+};
@@ -0,0 +1,361 @@
+/**
+ * Storage adapter registry
+ * Selects the storage backend behind the data API in indexedDB.js
+ *
+ * This module provides:
+ * - The adapter interface shared by every storage backend (documented below)
+ * - The store layout every backend keeps (store names and keys)
+ * - Capability detection: the first backend that works in this browser wins
+ * - Lazy loading so only the selected backend's code is downloaded
+ * - A record-map core shared by the backends without native indexes (localStorage, memory)
+ *
+ * Available adapters, in detection order:
+ * - 'indexeddb':    IndexedDB with schema migrations (see indexedDBAdapter.js)
+ * - 'localstorage': JSON in localStorage - older browsers, or when IndexedDB is blocked
+ * - 'memory':       In-memory only - private modes that block both, and tests
+ *
+ * Adapters only store and query records. Validation, last-writer-wins timestamps and
+ * cross-tab notifications stay in indexedDB.js, so every backend gets the same
+ * validated API and a new backend (e.g. one syncing to a server) only implements this interface.
+ */
+
+/**
+ * @typedef {Object} StorageQuery
+ * @property {Object} [where] - Field values records must equal, e.g. { trackId }
+ * @property {string} [orderBy] - Field to sort by, ascending (default: key order)
+ * @property {number} [max] - Inclusive upper bound on the orderBy field
+ */
+
+/**
+ * @typedef {Object} StorageOperation
+ * @property {'add'|'put'|'delete'|'deleteAll'} type - Operation, same meaning as the adapter method
+ * @property {string} store - Store name
+ * @property {Object} [record] - Record for add/put
+ * @property {*} [key] - Record key for delete, or for add/put on stores without a key path
+ * @property {StorageQuery} [query] - Query for deleteAll
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} id - Adapter id ('indexeddb', 'localstorage', 'memory', ...)
+ * @property {boolean} shared - Whether other tabs see the same data (and need change notifications)
+ * @property {() => Promise<void>} open - Prepare the backend; rejects when it is unusable here
+ * @property {(store: string, key: *) => Promise<Object|null>} get - Read one record
+ * @property {(store: string, query?: StorageQuery) => Promise<Object[]>} getAll - Read matching records
+ * @property {(store: string) => Promise<Array>} getAllKeys - Read every record key, in key order
+ * @property {(store: string, record: Object, key?: *) => Promise<*>} add
+ *   Insert a record and resolve with its key; rejects when the key exists
+ * @property {(store: string, record: Object, key?: *) => Promise<*>} put - Insert or replace a record
+ * @property {(store: string, record: Object, options?: {key?: *, mustExist?: boolean}) => Promise<boolean>} putIfNewer
+ *   Write unless the stored record has a newer updatedAt (or, with mustExist, no longer exists);
+ *   the read and the write are atomic. Resolves true when written
+ * @property {(store: string, key: *) => Promise<void>} delete - Remove a record (no-op when missing)
+ * @property {(store: string, query: StorageQuery) => Promise<number>} deleteAll
+ *   Remove matching records and resolve with how many were removed
+ * @property {(operations: StorageOperation[]) => Promise<void>} batch
+ *   Apply operations atomically - either all of them are stored or none are
+ */
+
+// ============================================================================
+// STORE LAYOUT
+// ============================================================================
+
+// Store names - every adapter keeps these collections
+export const STORES = Object.freeze({
+	USER_LOCATION: 'userLocation', // Saved marker location per record key ('current' by default)
+	PLACES: 'places', // Saved places, keyed by generated id
+	TRACKS: 'tracks', // Recorded trips, keyed by generated id
+	TRACK_POINTS: 'trackPoints', // Individual track fixes, auto-incremented keys
+	GEOCODE_CACHE: 'geocodeCache', // Geocoding results, keyed by normalized query or coordinate
+	ZONES: 'zones', // Geofence zones, keyed by generated id
+	MEASUREMENTS: 'measurements', // Measure tool results, keyed by generated id
+	SYNC: 'sync', // Server sync bookkeeping (outbox entries and cursors), keyed by 'kind:...'
+	SETTINGS: 'settings' // Storage settings (encryption, retention), keyed by setting name
+});
+
+// Where each store's record key comes from - null keyPath means the key is passed separately
+export const STORE_KEYS = Object.freeze({
+	[STORES.USER_LOCATION]: { keyPath: null },
+	[STORES.PLACES]: { keyPath: 'id' },
+	[STORES.TRACKS]: { keyPath: 'id' },
+	[STORES.TRACK_POINTS]: { keyPath: 'id', autoIncrement: true },
+	[STORES.GEOCODE_CACHE]: { keyPath: 'key' },
+	[STORES.ZONES]: { keyPath: 'id' },
+	[STORES.MEASUREMENTS]: { keyPath: 'id' },
+	[STORES.SYNC]: { keyPath: 'key' },
+	[STORES.SETTINGS]: { keyPath: 'key' }
+});
+
+// Backends tried by 'auto', best first
+const ADAPTER_ORDER = ['indexeddb', 'localstorage', 'memory'];
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+/**
+ * Generate a unique identifier for new records
+ * Prefers crypto.randomUUID and falls back to a time-based id on older browsers
+ *
+ * @returns {string} Unique record id
+ */
+export const generateId = () => {
+	if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+		return crypto.randomUUID();
+	}
+	return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Check whether a record satisfies a query's filters
+ * @param {Object} record - Stored record
+ * @param {StorageQuery} query - Query
+ * @returns {boolean} True when every where field matches and the orderBy field is within max
+ *   (like an IndexedDB index range, records without a value in the orderBy field are outside it)
+ */
+export const matchesQuery = (record, { where = {}, orderBy, max } = {}) =>
+	Object.entries(where).every(([field, value]) => record[field] === value) &&
+	(max == null || (orderBy && record[orderBy] != null && record[orderBy] <= max));
+
+/**
+ * Filter and sort records by a query (for backends without native indexes)
+ * @param {Object[]} records - Records in key order
+ * @param {StorageQuery} query - Query
+ * @returns {Object[]} Matching records, sorted by orderBy (stable, so key order breaks ties)
+ */
+export const applyQuery = (records, query = {}) => {
+	const matching = records.filter((record) => matchesQuery(record, query));
+	const { orderBy } = query;
+	return orderBy
+		? matching.sort((a, b) => (a[orderBy] > b[orderBy]) - (a[orderBy] < b[orderBy]))
+		: matching;
+};
+
+// ============================================================================
+// RECORD-MAP CORE
+// ============================================================================
+
+/**
+ * Resolve the key a record is stored under
+ * @param {string} store - Store name
+ * @param {Object} record - Record
+ * @param {*} key - Key passed by the caller (stores without a key path)
+ * @returns {*} Record key
+ */
+const getRecordKey = (store, record, key) => {
+	const { keyPath } = STORE_KEYS[store];
+	return keyPath ? record[keyPath] : key;
+};
+
+/**
+ * Build an adapter over plain Map objects - one Map per store, key → record
+ * Backends only decide where the Maps live: load() returns a store's Map and
+ * save() persists a changed one. Every write works on copies that are saved
+ * only once the whole operation succeeded. A batch spanning several stores also
+ * snapshots them first and puts the snapshots back when a later save fails
+ * (e.g. quota), so batches stay atomic even though stores are saved one by one.
+ *
+ * @param {Object} backend - Backend hooks
+ * @param {string} backend.id - Adapter id
+ * @param {boolean} backend.shared - Whether other tabs see the same data
+ * @param {Function} backend.open - Prepare the backend (may reject)
+ * @param {Function} backend.load - (store) => Map of key → record (a copy the core may change)
+ * @param {Function} backend.save - (store, map) => void, persists a store's Map
+ * @returns {StorageAdapter} Adapter
+ */
+export const createRecordMapAdapter = ({ id, shared, open, load, save }) => {
+	/**
+	 * Apply operations to copies of the stores they touch, then save every changed store
+	 * @param {StorageOperation[]} operations - Operations
+	 * @returns {Array} Per-operation results (key for add/put, count for deleteAll)
+	 */
+	const apply = (operations) => {
+		const maps = new Map();
+		const mapFor = (store) => {
+			if (!STORE_KEYS[store]) throw new Error(`Unknown store: ${store}`);
+			if (!maps.has(store)) maps.set(store, load(store));
+			return maps.get(store);
+		};
+
+		const results = operations.map(({ type, store, record, key, query }) => {
+			const map = mapFor(store);
+			switch (type) {
+				case 'add':
+				case 'put': {
+					const stored = { ...record };
+					let recordKey = getRecordKey(store, stored, key);
+					if (recordKey == null && STORE_KEYS[store].autoIncrement) {
+						// Like IndexedDB's key generator: one past the highest numeric key
+						recordKey = Math.max(0, ...[...map.keys()].filter(Number.isFinite)) + 1;
+						stored[STORE_KEYS[store].keyPath] = recordKey;
+					}
+					if (recordKey == null) throw new Error(`Record key is required for ${store}`);
+					if (type === 'add' && map.has(recordKey)) {
+						throw new Error(`Record already exists in ${store}: ${recordKey}`);
+					}
+					map.set(recordKey, stored);
+					return recordKey;
+				}
+				case 'delete':
+					map.delete(key);
+					return undefined;
+				case 'deleteAll': {
+					let removed = 0;
+					for (const [recordKey, stored] of map) {
+						if (matchesQuery(stored, query)) {
+							map.delete(recordKey);
+							removed++;
+						}
+					}
+					return removed;
+				}
+				default:
+					throw new Error(`Unknown storage operation: ${type}`);
+			}
+		});
+
+		// SNAPSHOT: Only needed when one save can succeed and a later one fail
+		const snapshots = maps.size > 1 ? [...maps.keys()].map((store) => [store, load(store)]) : [];
+		const saved = [];
+		try {
+			maps.forEach((map, store) => {
+				save(store, map);
+				saved.push(store);
+			});
+		} catch (error) {
+			// ROLLBACK: Restore the stores saved before the failure
+			for (const [store, snapshot] of snapshots) {
+				if (!saved.includes(store)) continue;
+				try {
+					save(store, snapshot);
+				} catch (restoreError) {
+					console.error(`Failed to roll back ${store} after a failed batch:`, restoreError);
+				}
+			}
+			throw error;
+		}
+		return results;
+	};
+
+	const read = (store) => {
+		if (!STORE_KEYS[store]) throw new Error(`Unknown store: ${store}`);
+		return load(store);
+	};
+
+	return {
+		id,
+		shared,
+		open: async () => open(),
+		get: async (store, key) => read(store).get(key) ?? null,
+		getAll: async (store, query) => applyQuery([...read(store).values()], query),
+		getAllKeys: async (store) => [...read(store).keys()],
+		add: async (store, record, key) => apply([{ type: 'add', store, record, key }])[0],
+		put: async (store, record, key) => apply([{ type: 'put', store, record, key }])[0],
+		async putIfNewer(store, record, { key, mustExist = false } = {}) {
+			const stored = read(store).get(getRecordKey(store, record, key));
+			if (stored ? stored.updatedAt > record.updatedAt : mustExist) return false;
+			apply([{ type: 'put', store, record, key }]);
+			return true;
+		},
+		delete: async (store, key) => {
+			apply([{ type: 'delete', store, key }]);
+		},
+		deleteAll: async (store, query) => apply([{ type: 'deleteAll', store, query }])[0],
+		batch: async (operations) => {
+			apply(operations);
+		}
+	};
+};
+
+// ============================================================================
+// CAPABILITY DETECTION
+// ============================================================================
+
+/**
+ * Check whether localStorage can actually be written
+ * Some private modes expose it but throw on every write
+ *
+ * @returns {boolean} True when a probe value could be written and removed
+ */
+const canUseLocalStorage = () => {
+	try {
+		const probe = '__storage_probe__';
+		localStorage.setItem(probe, probe);
+		localStorage.removeItem(probe);
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+// Cheap synchronous checks - open() still has the final say (IndexedDB can exist but refuse to open)
+const CAPABILITY_CHECKS = {
+	indexeddb: () => typeof indexedDB !== 'undefined',
+	localstorage: canUseLocalStorage,
+	memory: () => true
+};
+
+// Backend modules are imported dynamically so only the selected backend is downloaded
+const ADAPTER_LOADERS = {
+	indexeddb: async () => (await import('./indexedDBAdapter.js')).createIndexedDBAdapter(),
+	localstorage: async () => (await import('./localStorageAdapter.js')).createLocalStorageAdapter(),
+	memory: async () => (await import('./memoryAdapter.js')).createMemoryAdapter()
+};
+
+// ============================================================================
+// ADAPTER FACTORY
+// ============================================================================
+
+/**
+ * Read storage configuration from Vite environment variables
+ *
+ * @returns {Object} Storage configuration
+ *
+ * Environment Variables:
+ * - VITE_STORAGE_ADAPTER: 'indexeddb', 'localstorage', 'memory' or 'auto'
+ *   (default: 'auto' - the first backend that works in this browser)
+ */
+export const getStorageConfig = () => ({
+	adapter: import.meta.env.VITE_STORAGE_ADAPTER || 'auto'
+});
+
+/**
+ * List the adapter ids that pass their capability check in this browser
+ * @returns {string[]} Adapter ids, best first
+ */
+export const detectStorageAdapters = () => ADAPTER_ORDER.filter((id) => CAPABILITY_CHECKS[id]());
+
+/**
+ * Create and open the configured storage adapter
+ *
+ * @param {Object} config - Configuration (default: getStorageConfig())
+ * @returns {Promise<StorageAdapter>} Opened adapter
+ * @throws {Error} If the configured adapter is unknown, or no candidate could be opened
+ *
+ * Detection Strategy:
+ * - 'auto' walks indexeddb → localstorage → memory, skipping backends whose
+ *   capability check fails or whose open() rejects
+ * - A configured adapter id is used on its own, so a misconfiguration is reported
+ *   instead of silently storing data somewhere else
+ */
+export const createStorageAdapter = async (config = getStorageConfig()) => {
+	if (config.adapter !== 'auto' && !ADAPTER_LOADERS[config.adapter]) {
+		throw new Error(`Unknown storage adapter: ${config.adapter}`);
+	}
+
+	const candidates = config.adapter === 'auto' ? detectStorageAdapters() : [config.adapter];
+	const errors = [];
+
+	for (const id of candidates) {
+		try {
+			const adapter = await ADAPTER_LOADERS[id]();
+			await adapter.open();
+			return adapter;
+		} catch (error) {
+			console.warn(`Storage adapter "${id}" unavailable:`, error.message);
+			errors.push(error);
+		}
+	}
+
+	throw new AggregateError(errors, errors.at(-1)?.message ?? 'No storage backend available');
+};
@@ -0,0 +1,301 @@
+/**
+ * Storage adapter contract tests
+ * Every backend behind storageAdapters.js must pass the same suite - run with `npm test`
+ *
+ * The IndexedDB adapter needs a browser (or an IndexedDB shim) and is not covered here.
+ */
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STORES } from './storageAdapters.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import {
+	addTrackPoints,
+	createMeasurement,
+	createPlace,
+	createZone,
+	saveUserLocation,
+	setSyncKey,
+	useStorageAdapter
+} from './indexedDB.js';
+
+// Minimal localStorage for Node - one Map per test run, cleared before every test.
+// Writes to the key in quotaExceededKey throw, like a full localStorage
+const localStorageValues = new Map();
+let quotaExceededKey = null;
+globalThis.localStorage = {
+	getItem: (key) => localStorageValues.get(key) ?? null,
+	setItem: (key, value) => {
+		if (key === quotaExceededKey) throw new Error('QuotaExceededError');
+		localStorageValues.set(key, String(value));
+	},
+	removeItem: (key) => localStorageValues.delete(key),
+	clear: () => localStorageValues.clear()
+};
+
+// Backends under test, each created empty
+const ADAPTERS = {
+	memory: () => createMemoryAdapter(),
+	localstorage: () => {
+		localStorage.clear();
+		return createLocalStorageAdapter();
+	}
+};
+
+// Place record as indexedDB.js stores it
+const place = (id, fields = {}) => ({
+	id,
+	name: `Place ${id}`,
+	category: 'general',
+	lat: 30,
+	lng: 31,
+	createdAt: 1,
+	updatedAt: 1,
+	...fields
+});
+
+for (const [name, createAdapter] of Object.entries(ADAPTERS)) {
+	describe(`${name} adapter`, () => {
+		let adapter;
+
+		beforeEach(async () => {
+			adapter = createAdapter();
+			await adapter.open();
+		});
+
+		// ========================================================================
+		// READS AND WRITES
+		// ========================================================================
+
+		test('put stores a record that get reads back', async () => {
+			assert.equal(await adapter.put(STORES.PLACES, place('a')), 'a');
+
+			assert.deepEqual(await adapter.get(STORES.PLACES, 'a'), place('a'));
+			assert.equal(await adapter.get(STORES.PLACES, 'missing'), null);
+		});
+
+		test('put replaces a record and get returns copies', async () => {
+			await adapter.put(STORES.PLACES, place('a'));
+			await adapter.put(STORES.PLACES, place('a', { name: 'Renamed' }));
+
+			const read = await adapter.get(STORES.PLACES, 'a');
+			read.name = 'Changed by the caller';
+			assert.equal((await adapter.get(STORES.PLACES, 'a')).name, 'Renamed');
+		});
+
+		test('stores without a key path take the key separately', async () => {
+			await adapter.put(STORES.USER_LOCATION, { lat: 1, lng: 2, updatedAt: 3 }, 'pickup');
+
+			assert.deepEqual(await adapter.get(STORES.USER_LOCATION, 'pickup'), {
+				lat: 1,
+				lng: 2,
+				updatedAt: 3
+			});
+			assert.deepEqual(await adapter.getAllKeys(STORES.USER_LOCATION), ['pickup']);
+		});
+
+		test('add rejects an existing key and keeps the stored record', async () => {
+			await adapter.add(STORES.PLACES, place('a'));
+
+			await assert.rejects(adapter.add(STORES.PLACES, place('a', { name: 'Duplicate' })));
+			assert.equal((await adapter.get(STORES.PLACES, 'a')).name, 'Place a');
+		});
+
+		test('auto-increment stores generate increasing keys', async () => {
+			const first = await adapter.add(STORES.TRACK_POINTS, { trackId: 't', timestamp: 1 });
+			const second = await adapter.add(STORES.TRACK_POINTS, { trackId: 't', timestamp: 2 });
+
+			assert.ok(second > first);
+			assert.equal((await adapter.get(STORES.TRACK_POINTS, second)).id, second);
+		});
+
+		test('putIfNewer keeps the newer record and honours mustExist', async () => {
+			await adapter.put(STORES.PLACES, place('a', { updatedAt: 10 }));
+
+			assert.equal(await adapter.putIfNewer(STORES.PLACES, place('a', { updatedAt: 5 })), false);
+			assert.equal((await adapter.get(STORES.PLACES, 'a')).updatedAt, 10);
+			assert.equal(await adapter.putIfNewer(STORES.PLACES, place('a', { updatedAt: 20 })), true);
+			assert.equal((await adapter.get(STORES.PLACES, 'a')).updatedAt, 20);
+
+			const missing = place('b', { updatedAt: 30 });
+			assert.equal(await adapter.putIfNewer(STORES.PLACES, missing, { mustExist: true }), false);
+			assert.equal(await adapter.get(STORES.PLACES, 'b'), null);
+		});
+
+		test('delete removes a record and ignores missing keys', async () => {
+			await adapter.put(STORES.PLACES, place('a'));
+			await adapter.delete(STORES.PLACES, 'a');
+			await adapter.delete(STORES.PLACES, 'missing');
+
+			assert.equal(await adapter.get(STORES.PLACES, 'a'), null);
+		});
+
+		// ========================================================================
+		// QUERIES
+		// ========================================================================
+
+		test('getAll filters by where, sorts by orderBy and bounds by max', async () => {
+			await adapter.put(STORES.TRACK_POINTS, { id: 1, trackId: 't', timestamp: 30 });
+			await adapter.put(STORES.TRACK_POINTS, { id: 2, trackId: 't', timestamp: 10 });
+			await adapter.put(STORES.TRACK_POINTS, { id: 3, trackId: 'u', timestamp: 20 });
+			await adapter.put(STORES.TRACK_POINTS, { id: 4, trackId: 't', timestamp: 20 });
+
+			const ids = (records) => records.map((record) => record.id);
+			assert.deepEqual(ids(await adapter.getAll(STORES.TRACK_POINTS)), [1, 2, 3, 4]);
+			assert.deepEqual(
+				ids(
+					await adapter.getAll(STORES.TRACK_POINTS, {
+						where: { trackId: 't' },
+						orderBy: 'timestamp'
+					})
+				),
+				[2, 4, 1]
+			);
+			assert.deepEqual(
+				ids(await adapter.getAll(STORES.TRACK_POINTS, { orderBy: 'timestamp', max: 20 })),
+				[2, 3, 4]
+			);
+		});
+
+		test('max leaves out records without a value in the orderBy field', async () => {
+			await adapter.put(STORES.TRACKS, { id: 'done', endedAt: 5 });
+			await adapter.put(STORES.TRACKS, { id: 'recording', endedAt: null });
+
+			const expired = await adapter.getAll(STORES.TRACKS, { orderBy: 'endedAt', max: 10 });
+			assert.deepEqual(
+				expired.map((track) => track.id),
+				['done']
+			);
+		});
+
+		test('deleteAll removes matching records and counts them', async () => {
+			await adapter.put(STORES.SYNC, { key: 'outbox:places:a', kind: 'outbox' });
+			await adapter.put(STORES.SYNC, { key: 'outbox:places:b', kind: 'outbox' });
+			await adapter.put(STORES.SYNC, { key: 'cursor:places', kind: 'cursor' });
+
+			assert.equal(await adapter.deleteAll(STORES.SYNC, { where: { kind: 'outbox' } }), 2);
+			assert.deepEqual(await adapter.getAllKeys(STORES.SYNC), ['cursor:places']);
+			assert.equal(await adapter.deleteAll(STORES.SYNC, {}), 1);
+			assert.deepEqual(await adapter.getAll(STORES.SYNC), []);
+		});
+
+		// ========================================================================
+		// BATCHES
+		// ========================================================================
+
+		test('batch applies operations across stores', async () => {
+			await adapter.put(STORES.TRACKS, { id: 't', name: 'Walk' });
+			await adapter.put(STORES.TRACK_POINTS, { id: 1, trackId: 't', timestamp: 1 });
+
+			await adapter.batch([
+				{ type: 'delete', store: STORES.TRACKS, key: 't' },
+				{ type: 'deleteAll', store: STORES.TRACK_POINTS, query: { where: { trackId: 't' } } },
+				{ type: 'put', store: STORES.PLACES, record: place('a') }
+			]);
+
+			assert.equal(await adapter.get(STORES.TRACKS, 't'), null);
+			assert.deepEqual(await adapter.getAll(STORES.TRACK_POINTS), []);
+			assert.deepEqual(await adapter.getAllKeys(STORES.PLACES), ['a']);
+		});
+
+		test('batch stores nothing when one operation fails', async () => {
+			await adapter.put(STORES.PLACES, place('a'));
+
+			await assert.rejects(
+				adapter.batch([
+					{ type: 'put', store: STORES.ZONES, record: { id: 'z', name: 'Zone' } },
+					{ type: 'delete', store: STORES.PLACES, key: 'a' },
+					{ type: 'add', store: STORES.PLACES, record: place('b') },
+					{ type: 'add', store: STORES.PLACES, record: place('b') }
+				])
+			);
+			assert.equal(await adapter.get(STORES.ZONES, 'z'), null);
+			assert.deepEqual(await adapter.getAllKeys(STORES.PLACES), ['a']);
+		});
+
+		// ========================================================================
+		// REJECTS
+		// ========================================================================
+
+		test('unknown stores, missing keys and unknown operations reject', async () => {
+			await assert.rejects(adapter.get('unknown', 'a'), /Unknown store/);
+			await assert.rejects(adapter.put('unknown', { id: 'a' }), /Unknown store/);
+			await assert.rejects(adapter.put(STORES.PLACES, { name: 'No id' }), /key is required/);
+			await assert.rejects(adapter.put(STORES.USER_LOCATION, { lat: 1, lng: 2 }), /required/);
+			await assert.rejects(
+				adapter.batch([{ type: 'upsert', store: STORES.PLACES, record: place('a') }]),
+				/Unknown storage operation/
+			);
+			assert.deepEqual(await adapter.getAll(STORES.PLACES), []);
+		});
+
+		// ========================================================================
+		// VALIDATION (indexedDB.js over this backend)
+		// ========================================================================
+
+		describe('indexedDB.js validation', () => {
+			beforeEach(() => useStorageAdapter(adapter));
+
+			test('invalid locations are rejected before anything is stored', async () => {
+				await assert.rejects(saveUserLocation(null), /required/);
+				await assert.rejects(saveUserLocation({ lat: 91, lng: 0 }));
+				await assert.rejects(saveUserLocation({ lat: 'north', lng: 0 }));
+				assert.deepEqual(await adapter.getAllKeys(STORES.USER_LOCATION), []);
+			});
+
+			test('invalid places, zones and measurements are rejected', async () => {
+				await assert.rejects(createPlace({ name: 'Nowhere', lat: 0, lng: 181 }), /Invalid/);
+				await assert.rejects(createZone({ name: ' ', type: 'circle' }), /name is required/);
+				await assert.rejects(
+					createMeasurement({ name: 'Line', type: 'line', path: [{ lat: 0, lng: 0 }] }),
+					/at least 2/
+				);
+
+				for (const store of [STORES.PLACES, STORES.ZONES, STORES.MEASUREMENTS, STORES.SYNC]) {
+					assert.deepEqual(await adapter.getAll(store), []);
+				}
+			});
+
+			test('a track point batch with one invalid point stores none of them', async () => {
+				const points = [
+					{ lat: 1, lng: 1, timestamp: 1 },
+					{ lat: 100, lng: 1, timestamp: 2 }
+				];
+
+				await assert.rejects(addTrackPoints('t', points));
+				assert.deepEqual(await adapter.getAll(STORES.TRACK_POINTS), []);
+			});
+
+			test('malformed sync keys are rejected', async () => {
+				await assert.rejects(setSyncKey('too-short'), /Invalid sync key/);
+				await assert.rejects(setSyncKey('not base64url!'.repeat(4)), /Invalid sync key/);
+				assert.deepEqual(await adapter.getAll(STORES.SYNC), []);
+			});
+		});
+	});
+}
+
+describe('localstorage adapter quota', () => {
+	test('a batch whose second document fails to save restores the first', async () => {
+		const adapter = ADAPTERS.localstorage();
+		await adapter.open();
+		await adapter.put(STORES.TRACKS, { id: 'old', name: 'Old walk' });
+
+		quotaExceededKey = `map-location-db:${STORES.TRACK_POINTS}`;
+		try {
+			await assert.rejects(
+				adapter.batch([
+					{ type: 'put', store: STORES.TRACKS, record: { id: 't', name: 'Walk' } },
+					{ type: 'add', store: STORES.TRACK_POINTS, record: { trackId: 't', timestamp: 1 } }
+				]),
+				/QuotaExceededError/
+			);
+		} finally {
+			quotaExceededKey = null;
+		}
+
+		assert.deepEqual(await adapter.getAllKeys(STORES.TRACKS), ['old']);
+		assert.deepEqual(await adapter.getAll(STORES.TRACK_POINTS), []);
+	});
+});
@@ -0,0 +1,380 @@
+/**
+ * Sync engine
+ * Keeps saved places and finished tracks in step with the server (see /api/sync)
+ *
+ * This module provides:
+ * - Push: local changes queued by indexedDB.js (the outbox) are sent oldest first
+ * - Pull: entries the server stored since the last pull are applied locally
+ * - Offline handling: the outbox survives reloads and is replayed when the browser
+ *   comes back online
+ * - A status object for the UI (state, pending changes, last successful sync)
+ *
+ * Sync pauses while storage encryption is on: the server stores records as sent, so
+ * syncing would undo the encryption. Changes keep queueing and are pushed once it is off.
+ *
+ * Requests carry this device's sync key (getSyncKey in indexedDB.js) as a bearer token;
+ * the server keeps each key's records apart, so only paired devices share data.
+ *
+ * Conflicts are resolved per record by last-writer-wins on updatedAt, on the server
+ * for pushes (409 answers carry the winning entry) and in applyRemoteChange for pulls.
+ *
+ * Status shape:
+ * {
+ *   state: string,              // one of SYNC_STATE
+ *   pending: number,            // local changes not yet on the server
+ *   lastSyncedAt: number|null,  // end of the last successful sync, epoch ms
+ *   error: string|null          // why the last sync failed (error state)
+ * }
+ */
+
+import {
+	applyRemoteChange,
+	completeOutboxEntry,
+	getEncryptionStatus,
+	getSyncCursor,
+	getSyncKey,
+	getSyncRecord,
+	listOutbox,
+	queueAllForSync,
+	setSyncCursor,
+	subscribeToOutbox
+} from './indexedDB.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SYNC_STATE = Object.freeze({
+	IDLE: 'idle',
+	SYNCING: 'syncing',
+	OFFLINE: 'offline',
+	ERROR: 'error',
+	PAUSED: 'paused',
+	DISABLED: 'disabled'
+});
+
+// Collections the server syncs, in sync order
+const SYNC_COLLECTIONS = ['places', 'tracks'];
+
+// Endpoint base unless VITE_SYNC_URL says otherwise
+const DEFAULT_SYNC_URL = '/api/sync';
+
+// Periodic pull so changes from other devices arrive without a reload
+const DEFAULT_INTERVAL = 60000;
+
+// Wait after a local change so a burst of edits is pushed in one sync
+const OUTBOX_DEBOUNCE = 1000;
+
+// Web Lock held while syncing - tabs of this origin share one outbox
+const SYNC_LOCK_NAME = 'map-location-sync';
+
+/**
+ * Read sync settings from the environment
+ *
+ * Environment Variables:
+ * - VITE_SYNC: 'auto' (default) or 'off' - builds without a sync server turn it off
+ * - VITE_SYNC_URL: Base URL of the sync endpoints (default: /api/sync)
+ *
+ * @returns {{enabled: boolean, baseUrl: string}} Sync configuration
+ */
+export const getSyncConfig = () => ({
+	enabled: import.meta.env.VITE_SYNC !== 'off',
+	baseUrl: import.meta.env.VITE_SYNC_URL || DEFAULT_SYNC_URL
+});
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+/**
+ * Call a sync endpoint
+ * 409 is an answer, not a failure - the body carries the entry that won
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options; body is sent as JSON, key as the bearer token
+ * @returns {Promise<{status: number, body: Object}>} Response status and parsed body
+ * @throws {Error} With code 'offline' when the request never reached the server,
+ *   'invalid' for 400 answers and 'http' for other failures
+ */
+const request = async (url, { body, key, ...options } = {}) => {
+	const headers = { authorization: `Bearer ${key}` };
+	if (body) headers['content-type'] = 'application/json';
+
+	let response;
+	try {
+		response = await fetch(url, {
+			...options,
+			headers,
+			body: body ? JSON.stringify(body) : undefined
+		});
+	} catch (cause) {
+		throw Object.assign(new Error('Sync server is unreachable', { cause }), { code: 'offline' });
+	}
+
+	const payload = await response.json().catch(() => ({}));
+	if (response.ok || response.status === 409) {
+		return { status: response.status, body: payload };
+	}
+
+	const message = payload.message ?? `Sync request failed (${response.status})`;
+	const code = response.status === 400 ? 'invalid' : 'http';
+	throw Object.assign(new Error(message), { code, status: response.status });
+};
+
+/**
+ * Run a task while holding the cross-tab sync lock, where the browser has Web Locks
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+const withSyncLock = (task) =>
+	typeof navigator !== 'undefined' && navigator.locks
+		? navigator.locks.request(SYNC_LOCK_NAME, task)
+		: task();
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+/**
+ * Create a sync engine
+ *
+ * @param {Object} options - Engine configuration
+ * @param {string} options.baseUrl - Endpoint base (default: from getSyncConfig)
+ * @param {boolean} options.enabled - Whether to sync at all (default: from getSyncConfig)
+ * @param {number} options.interval - Milliseconds between periodic syncs (default: 60000)
+ * @param {Function} options.onStatus - Called with the status object whenever it changes
+ * @param {Function} options.onRemoteChange - Called with the collection name after
+ *   changes from the server were applied locally
+ * @returns {{start: Function, stop: Function, sync: Function, getStatus: Function}} Engine API
+ *
+ * Sync Strategy:
+ * - A collection that never synced first queues all of its local records, so data
+ *   saved before sync was enabled reaches the server
+ * - Push before pull: local changes win races they are entitled to win on updatedAt
+ * - A change the server rejects as invalid is dropped (it would fail forever);
+ *   network and server errors stop the sync and leave the outbox for the next try
+ * - Syncs never overlap - a sync requested while one runs starts again when it ends
+ */
+export const createSyncEngine = ({
+	baseUrl = getSyncConfig().baseUrl,
+	enabled = getSyncConfig().enabled,
+	interval = DEFAULT_INTERVAL,
+	onStatus = () => {},
+	onRemoteChange = () => {}
+} = {}) => {
+	let status = {
+		state: enabled ? SYNC_STATE.IDLE : SYNC_STATE.DISABLED,
+		pending: 0,
+		lastSyncedAt: null,
+		error: null
+	};
+
+	// SYNC STATE: The sync in flight, and whether another was requested meanwhile
+	let running = null;
+	let requested = false;
+
+	// Sync key of the sync in flight - read once per sync, it changes when devices are paired
+	let syncKey = null;
+
+	// Cleanup for everything start() set up
+	let teardown = [];
+
+	const setStatus = (changes) => {
+		status = { ...status, ...changes };
+		onStatus(status);
+	};
+
+	const collectionUrl = (collection) => `${baseUrl}/${collection}`;
+	const recordUrl = (collection, id) => `${collectionUrl(collection)}/${encodeURIComponent(id)}`;
+
+	/**
+	 * Send one outbox entry
+	 * @param {Object} entry - Outbox entry from listOutbox
+	 * @returns {Promise<boolean>} True when local data changed (the server's entry won)
+	 */
+	const pushEntry = async (entry) => {
+		const { collection, id } = entry;
+		let response;
+
+		if (entry.type === 'delete') {
+			response = await request(recordUrl(collection, id), {
+				method: 'DELETE',
+				body: { updatedAt: entry.updatedAt },
+				key: syncKey
+			});
+		} else {
+			const record = await getSyncRecord(collection, id);
+			// Deleted (a delete entry replaces this one) or not ready to sync yet
+			if (!record) {
+				await completeOutboxEntry(entry);
+				return false;
+			}
+			response = await request(recordUrl(collection, id), {
+				method: 'PUT',
+				body: record,
+				key: syncKey
+			});
+		}
+
+		// CONFLICT: The server kept a newer write - adopt it
+		const changed =
+			response.status === 409 ? await applyRemoteChange(collection, response.body.entry) : false;
+		await completeOutboxEntry(entry);
+		return changed;
+	};
+
+	/**
+	 * Push the outbox
+	 * @returns {Promise<Set<string>>} Collections changed locally by conflicts
+	 */
+	const push = async () => {
+		const changed = new Set();
+		for (const entry of await listOutbox()) {
+			try {
+				if (await pushEntry(entry)) changed.add(entry.collection);
+			} catch (error) {
+				if (error.code !== 'invalid') throw error;
+				console.warn(`Sync server rejected ${entry.collection}/${entry.id}:`, error.message);
+				await completeOutboxEntry(entry);
+			}
+		}
+		return changed;
+	};
+
+	/**
+	 * Pull one collection's entries since its cursor
+	 * @param {string} collection - Collection name
+	 * @returns {Promise<boolean>} True when local data changed
+	 */
+	const pull = async (collection) => {
+		const since = (await getSyncCursor(collection)) ?? 0;
+		const { body } = await request(`${collectionUrl(collection)}?since=${since}`, {
+			key: syncKey
+		});
+
+		let changed = false;
+		for (const entry of body.entries) {
+			try {
+				if (await applyRemoteChange(collection, entry)) changed = true;
+			} catch (error) {
+				// Encrypted storage is locked - retry everything once it is unlocked
+				if (error.code === 'locked') throw error;
+				console.warn(`Skipped invalid ${collection} entry ${entry.id} from the server:`, error);
+			}
+		}
+		await setSyncCursor(collection, body.revision);
+		return changed;
+	};
+
+	const runSync = async () => {
+		// ENCRYPTED: Records would reach the server decrypted - keep them on this device
+		if ((await getEncryptionStatus()).enabled) {
+			const pending = (await listOutbox().catch(() => [])).length;
+			setStatus({ state: SYNC_STATE.PAUSED, pending, error: null });
+			return;
+		}
+
+		setStatus({ state: SYNC_STATE.SYNCING });
+		try {
+			syncKey = await getSyncKey();
+			for (const collection of SYNC_COLLECTIONS) {
+				if ((await getSyncCursor(collection)) === null) await queueAllForSync(collection);
+			}
+
+			const changed = await push();
+			for (const collection of SYNC_COLLECTIONS) {
+				if (await pull(collection)) changed.add(collection);
+			}
+			changed.forEach((collection) => onRemoteChange(collection));
+
+			const pending = (await listOutbox()).length;
+			setStatus({ state: SYNC_STATE.IDLE, pending, lastSyncedAt: Date.now(), error: null });
+		} catch (error) {
+			const offline = error.code === 'offline' || !navigator.onLine;
+			const pending = (await listOutbox().catch(() => [])).length;
+			setStatus({
+				state: offline ? SYNC_STATE.OFFLINE : SYNC_STATE.ERROR,
+				pending,
+				error: offline ? null : error.message
+			});
+		}
+	};
+
+	/**
+	 * Sync now
+	 * Failures are reported through the status, never thrown
+	 *
+	 * @returns {Promise<Object>} Status after the sync
+	 */
+	const sync = () => {
+		if (!enabled) return Promise.resolve(status);
+		if (running) {
+			requested = true;
+			return running;
+		}
+
+		running = (async () => {
+			do {
+				requested = false;
+				await withSyncLock(runSync);
+			} while (requested);
+			return status;
+		})().finally(() => {
+			running = null;
+		});
+		return running;
+	};
+
+	/**
+	 * Start syncing: once now, after local changes, when the browser comes back
+	 * online and periodically
+	 */
+	const start = () => {
+		if (!enabled) {
+			onStatus(status);
+			return;
+		}
+		stop();
+
+		let debounceTimer = null;
+		const handleOnline = () => sync();
+		const handleOffline = () => setStatus({ state: SYNC_STATE.OFFLINE });
+		const unsubscribe = subscribeToOutbox(() => {
+			// One entry per record, so count rather than increment
+			listOutbox()
+				.then((entries) => setStatus({ pending: entries.length }))
+				.catch(() => {});
+			clearTimeout(debounceTimer);
+			if (navigator.onLine) debounceTimer = setTimeout(sync, OUTBOX_DEBOUNCE);
+		});
+		const intervalTimer = setInterval(() => navigator.onLine && sync(), interval);
+
+		window.addEventListener('online', handleOnline);
+		window.addEventListener('offline', handleOffline);
+		teardown = [
+			unsubscribe,
+			() => clearTimeout(debounceTimer),
+			() => clearInterval(intervalTimer),
+			() => window.removeEventListener('online', handleOnline),
+			() => window.removeEventListener('offline', handleOffline)
+		];
+
+		if (navigator.onLine) {
+			sync();
+		} else {
+			listOutbox()
+				.then((entries) => setStatus({ state: SYNC_STATE.OFFLINE, pending: entries.length }))
+				.catch(() => setStatus({ state: SYNC_STATE.OFFLINE }));
+		}
+	};
+
+	/**
+	 * Stop syncing - a sync in flight still finishes
+	 */
+	const stop = () => {
+		teardown.forEach((cleanup) => cleanup());
+		teardown = [];
+	};
+
+	return { start, stop, sync, getStatus: () => status };
+};
@@ -0,0 +1,409 @@
+/**
+ * Map tile cache
+ * Tile math, tile URL templates and an LRU-evicted tile store for offline maps
+ *
+ * This module provides:
+ * - Tile cache configuration from environment variables
+ * - Slippy-map tile math (coordinates to tile indexes, tiles covering a bounding box)
+ * - XYZ URL template expansion and matching ({z}/{x}/{y}, {s} subdomains, {r} retina)
+ * - A tile store: Cache API for the responses plus an IndexedDB index of sizes and
+ *   access times, evicting least recently used tiles once the size quota is exceeded
+ *
+ * Shared by the service worker (which owns the store) and the page (which sizes
+ * downloads before asking the worker for them). Nothing here touches window, so it
+ * runs in both contexts.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Default raster tile server - public OpenStreetMap tiles (see tile usage policy)
+export const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Cache API bucket for tiles - not versioned, tiles outlive app deployments
+const TILE_CACHE_NAME = 'map-tiles';
+
+// IndexedDB database holding the tile index (separate from the app database:
+// the service worker owns it and has no localStorage for the app's migrations)
+const TILE_INDEX_DB = 'MapTileCache';
+const TILE_INDEX_STORE = 'tiles';
+
+// Default size quota for cached tiles
+const DEFAULT_QUOTA_MB = 100;
+
+// Typical raster tile size, used to estimate downloads before fetching anything
+export const AVERAGE_TILE_BYTES = 20 * 1024;
+
+// Upper bound for one "download this area" request
+export const MAX_DOWNLOAD_TILES = 3000;
+
+// Downloads may use at most this share of the quota, so they don't evict each other
+const MAX_DOWNLOAD_QUOTA_SHARE = 0.8;
+
+// Delay before batched access-time updates and quota checks are written
+const INDEX_FLUSH_DELAY = 2000;
+
+// Web Mercator latitude limit - tiles do not extend beyond it
+const MAX_MERCATOR_LAT = 85.05112878;
+
+// Hosts whose usage policy forbids bulk downloading (OSM tile usage policy)
+const NO_BULK_DOWNLOAD_HOSTS = /(^|\.)tile\.openstreetmap\.org$/;
+
+/**
+ * Read the tile cache configuration from environment variables
+ *
+ * Environment variables:
+ * - VITE_TILE_URL: XYZ tile URL template (same as the tile map provider)
+ * - VITE_TILE_MAX_ZOOM: Highest zoom level the tile server provides (default: 19)
+ * - VITE_TILE_CACHE_MB: Size quota for cached tiles in megabytes (default: 100)
+ *
+ * @returns {{url: string, maxZoom: number, quotaBytes: number, bulkDownload: boolean}}
+ *   bulkDownload is false for tile servers that forbid area downloads
+ */
+export const getTileCacheConfig = () => {
+	const env = import.meta.env;
+	const url = env.VITE_TILE_URL || DEFAULT_TILE_URL;
+
+	return {
+		url,
+		maxZoom: +env.VITE_TILE_MAX_ZOOM || 19,
+		quotaBytes: (+env.VITE_TILE_CACHE_MB || DEFAULT_QUOTA_MB) * 1024 * 1024,
+		bulkDownload: !NO_BULK_DOWNLOAD_HOSTS.test(new URL(url.replace(/\{[^}]+\}/g, 'x')).hostname)
+	};
+};
+
+// ============================================================================
+// TILE MATH
+// ============================================================================
+
+/**
+ * Tile column containing a longitude
+ * @param {number} lng - Longitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile x index
+ */
+export const lngToTileX = (lng, zoom) => {
+	const count = 2 ** zoom;
+	return Math.min(count - 1, Math.max(0, Math.floor(((lng + 180) / 360) * count)));
+};
+
+/**
+ * Tile row containing a latitude (Web Mercator)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile y index
+ */
+export const latToTileY = (lat, zoom) => {
+	const count = 2 ** zoom;
+	const clamped = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+	const rad = (clamped * Math.PI) / 180;
+	const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * count;
+	return Math.min(count - 1, Math.max(0, Math.floor(y)));
+};
+
+/**
+ * Tile index ranges covering a bounding box at one zoom level
+ * A box crossing the antimeridian (west > east) yields two column ranges
+ *
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} zoom - Zoom level
+ * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number}>} Ranges (inclusive)
+ */
+export const getTileRanges = (bounds, zoom) => {
+	const minY = latToTileY(bounds.north, zoom);
+	const maxY = latToTileY(bounds.south, zoom);
+	const westX = lngToTileX(bounds.west, zoom);
+	const eastX = lngToTileX(bounds.east, zoom);
+
+	if (bounds.west <= bounds.east) {
+		return [{ minX: westX, maxX: eastX, minY, maxY }];
+	}
+	return [
+		{ minX: westX, maxX: 2 ** zoom - 1, minY, maxY },
+		{ minX: 0, maxX: eastX, minY, maxY }
+	];
+};
+
+/**
+ * Number of tiles covering a bounding box over a zoom range
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} minZoom - Lowest zoom level (inclusive)
+ * @param {number} maxZoom - Highest zoom level (inclusive)
+ * @returns {number} Tile count
+ */
+export const countTiles = (bounds, minZoom, maxZoom) => {
+	let total = 0;
+	for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+		for (const range of getTileRanges(bounds, zoom)) {
+			total += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+		}
+	}
+	return total;
+};
+
+/**
+ * Enumerate the tiles covering a bounding box, lowest zoom first
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} minZoom - Lowest zoom level (inclusive)
+ * @param {number} maxZoom - Highest zoom level (inclusive)
+ * @yields {{z: number, x: number, y: number}} Tile coordinates
+ */
+export function* enumerateTiles(bounds, minZoom, maxZoom) {
+	for (let z = minZoom; z <= maxZoom; z++) {
+		for (const range of getTileRanges(bounds, z)) {
+			for (let x = range.minX; x <= range.maxX; x++) {
+				for (let y = range.minY; y <= range.maxY; y++) {
+					yield { z, x, y };
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Check an area download against the tile limit and cache quota
+ *
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @param {Object} config - Result of getTileCacheConfig
+ * @returns {{count: number, estimatedBytes: number}} Download size
+ * @throws {Error} If the area is invalid, too large, or the tile server forbids bulk downloads
+ */
+export const validateAreaDownload = (bounds, minZoom, maxZoom, config) => {
+	if (!config.bulkDownload) {
+		throw new Error('This tile server does not allow area downloads.');
+	}
+	if (!bounds || ![bounds.north, bounds.south, bounds.east, bounds.west].every(Number.isFinite)) {
+		throw new Error('Invalid area');
+	}
+	if (
+		!Number.isInteger(minZoom) ||
+		!Number.isInteger(maxZoom) ||
+		minZoom < 0 ||
+		minZoom > maxZoom ||
+		maxZoom > config.maxZoom
+	) {
+		throw new Error(`Zoom levels must be between 0 and ${config.maxZoom}`);
+	}
+
+	const count = countTiles(bounds, minZoom, maxZoom);
+	const estimatedBytes = count * AVERAGE_TILE_BYTES;
+	if (count > MAX_DOWNLOAD_TILES) {
+		throw new Error(
+			`Area too large: ${count} tiles (limit ${MAX_DOWNLOAD_TILES}). Zoom in or lower the zoom range.`
+		);
+	}
+	if (estimatedBytes > config.quotaBytes * MAX_DOWNLOAD_QUOTA_SHARE) {
+		throw new Error('Area too large for the offline map storage limit.');
+	}
+
+	return { count, estimatedBytes };
+};
+
+// ============================================================================
+// URL TEMPLATES
+// ============================================================================
+
+// Regex fragments matched by each URL template placeholder
+const TEMPLATE_PATTERNS = {
+	'{z}': '\\d+',
+	'{x}': '\\d+',
+	'{y}': '\\d+',
+	'{s}': '[a-z0-9-]+',
+	'{r}': '(@2x)?'
+};
+
+/**
+ * Expand an XYZ URL template for one tile
+ * Subdomains rotate like Leaflet's so downloaded tiles hit the same cache entries
+ *
+ * @param {string} template - URL template, e.g. 'https://{s}.tiles.example.com/{z}/{x}/{y}.png'
+ * @param {{z: number, x: number, y: number}} tile - Tile coordinates
+ * @param {string} subdomains - Characters substituted for {s} (default: 'abc')
+ * @returns {string} Tile URL
+ */
+export const buildTileUrl = (template, { z, x, y }, subdomains = 'abc') =>
+	template
+		.replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+		.replace('{z}', String(z))
+		.replace('{x}', String(x))
+		.replace('{y}', String(y))
+		.replace('{r}', '');
+
+/**
+ * Create a predicate recognizing requests for a tile template
+ * @param {string} template - URL template
+ * @returns {(url: string) => boolean} True for URLs the template produces
+ */
+export const createTileMatcher = (template) => {
+	// ESCAPE: Regex-escape the template, then swap placeholders for their patterns
+	const source = template
+		.split(/(\{[^}]+\})/)
+		.map((part) => TEMPLATE_PATTERNS[part] ?? part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+		.join('');
+	const pattern = new RegExp(`^${source}$`);
+
+	return (url) => pattern.test(url);
+};
+
+// ============================================================================
+// TILE STORE
+// ============================================================================
+
+/**
+ * Create the LRU tile store
+ *
+ * @param {Object} options - Store configuration
+ * @param {number} options.quotaBytes - Size quota for cached tiles
+ * @param {string} options.cacheName - Cache API bucket (default: 'map-tiles')
+ * @returns {Object} Store with match, has, put, enforceQuota, getUsage and clear
+ *
+ * Eviction Strategy:
+ * - Every cached tile has an index record {url, size, lastAccess}
+ * - Cache hits refresh lastAccess in batches (one write per flush, not per tile)
+ * - After writes settle, the oldest tiles are deleted until the total fits the quota
+ * - Index and cache may drift (the browser can evict caches) - both sides tolerate misses
+ */
+export const createTileStore = ({ quotaBytes, cacheName = TILE_CACHE_NAME }) => {
+	// STORE STATE: Shared index connection, batched access times and pending timers
+	let indexDB = null;
+	const pendingAccess = new Map();
+	let accessTimer = null;
+	let quotaTimer = null;
+
+	const openIndex = () => {
+		indexDB ??= new Promise((resolve, reject) => {
+			const request = indexedDB.open(TILE_INDEX_DB, 1);
+			request.onupgradeneeded = () => {
+				const store = request.result.createObjectStore(TILE_INDEX_STORE, { keyPath: 'url' });
+				store.createIndex('lastAccess', 'lastAccess');
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		return indexDB;
+	};
+
+	const runIndex = async (mode, operation) => {
+		const db = await openIndex();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(TILE_INDEX_STORE, mode);
+			const request = operation(tx.objectStore(TILE_INDEX_STORE));
+			tx.oncomplete = () => resolve(request?.result);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+		});
+	};
+
+	const flushAccess = async () => {
+		const updates = [...pendingAccess];
+		pendingAccess.clear();
+
+		await runIndex('readwrite', (store) => {
+			for (const [url, lastAccess] of updates) {
+				const request = store.get(url);
+				request.onsuccess = () => {
+					if (request.result) store.put({ ...request.result, lastAccess });
+				};
+			}
+		});
+	};
+
+	const scheduleQuotaCheck = () => {
+		clearTimeout(quotaTimer);
+		quotaTimer = setTimeout(() => {
+			enforceQuota().catch((error) => console.warn('Tile cache eviction failed:', error));
+		}, INDEX_FLUSH_DELAY);
+	};
+
+	/**
+	 * Delete least recently used tiles until the cache fits the quota
+	 * @returns {Promise<number>} Number of evicted tiles
+	 */
+	const enforceQuota = async () => {
+		const records = await runIndex('readonly', (store) => store.index('lastAccess').getAll());
+		let total = records.reduce((sum, record) => sum + record.size, 0);
+
+		const evicted = [];
+		for (const record of records) {
+			if (total <= quotaBytes) break;
+			evicted.push(record.url);
+			total -= record.size;
+		}
+		if (evicted.length === 0) return 0;
+
+		const cache = await caches.open(cacheName);
+		await Promise.all(evicted.map((url) => cache.delete(url)));
+		await runIndex('readwrite', (store) => evicted.forEach((url) => store.delete(url)));
+		return evicted.length;
+	};
+
+	return {
+		/**
+		 * Look up a cached tile and record the access
+		 * @param {string} url - Tile URL
+		 * @returns {Promise<Response|undefined>} Cached response
+		 */
+		async match(url) {
+			const cache = await caches.open(cacheName);
+			const response = await cache.match(url);
+			if (response) {
+				pendingAccess.set(url, Date.now());
+				clearTimeout(accessTimer);
+				accessTimer = setTimeout(() => {
+					flushAccess().catch((error) => console.warn('Tile index update failed:', error));
+				}, INDEX_FLUSH_DELAY);
+			}
+			return response;
+		},
+
+		/**
+		 * Whether a tile is cached (does not count as an access)
+		 * @param {string} url - Tile URL
+		 * @returns {Promise<boolean>}
+		 */
+		async has(url) {
+			const cache = await caches.open(cacheName);
+			return Boolean(await cache.match(url));
+		},
+
+		/**
+		 * Cache a tile response and schedule a quota check
+		 * @param {string} url - Tile URL
+		 * @param {Response} response - Readable (CORS) response - opaque responses have no size
+		 */
+		async put(url, response) {
+			const size = (await response.clone().blob()).size;
+			const cache = await caches.open(cacheName);
+			await cache.put(url, response);
+			await runIndex('readwrite', (store) => store.put({ url, size, lastAccess: Date.now() }));
+			scheduleQuotaCheck();
+		},
+
+		enforceQuota,
+
+		/**
+		 * Current cache usage
+		 * @returns {Promise<{count: number, bytes: number, quotaBytes: number}>}
+		 */
+		async getUsage() {
+			const records = await runIndex('readonly', (store) => store.getAll());
+			return {
+				count: records.length,
+				bytes: records.reduce((sum, record) => sum + record.size, 0),
+				quotaBytes
+			};
+		},
+
+		/**
+		 * Delete every cached tile
+		 */
+		async clear() {
+			pendingAccess.clear();
+			await caches.delete(cacheName);
+			await runIndex('readwrite', (store) => store.clear());
+		}
+	};
+};
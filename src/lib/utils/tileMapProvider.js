@@ -0,0 +1,204 @@
+/**
+ * Raster tile map provider
+ * Implements the map provider interface (see mapProviders.js) with Leaflet and
+ * any XYZ raster tile server - public OpenStreetMap tiles or a self-hosted server
+ *
+ * This module provides:
+ * - Lazy Leaflet loading (script and stylesheet are only fetched when selected)
+ * - Map, marker, polyline and shape handles matching the Google provider
+ * - Works without any API key
+ */
+
+// External CSS for marker pins rendered by this provider
+import '$lib/styles/TileMap.css';
+
+// ============================================================================
+// HANDLE WRAPPERS
+// ============================================================================
+
+/**
+ * Convert a Leaflet LatLng into a plain {lat, lng}
+ * @param {Object} latLng - L.LatLng
+ * @returns {{lat: number, lng: number}} Plain coordinates
+ */
+const toLatLng = (latLng) => ({ lat: latLng.lat, lng: latLng.lng });
+
+/**
+ * Build the default pin icon (CSS-only, avoids Leaflet's image asset paths under Vite)
+ * @param {Object} L - Leaflet namespace
+ * @param {HTMLElement} [content] - Custom marker content replacing the pin
+ * @param {'bottom'|'center'} [anchor] - Which point of the content sits on the position
+ * @returns {Object} L.DivIcon
+ */
+const createIcon = (L, content, anchor = 'bottom') =>
+	content
+		? L.divIcon({
+				className: `tile-marker-custom tile-marker-anchor-${anchor}`,
+				html: content,
+				iconSize: null
+			})
+		: L.divIcon({
+				className: 'tile-marker',
+				html: '<div class="tile-marker-pin"></div>',
+				iconSize: [30, 30],
+				iconAnchor: [15, 30] // Pin tip sits on the coordinate
+			});
+
+/**
+ * Wrap a Leaflet marker in a MarkerHandle
+ * @param {Object} marker - L.Marker
+ * @returns {Object} MarkerHandle
+ */
+const wrapMarker = (marker) => ({
+	native: marker,
+	getPosition: () => toLatLng(marker.getLatLng()),
+	setPosition: (position) => marker.setLatLng([+position.lat, +position.lng]),
+	on: (event, handler) => {
+		const listener = () => handler(toLatLng(marker.getLatLng()));
+		marker.on(event, listener);
+		return () => marker.off(event, listener);
+	},
+	remove: () => marker.remove()
+});
+
+/**
+ * Wrap a Leaflet map in a MapHandle
+ * @param {Object} L - Leaflet namespace
+ * @param {Object} map - L.Map
+ * @returns {Object} MapHandle
+ */
+const wrapMap = (L, map) => ({
+	native: map,
+	getCenter: () => toLatLng(map.getCenter()),
+	panTo: (position) => map.panTo([+position.lat, +position.lng]),
+	getZoom: () => map.getZoom(),
+	setZoom: (zoom) => map.setZoom(zoom),
+	getBounds: () => {
+		const bounds = map.getBounds();
+		return {
+			north: bounds.getNorth(),
+			south: bounds.getSouth(),
+			east: bounds.getEast(),
+			west: bounds.getWest()
+		};
+	},
+	fitBounds: (bounds) =>
+		map.fitBounds([
+			[bounds.south, bounds.west],
+			// ANTIMERIDIAN: Leaflet accepts longitudes past 180, so unwrap boxes with west > east
+			[bounds.north, bounds.west > bounds.east ? bounds.east + 360 : bounds.east]
+		]),
+	on: (event, handler) => {
+		const listener = (e) => handler(e?.latlng ? toLatLng(e.latlng) : undefined);
+		map.on(event, listener);
+		return () => map.off(event, listener);
+	},
+	createMarker: ({
+		position,
+		draggable = false,
+		title = '',
+		content,
+		anchor = 'bottom',
+		interactive = true
+	} = {}) =>
+		wrapMarker(
+			L.marker([+position.lat, +position.lng], {
+				draggable,
+				title,
+				icon: createIcon(L, content, anchor),
+				interactive,
+				keyboard: interactive
+			}).addTo(map)
+		),
+	createPolyline: ({ path = [], color = '#4285f4', weight = 4, opacity = 0.9 } = {}) => {
+		const toLatLngs = (points) => points.map((point) => [+point.lat, +point.lng]);
+		const polyline = L.polyline(toLatLngs(path), {
+			color,
+			weight,
+			opacity,
+			interactive: false // Purely visual - must not swallow marker drags
+		}).addTo(map);
+		return {
+			native: polyline,
+			setPath: (newPath) => polyline.setLatLngs(toLatLngs(newPath)),
+			remove: () => polyline.remove()
+		};
+	},
+	createCircle: ({ center, radius, color = '#4285f4', weight = 2, fillOpacity = 0.15 } = {}) => {
+		const circle = L.circle([+center.lat, +center.lng], {
+			radius,
+			color,
+			weight,
+			fillOpacity,
+			interactive: false
+		}).addTo(map);
+		return {
+			native: circle,
+			setCenter: (position) => circle.setLatLng([+position.lat, +position.lng]),
+			setRadius: (meters) => circle.setRadius(meters),
+			remove: () => circle.remove()
+		};
+	},
+	createPolygon: ({ path = [], color = '#4285f4', weight = 2, fillOpacity = 0.15 } = {}) => {
+		const toLatLngs = (points) => points.map((point) => [+point.lat, +point.lng]);
+		const polygon = L.polygon(toLatLngs(path), {
+			color,
+			weight,
+			fillOpacity,
+			interactive: false
+		}).addTo(map);
+		return {
+			native: polygon,
+			setPath: (newPath) => polygon.setLatLngs(toLatLngs(newPath)),
+			remove: () => polygon.remove()
+		};
+	},
+	destroy: () => map.remove()
+});
+
+// ============================================================================
+// PROVIDER FACTORY
+// ============================================================================
+
+/**
+ * Create a raster tile provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.url - XYZ tile URL template, e.g. 'https://tiles.example.com/{z}/{x}/{y}.png'
+ * @param {string} options.attribution - Attribution HTML required by the tile source
+ * @param {number} options.maxZoom - Highest zoom level the server provides (default: 19)
+ * @returns {Object} MapProvider
+ */
+export const createTileMapProvider = ({ url, attribution = '', maxZoom = 19 } = {}) => {
+	// Leaflet namespace resolved once by load()
+	let L = null;
+
+	return {
+		id: 'tiles',
+
+		async load() {
+			if (L) return;
+			if (!url) {
+				throw new Error('Tile server URL not configured.');
+			}
+
+			// DYNAMIC IMPORT: Leaflet touches window at import time, so never load it during SSR
+			const [leaflet] = await Promise.all([import('leaflet'), import('leaflet/dist/leaflet.css')]);
+			L = leaflet.default || leaflet;
+		},
+
+		async createMap(element, { center, zoom = 15 } = {}) {
+			await this.load();
+
+			const map = L.map(element, {
+				center: [+center.lat, +center.lng],
+				zoom,
+				zoomControl: false // Re-added bottom-right, clear of the floating buttons
+			});
+			L.control.zoom({ position: 'bottomright' }).addTo(map);
+			L.tileLayer(url, { attribution, maxZoom }).addTo(map);
+
+			return wrapMap(L, map);
+		}
+	};
+};
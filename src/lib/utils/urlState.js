@@ -0,0 +1,133 @@
+/**
+ * Map state in the URL
+ * Encodes the shareable part of the map view as query parameters and reads it back
+ *
+ * This module provides:
+ * - Parsing of deep-link parameters into a validated map state
+ * - Serialization of a map state into query parameters, keeping unrelated parameters
+ * - A stable string form so callers can tell their own URL writes from navigation
+ *
+ * Parameters:
+ * - lat, lng: Map view center (decimal degrees)
+ * - z:        Zoom level (0-22)
+ * - m:        Marker position as "lat,lng" (omitted when it equals the view center)
+ * - place:    Selected saved place id
+ */
+
+import { isValidLocation } from './locationUtils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Six decimals is ~0.1m - plenty for a shared spot, short enough for chat messages
+const COORDINATE_DECIMALS = 6;
+
+// Zoom range accepted from links (covers Google Maps and common tile servers)
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+
+// Query parameters owned by the map - others in the URL are preserved untouched
+const MAP_PARAMS = ['lat', 'lng', 'z', 'm', 'place'];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Round a coordinate to link precision
+ * @param {number} value - Degrees
+ * @returns {number} Rounded degrees
+ */
+const roundCoordinate = (value) => +(+value).toFixed(COORDINATE_DECIMALS);
+
+/**
+ * Parse a "lat,lng" parameter value
+ * @param {string|null} value - Parameter value
+ * @returns {{lat: number, lng: number}|null} Position or null when missing/invalid
+ */
+const parsePair = (value) => {
+	if (!value) return null;
+	const [lat, lng] = value.split(',');
+	const location = { lat: +lat, lng: +lng };
+	return lat && lng && isValidLocation(location) ? location : null;
+};
+
+/**
+ * Read the map state from URL query parameters
+ * Invalid parameters are ignored individually, so a half-broken link still restores what it can
+ *
+ * @param {URLSearchParams} params - Query parameters (e.g. $page.url.searchParams)
+ * @returns {{center: Object|null, zoom: number|null, marker: Object|null, placeId: string|null}}
+ *   Map state; null fields were absent or invalid
+ */
+export const parseMapState = (params) => {
+	const lat = params.get('lat');
+	const lng = params.get('lng');
+	const center = lat && lng ? parsePair(`${lat},${lng}`) : null;
+
+	const z = params.get('z');
+	const zoom = z !== null && /^\d+(\.\d+)?$/.test(z) ? Math.round(+z) : null;
+
+	const placeId = params.get('place');
+
+	return {
+		center,
+		zoom: zoom !== null && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM ? zoom : null,
+		// No "m" means the marker sits at the view center
+		marker: parsePair(params.get('m')) ?? center,
+		placeId: placeId && placeId.length <= 64 ? placeId : null
+	};
+};
+
+/**
+ * Whether a parsed state carries anything to restore
+ * @param {Object} state - Result of parseMapState
+ * @returns {boolean} True when the link names a view, marker or place
+ */
+export const hasMapState = (state) => Boolean(state.center || state.marker || state.placeId);
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Build the query string for a map state
+ *
+ * @param {Object} state - Map state
+ * @param {Object} state.center - View center {lat, lng}
+ * @param {number} [state.zoom] - Zoom level
+ * @param {Object} [state.marker] - Marker position {lat, lng}
+ * @param {string} [state.placeId] - Selected place id
+ * @param {URLSearchParams} [existing] - Current parameters; non-map parameters are kept
+ * @returns {string} Query string including the leading "?" (or '' when empty)
+ */
+export const buildMapSearch = (state, existing = new URLSearchParams()) => {
+	const params = new URLSearchParams(existing);
+	MAP_PARAMS.forEach((name) => params.delete(name));
+
+	const { center, zoom, marker, placeId } = state;
+	if (center) {
+		params.set('lat', String(roundCoordinate(center.lat)));
+		params.set('lng', String(roundCoordinate(center.lng)));
+	}
+	if (Number.isFinite(zoom)) {
+		params.set('z', String(Math.round(zoom)));
+	}
+
+	// The marker is implied by the center when they coincide at link precision
+	if (
+		marker &&
+		(!center ||
+			roundCoordinate(marker.lat) !== roundCoordinate(center.lat) ||
+			roundCoordinate(marker.lng) !== roundCoordinate(center.lng))
+	) {
+		params.set('m', `${roundCoordinate(marker.lat)},${roundCoordinate(marker.lng)}`);
+	}
+	if (placeId) {
+		params.set('place', placeId);
+	}
+
+	const search = params.toString();
+	return search ? `?${search}` : '';
+};
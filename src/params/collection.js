@@ -0,0 +1,9 @@
+/**
+ * Route matcher for /api/sync/[collection]
+ * Matchers also run in the browser router, so the list cannot come from $lib/server -
+ * keep it in step with SYNC_COLLECTIONS in syncStore.js
+ *
+ * @param {string} param - Path segment
+ * @returns {boolean} True for the synced collections
+ */
+export const match = (param) => param === 'places' || param === 'tracks';
@@ -0,0 +1,20 @@
+/**
+ * Sync collection endpoint
+ * GET /api/sync/places?since=<revision> - entries written after a revision
+ * Requests without a sync key get 401 (see hooks.server.js)
+ */
+
+import { error, json } from '@sveltejs/kit';
+import { requireSyncOwner } from '$lib/server/syncAuth.js';
+import { getSyncStore } from '$lib/server/syncStore.js';
+
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ locals, params, url }) {
+	const owner = requireSyncOwner(locals);
+	const since = Number(url.searchParams.get('since') ?? 0);
+	if (!Number.isInteger(since) || since < 0) {
+		error(400, 'since must be a non-negative integer revision');
+	}
+
+	return json(await getSyncStore().list(owner, params.collection, { since }));
+}
@@ -0,0 +1,63 @@
+/**
+ * Sync record endpoint
+ * PUT    /api/sync/places/<id>  body: record          - insert or replace
+ * DELETE /api/sync/places/<id>  body: { updatedAt }   - delete (leaves a tombstone)
+ *
+ * Requests without a sync key get 401 (see hooks.server.js).
+ * Both answer { applied, entry, revision }: 200 when the write was stored, 409 when
+ * the stored entry is newer - the body then carries the winning entry to adopt
+ */
+
+import { error, json } from '@sveltejs/kit';
+import { requireSyncOwner } from '$lib/server/syncAuth.js';
+import { getSyncStore } from '$lib/server/syncStore.js';
+
+/**
+ * Read a JSON request body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readBody = async (request) => {
+	try {
+		return await request.json();
+	} catch {
+		error(400, 'Request body must be JSON');
+	}
+};
+
+/**
+ * Run a store write and turn its outcome into a response
+ * @param {Function} operation - Store write resolving {applied, entry, revision}
+ * @returns {Promise<Response>} 200 or 409 response
+ */
+const respond = async (operation) => {
+	try {
+		const result = await operation();
+		return json(result, { status: result.applied ? 200 : 409 });
+	} catch (cause) {
+		if (cause.code === 'invalid') error(400, cause.message);
+		throw cause;
+	}
+};
+
+/** @type {import('./$types').RequestHandler} */
+export async function PUT({ locals, params, request }) {
+	const owner = requireSyncOwner(locals);
+	const record = await readBody(request);
+	if (record?.id !== params.id) {
+		error(400, 'Record id does not match the URL');
+	}
+
+	return respond(() => getSyncStore().upsert(owner, params.collection, record));
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function DELETE({ locals, params, request }) {
+	const owner = requireSyncOwner(locals);
+	const body = await readBody(request);
+	if (!body || typeof body !== 'object') {
+		error(400, 'Request body must be an object with updatedAt');
+	}
+
+	return respond(() => getSyncStore().remove(owner, params.collection, params.id, body.updatedAt));
+}
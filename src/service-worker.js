@@ -0,0 +1,231 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference no-default-lib="true"/>
+/// <reference lib="esnext" />
+/// <reference lib="webworker" />
+
+/**
+ * Service worker
+ * Makes the app usable offline: precached app shell, cached pages and map tiles
+ *
+ * Caching Strategy:
+ * - Built assets: precached on install, served cache-first (immutable, versioned per deploy)
+ * - Pages: network-first, falling back to the last cached copy (query ignored - map state
+ *   in the URL is read on the client)
+ * - Raster map tiles: cache-first with LRU eviction under a size quota (see tileCache.js);
+ *   Google Maps tiles are never cached (their terms forbid it)
+ * - Everything else (geocoding, Google APIs) goes straight to the network
+ *
+ * Messages (sent by offline.js over a MessageChannel):
+ * - {type: 'download-area', bounds, minZoom, maxZoom}: progress on the port, then done/error
+ * - {type: 'tile-cache-usage'}: replies {count, bytes, quotaBytes}
+ * - {type: 'clear-tile-cache'}: replies once the tiles are deleted
+ */
+
+import { build, files, version } from '$service-worker';
+import {
+	buildTileUrl,
+	createTileMatcher,
+	createTileStore,
+	enumerateTiles,
+	getTileCacheConfig,
+	validateAreaDownload
+} from '$lib/utils/tileCache.js';
+
+/** @type {ServiceWorkerGlobalScope} */
+const sw = /** @type {ServiceWorkerGlobalScope} */ (/** @type {unknown} */ (self));
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// App shell cache - one per deployment, older ones are deleted on activate
+const APP_CACHE = `app-${version}`;
+const APP_ASSETS = new Set([...build, ...files]);
+
+// Last fetched copy of each page, for offline navigations
+const PAGES_CACHE = 'pages';
+
+// Parallel tile fetches during area downloads - kept low out of courtesy to tile servers
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Minimum time between download progress messages
+const PROGRESS_INTERVAL = 250;
+
+const tileConfig = getTileCacheConfig();
+const isTileRequest = createTileMatcher(tileConfig.url);
+const tileStore = createTileStore({ quotaBytes: tileConfig.quotaBytes });
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+sw.addEventListener('install', (event) => {
+	event.waitUntil(caches.open(APP_CACHE).then((cache) => cache.addAll([...APP_ASSETS])));
+});
+
+sw.addEventListener('activate', (event) => {
+	event.waitUntil(
+		(async () => {
+			// CLEANUP: Drop app shells from previous deployments (tiles and pages are kept)
+			for (const key of await caches.keys()) {
+				if (key.startsWith('app-') && key !== APP_CACHE) await caches.delete(key);
+			}
+			// First install: control the open page right away so its tiles get cached
+			await sw.clients.claim();
+		})()
+	);
+});
+
+// ============================================================================
+// FETCH HANDLING
+// ============================================================================
+
+/**
+ * Fetch a tile as a CORS request so its size can be measured for the quota
+ * @param {string} url - Tile URL
+ * @returns {Promise<Response>} Tile response
+ */
+const fetchTile = (url) => fetch(url, { mode: 'cors', credentials: 'omit' });
+
+/**
+ * Serve a map tile from the cache, fetching and caching it on a miss
+ * Tile servers without CORS headers still work - their tiles are just not cached
+ * @param {FetchEvent} event - Fetch event for a tile (no-cors image request from Leaflet)
+ * @returns {Promise<Response>} Tile response
+ */
+const respondWithTile = async (event) => {
+	const { request } = event;
+	const cached = await tileStore.match(request.url);
+	if (cached) return cached;
+
+	try {
+		const response = await fetchTile(request.url);
+		if (response.ok) {
+			// Keep the worker alive until the tile is stored, without delaying the response
+			event.waitUntil(
+				tileStore
+					.put(request.url, response.clone())
+					.catch((error) => console.warn('Tile cache write failed:', error))
+			);
+		}
+		return response;
+	} catch {
+		// CORS refused or offline - let the browser try the original request
+		return fetch(request).catch(() => Response.error());
+	}
+};
+
+/**
+ * Serve a page from the network, keeping a copy for offline use
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+const respondWithPage = async (request) => {
+	const url = new URL(request.url);
+	const key = `${url.origin}${url.pathname}`;
+	const cache = await caches.open(PAGES_CACHE);
+
+	try {
+		const response = await fetch(request);
+		if (response.ok) await cache.put(key, response.clone());
+		return response;
+	} catch (error) {
+		// OFFLINE: Same page from an earlier visit, else the home page
+		const cached = (await cache.match(key)) ?? (await cache.match(`${url.origin}/`));
+		if (cached) return cached;
+		throw error;
+	}
+};
+
+sw.addEventListener('fetch', (event) => {
+	const { request } = event;
+	if (request.method !== 'GET') return;
+
+	const url = new URL(request.url);
+
+	if (isTileRequest(request.url)) {
+		event.respondWith(respondWithTile(event));
+	} else if (url.origin === sw.location.origin && APP_ASSETS.has(url.pathname)) {
+		event.respondWith(
+			caches.match(request, { cacheName: APP_CACHE }).then((cached) => cached ?? fetch(request))
+		);
+	} else if (request.mode === 'navigate' && url.origin === sw.location.origin) {
+		event.respondWith(respondWithPage(request));
+	}
+});
+
+// ============================================================================
+// AREA DOWNLOADS AND CACHE MANAGEMENT
+// ============================================================================
+
+/**
+ * Download every tile of an area into the tile cache
+ * Already cached tiles are skipped; failures are counted, not fatal
+ *
+ * @param {Object} request - {bounds, minZoom, maxZoom}
+ * @param {MessagePort} port - Receives progress/done/error messages and 'cancel'
+ */
+const downloadArea = async ({ bounds, minZoom, maxZoom }, port) => {
+	const { count } = validateAreaDownload(bounds, minZoom, maxZoom, tileConfig);
+
+	let cancelled = false;
+	port.onmessage = (event) => {
+		if (event.data?.type === 'cancel') cancelled = true;
+	};
+
+	const progress = { total: count, done: 0, failed: 0 };
+	let lastReport = 0;
+	const report = () => {
+		const now = Date.now();
+		if (now - lastReport < PROGRESS_INTERVAL) return;
+		lastReport = now;
+		port.postMessage({ type: 'progress', ...progress });
+	};
+
+	// Workers share one tile iterator, so each tile is fetched exactly once
+	const tiles = enumerateTiles(bounds, minZoom, maxZoom);
+	const worker = async () => {
+		for (const tile of tiles) {
+			if (cancelled) return;
+
+			const url = buildTileUrl(tileConfig.url, tile);
+			try {
+				if (!(await tileStore.has(url))) {
+					const response = await fetchTile(url);
+					if (!response.ok) throw new Error(`HTTP ${response.status}`);
+					await tileStore.put(url, response);
+				}
+			} catch {
+				progress.failed++;
+			}
+			progress.done++;
+			report();
+		}
+	};
+
+	await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+	port.postMessage({ type: 'done', cancelled, ...progress });
+};
+
+sw.addEventListener('message', (event) => {
+	const [port] = event.ports;
+	if (!port) return;
+
+	/** @type {Record<string, () => Promise<*>>} */
+	const handlers = {
+		'download-area': () => downloadArea(event.data, port),
+		'tile-cache-usage': async () =>
+			port.postMessage({ type: 'done', ...(await tileStore.getUsage()) }),
+		'clear-tile-cache': async () => {
+			await tileStore.clear();
+			port.postMessage({ type: 'done' });
+		}
+	};
+
+	const handler = handlers[event.data?.type];
+	if (!handler) return;
+
+	event.waitUntil(
+		handler().catch((error) => port.postMessage({ type: 'error', message: error.message }))
+	);
+});